@@ -1,37 +1,57 @@
 #!/usr/bin/env node
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
 import { readJSON } from './lib/stability.js';
+import { loadTeams, primaryTeam, teamDataDir } from './lib/teams.js';
+import { publishedSeason } from './lib/season.js';
 
 const argv = new Set(process.argv.slice(2));
 const SLOW = argv.has('--deep') || (process.env.SLOW_AUDIT || '').toLowerCase() === 'true';
 
-const TARGET_SEASON = Number(process.env.SEASON || 2025);
+// The season under test comes from SEASON or the primary team's published
+// data, never the calendar: scripts/rollover_season.js moves the data over.
+const TARGET_SEASON = Number(process.env.SEASON || publishedSeason(teamDataDir(primaryTeam(loadTeams()))));
 const STRICT_SEASON = (process.env.STRICT_SEASON ?? 'true').toLowerCase() === 'true';
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const ROOT = path.join(__dirname, '..');
-const DATA_DIR = path.join(ROOT, 'data');
-const TEAM_DIR = path.join(DATA_DIR, 'team');
+const ONLY_TEAM = process.env.TEAM_SLUG || null;
 
 function main() {
-  const dataMetaPath = path.join(DATA_DIR, 'meta.json');
+  if (!TARGET_SEASON) {
+    fail('no season to audit: set SEASON or publish data/meta.json');
+  }
+  const teams = loadTeams().filter((team) => !ONLY_TEAM || team.slug === ONLY_TEAM);
+  if (!teams.length) {
+    fail(`unknown TEAM_SLUG: ${ONLY_TEAM}`);
+  }
+  for (const team of teams) {
+    const dataDir = teamDataDir(team);
+    if (!team.primary && !fs.existsSync(path.join(dataDir, 'meta.json'))) continue;
+    auditTeam(team, dataDir);
+  }
+
+  console.log('🧪 dataset audit ok');
+}
+
+function auditTeam(team, dataDir) {
+  const teamDir = path.join(dataDir, 'team');
+  const failTeam = (message) => fail(`[${team.slug}] ${message}`);
+
+  const dataMetaPath = path.join(dataDir, 'meta.json');
   const dataMeta = readJSON(dataMetaPath, null);
   if (!dataMeta) {
-    fail('data/meta.json missing');
+    failTeam('data/meta.json missing');
   }
 
   if (Number(dataMeta.season) !== TARGET_SEASON) {
-    fail(`data/meta.json season ${dataMeta.season} mismatch (expected ${TARGET_SEASON})`);
+    failTeam(`data/meta.json season ${dataMeta.season} mismatch (expected ${TARGET_SEASON})`);
   }
 
   if (!['live', 'cache'].includes(dataMeta.mode)) {
-    fail('data/meta.json mode must be "live" or "cache"');
+    failTeam('data/meta.json mode must be "live" or "cache"');
   }
 
   if (!dataMeta.generated_at) {
-    fail('data/meta.json missing generated_at timestamp');
+    failTeam('data/meta.json missing generated_at timestamp');
   }
 
   if (STRICT_SEASON && dataMeta.mode === 'cache') {
@@ -42,53 +62,61 @@ function main() {
     warn(`meta.strict flag (${dataMeta.strict}) differs from STRICT_SEASON=${STRICT_SEASON}`);
   }
 
-  const rosterPath = path.join(TEAM_DIR, 'roster.json');
+  const rosterPath = path.join(teamDir, 'roster.json');
   const roster = readJSON(rosterPath, []);
   if (!Array.isArray(roster) || roster.length === 0) {
-    fail('team roster payload missing or empty');
+    failTeam('team roster payload missing or empty');
   }
 
   if (Number(dataMeta.rosterCount) !== roster.length) {
-    fail(`meta rosterCount ${dataMeta.rosterCount} mismatch (actual ${roster.length})`);
+    failTeam(`meta rosterCount ${dataMeta.rosterCount} mismatch (actual ${roster.length})`);
   }
 
-  const rosterMetaPath = path.join(TEAM_DIR, 'roster_meta.json');
+  const rosterMetaPath = path.join(teamDir, 'roster_meta.json');
   const rosterMeta = readJSON(rosterMetaPath, null);
   if (!rosterMeta) {
-    fail('team roster metadata missing');
+    failTeam('team roster metadata missing');
   }
 
   if (Number(rosterMeta.season) !== TARGET_SEASON) {
-    fail(`roster_meta season ${rosterMeta.season} mismatch (expected ${TARGET_SEASON})`);
+    failTeam(`roster_meta season ${rosterMeta.season} mismatch (expected ${TARGET_SEASON})`);
+  }
+
+  if (rosterMeta.teamId != null && Number(rosterMeta.teamId) !== team.espnId) {
+    failTeam(`roster_meta teamId ${rosterMeta.teamId} mismatch (expected ${team.espnId})`);
   }
 
   if (SLOW) {
-    auditForStaleArtifacts();
+    auditForStaleArtifacts(dataDir, teamDir, failTeam);
   } else {
-    quickStaleScan();
+    quickStaleScan(teamDir, failTeam);
   }
-
-  console.log('🧪 dataset audit ok');
 }
 
-function auditForStaleArtifacts() {
-  const stale = findStaleArtifacts(DATA_DIR).concat(findStaleArtifacts(TEAM_DIR));
+function auditForStaleArtifacts(dataDir, teamDir, fail) {
+  const stale = findStaleArtifacts(dataDir).concat(findStaleArtifacts(teamDir));
   if (stale.length) {
     fail(`stale dataset artifacts detected: ${stale.join(', ')}`);
   }
 }
 
-function quickStaleScan() {
-  const suspects = findStaleArtifacts(TEAM_DIR);
+function quickStaleScan(teamDir, fail) {
+  const suspects = findStaleArtifacts(teamDir);
   if (suspects.length) {
     fail(`stale team artifacts detected: ${suspects.join(', ')}`);
   }
 }
 
+// Another season's copies belong under archive/<season>/, which this never
+// descends into.
 function findStaleArtifacts(dir) {
   if (!fs.existsSync(dir)) return [];
   const entries = fs.readdirSync(dir);
-  return entries.filter((entry) => /2023|2024|backup|old/i.test(entry));
+  return entries.filter((entry) => /backup|old/i.test(entry) || seasonsIn(entry).some((season) => season !== TARGET_SEASON));
+}
+
+function seasonsIn(name) {
+  return (name.match(/(?<!\d)(?:19|20)\d{2}(?!\d)/g) || []).map(Number);
 }
 
 function fail(message) {
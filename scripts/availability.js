@@ -0,0 +1,54 @@
+// Availability chips shared by the homepage and the spotlight sidebar, read
+// from /data/team/availability.json (scripts/build_availability.js). Healthy
+// players have no entry and get no chip; "out" players are dropped from
+// featured picks.
+
+const AVAILABILITY_URL = "/data/team/availability.json";
+
+const STATUS = {
+  out: { label: "Out", color: "#b4232a", background: "#fde8e8" },
+  doubtful: { label: "Doubtful", color: "#b06a00", background: "#fdf0e1" },
+  questionable: { label: "Questionable", color: "#8a6100", background: "#fff6db" },
+  probable: { label: "Probable", color: "#0f7b4d", background: "#e7f6ee" },
+};
+
+let pending = null;
+
+/** Map of ESPN id (string) -> entry, fetched once per page; empty if the file is missing. */
+export function loadAvailability() {
+  if (!pending) {
+    pending = fetch(AVAILABILITY_URL, { cache: "no-cache" })
+      .then((res) => (res.ok ? res.json() : null))
+      .catch((err) => {
+        console.warn("Failed to load", AVAILABILITY_URL, err);
+        return null;
+      })
+      .then((payload) => new Map(Object.entries(payload?.players || {})));
+  }
+  return pending;
+}
+
+export function isOut(entry) {
+  return entry?.status === "out";
+}
+
+/** `<span class={className} data-status>` for the entry, or null when there is nothing to show. */
+export function createAvailabilityChip(entry, { className = "" } = {}) {
+  const status = STATUS[entry?.status];
+  if (!status) return null;
+  const chip = document.createElement("span");
+  chip.className = className;
+  chip.dataset.status = entry.status;
+  chip.textContent = entry.body_part ? `${status.label} · ${entry.body_part}` : status.label;
+  const detail = [entry.expected_return ? `Expected back: ${entry.expected_return}` : null, entry.note].filter(Boolean);
+  if (detail.length) chip.title = detail.join(" — ");
+  chip.style.display = "inline-block";
+  chip.style.marginLeft = "0.4rem";
+  chip.style.padding = "0.05rem 0.45rem";
+  chip.style.borderRadius = "999px";
+  chip.style.fontSize = "0.72rem";
+  chip.style.fontWeight = "700";
+  chip.style.color = status.color;
+  chip.style.background = status.background;
+  return chip;
+}
@@ -0,0 +1,42 @@
+// Player avatars shared by the homepage, the spotlight sidebar and the
+// compare page: the ESPN headshot when there is one, else the player's
+// initials. A headshot that fails to load (ESPN has none for many walk-ons)
+// falls back to the initials too.
+
+export function initialsFromName(name = "") {
+  return name
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((part) => part[0])
+    .join("")
+    .slice(0, 2)
+    .toUpperCase();
+}
+
+/**
+ * `<span class={className}>` holding the headshot or the initials.
+ * `fallback` is shown when the name has no initials either.
+ */
+export function createAvatar(player, { className = "", fallback = "" } = {}) {
+  const avatar = document.createElement("span");
+  avatar.className = className;
+  const initials = initialsFromName(player?.name || "") || fallback;
+  if (!player?.headshot) {
+    avatar.textContent = initials;
+    return avatar;
+  }
+  const img = document.createElement("img");
+  img.src = player.headshot;
+  img.alt = player.name || "Player headshot";
+  img.loading = "lazy";
+  img.referrerPolicy = "no-referrer";
+  img.style.width = "100%";
+  img.style.height = "100%";
+  img.style.objectFit = "cover";
+  img.style.display = "block";
+  img.addEventListener("error", () => {
+    avatar.textContent = initials;
+  }, { once: true });
+  avatar.append(img);
+  return avatar;
+}
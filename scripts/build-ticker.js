@@ -1,16 +1,48 @@
 /**
  * build-ticker.js
- * - Ensure data/ticker.json exists and has at least one item
- * - If CFBD key is present and you want to fetch real team stats, you can extend this file to call CFBD endpoints.
+ * - Computes the homepage ticker from CFBD play-by-play for every completed game:
+ *   yards/play, explosive play rate, 3rd-down conversion, success rate (offense)
+ *   and havoc rate (defense)
+ * - Each card shows the last game, with the last-3 window and season baseline in
+ *   the suffix; `trend` compares the last game to the season baseline
+ * - Without CFBD data it keeps the existing ticker, or writes a fallback so the
+ *   banner never says `undefined`
  *
- * For now this script guarantees the banner has something to show so your UI doesn't say `undefined`.
+ * Env: CFBD_KEY, TEAM_SLUG / TEAM, YEAR (default: the active season), CFBD_RECORD / CFBD_REPLAY
  */
 
 import fs from "fs/promises";
 import path from "path";
+import { resolveTeam, teamDataDir } from "./lib/teams.js";
+import { activeSeason } from "./lib/season.js";
+import { createCfbdClient, gameFields } from "./lib/cfbd.js";
+import { startRun, recordDataset, recordFallback, recordError } from "./lib/report.js";
 
-const DATA_DIR = path.resolve(process.cwd(), "data");
+const TEAM = resolveTeam();
+const YEAR = parseInt(process.env.YEAR || activeSeason(), 10);
+const DATA_DIR = teamDataDir(TEAM);
 const TICKER_FILE = path.join(DATA_DIR, "ticker.json");
+const CFBD = createCfbdClient({ team: TEAM.cfbdName, year: YEAR });
+
+// Explosive thresholds: 10+ yard runs, 20+ yard passes.
+const EXPLOSIVE = { rush: 10, pass: 20 };
+
+const PASS_TYPES = /pass|sack|interception/i;
+const SCRIMMAGE_TYPES = /rush|pass|sack|interception|fumble|safety/i;
+const NON_SCRIMMAGE = /punt|kickoff|field goal|extra point|two point|timeout|end of|penalty|blocked/i;
+
+// Per-metric trend tolerance before a card counts as up/down vs the season.
+const METRICS = [
+  { key: "yardsPerPlay", label: "Yards/Play", side: "offense", tolerance: 0.3, format: (v) => v.toFixed(1) },
+  { key: "explosiveRate", label: "Explosive play rate", side: "offense", tolerance: 0.02, format: pct },
+  { key: "thirdDownRate", label: "3rd-down conversion", side: "offense", tolerance: 0.04, format: pct },
+  { key: "successRate", label: "Success rate", side: "offense", tolerance: 0.03, format: pct },
+  { key: "havocRate", label: "Havoc rate (D)", side: "defense", tolerance: 0.02, format: pct },
+];
+
+function pct(v) {
+  return `${(v * 100).toFixed(1)}%`;
+}
 
 async function readTicker() {
   try {
@@ -22,46 +54,156 @@ async function readTicker() {
 }
 
 async function writeTicker(obj) {
-  await fs.writeFile(TICKER_FILE, JSON.stringify(obj, null, 2), "utf8");
+  await fs.mkdir(DATA_DIR, { recursive: true });
+  await fs.writeFile(TICKER_FILE, JSON.stringify(obj, null, 2) + "\n", "utf8");
+}
+
+function isScrimmage(play) {
+  const type = play.play_type ?? play.playType ?? "";
+  return SCRIMMAGE_TYPES.test(type) && !NON_SCRIMMAGE.test(type);
+}
+
+function playFields(play) {
+  const type = play.play_type ?? play.playType ?? "";
+  return {
+    gameId: play.game_id ?? play.gameId ?? null,
+    offense: play.offense,
+    defense: play.defense,
+    down: Number(play.down) || 0,
+    distance: Number(play.distance) || 0,
+    yards: Number(play.yards_gained ?? play.yardsGained) || 0,
+    type,
+    pass: PASS_TYPES.test(type),
+    touchdown: /touchdown/i.test(type) || /touchdown/i.test(play.play_text ?? play.playText ?? ""),
+  };
+}
+
+function isSuccess(p) {
+  if (p.touchdown) return true;
+  if (p.down === 1) return p.yards >= 0.5 * p.distance;
+  if (p.down === 2) return p.yards >= 0.7 * p.distance;
+  return p.yards >= p.distance;
+}
+
+function isHavoc(p) {
+  // Defensive havoc we can see in play-by-play: TFLs, sacks, picks, fumbles.
+  if (/sack|interception|fumble recovery \(opponent\)|fumble return/i.test(p.type)) return true;
+  return !p.pass && p.yards < 0;
+}
+
+function computeMetrics(plays) {
+  const off = plays.filter(p => p.offense === TEAM.cfbdName);
+  const def = plays.filter(p => p.defense === TEAM.cfbdName);
+  const third = off.filter(p => p.down === 3);
+  const ratio = (n, d) => (d ? n / d : null);
+  return {
+    plays: off.length,
+    yardsPerPlay: ratio(off.reduce((sum, p) => sum + p.yards, 0), off.length),
+    explosiveRate: ratio(off.filter(p => p.yards >= (p.pass ? EXPLOSIVE.pass : EXPLOSIVE.rush)).length, off.length),
+    thirdDownRate: ratio(third.filter(p => p.touchdown || p.yards >= p.distance).length, third.length),
+    successRate: ratio(off.filter(isSuccess).length, off.length),
+    havocRate: ratio(def.filter(isHavoc).length, def.length),
+  };
+}
+
+async function loadGamePlays() {
+  const games = (await CFBD.get("/games", { year: YEAR, team: TEAM.cfbdName, seasonType: "regular" }))
+    .map(gameFields)
+    .filter(g => g.completed && g.id)
+    .sort((a, b) => new Date(a.startDate) - new Date(b.startDate));
+
+  const byGame = [];
+  for (const game of games) {
+    const plays = await CFBD.get("/plays", { year: YEAR, week: game.week, team: TEAM.cfbdName, seasonType: "regular" });
+    const scrimmage = (plays || [])
+      .filter(isScrimmage)
+      .map(playFields)
+      .filter(p => p.gameId == null || String(p.gameId) === String(game.id));
+    if (scrimmage.length) byGame.push({ game, plays: scrimmage });
+  }
+  return byGame;
+}
+
+function buildItems(byGame) {
+  const windows = {
+    last: computeMetrics(byGame.at(-1).plays),
+    last3: computeMetrics(byGame.slice(-3).flatMap(g => g.plays)),
+    season: computeMetrics(byGame.flatMap(g => g.plays)),
+  };
+
+  return METRICS.filter(m => windows.last[m.key] != null).map(m => {
+    const last = windows.last[m.key];
+    const base = windows.season[m.key];
+    const l3 = windows.last3[m.key];
+    let trend;
+    if (base != null && byGame.length > 1) {
+      if (last - base > m.tolerance) trend = "good";
+      else if (base - last > m.tolerance) trend = "bad";
+    }
+    return {
+      label: m.label,
+      value: m.format(last),
+      suffix: [l3 != null ? `L3 ${m.format(l3)}` : null, base != null ? `season ${m.format(base)}` : null]
+        .filter(Boolean)
+        .join(" · "),
+      ...(trend ? { trend } : {}),
+      context: m.side,
+      windows: {
+        last: round(last),
+        last3: round(l3),
+        season: round(base),
+      },
+    };
+  });
+}
+
+function round(v) {
+  return v == null ? null : Math.round(v * 1000) / 1000;
 }
 
 async function run() {
-  const current = await readTicker();
+  startRun("build-ticker", { team: TEAM, season: YEAR });
+  let byGame = [];
+  try {
+    byGame = await loadGamePlays();
+  } catch (err) {
+    console.warn("[build-ticker] CFBD play-by-play unavailable:", err.message);
+    recordFallback("ticker", `CFBD play-by-play unavailable (${err.message})`);
+  }
+
+  if (byGame.length) {
+    const items = buildItems(byGame);
+    if (items.length) {
+      await writeTicker(items);
+      const last = byGame.at(-1).game;
+      recordDataset("ticker", { file: "ticker.json", provider: "cfbd", rows: items.length, status: "written", note: `${byGame.length} games` });
+      console.log(`[build-ticker] wrote ${items.length} metrics (last game ${last.id}, ${byGame.length} games in season)`);
+      return;
+    }
+  }
 
-  if (current && Array.isArray(current.items) && current.items.length > 0) {
+  const current = await readTicker();
+  if (Array.isArray(current) && current.length > 0) {
     console.log("[build-ticker] existing ticker found; leaving intact");
+    recordDataset("ticker", { file: "ticker.json", provider: "cache", rows: current.length, status: "kept" });
     return;
   }
 
   // Fallback ticker so the banner shows something
-  const fallback = {
-    year: process.env.YEAR || "2025",
-    team: process.env.TEAM || "Kentucky",
-    lastWeek: process.env.LASTWEEK ? Number(process.env.LASTWEEK) : 8,
-    items: [
-      {
-        label: "Yards/Play (UK)",
-        value: 5.7,
-        context: "offense"
-      },
-      {
-        label: "EPA/Play last 3",
-        value: "+0.08",
-        context: "offense"
-      },
-      {
-        label: "Havoc Allowed",
-        value: "42%",
-        context: "defense"
-      }
-    ]
-  };
+  const fallback = [
+    { label: "Yards/Play", value: "—", suffix: "awaiting play-by-play", context: "offense" },
+    { label: "Success rate", value: "—", suffix: "awaiting play-by-play", context: "offense" },
+    { label: "Havoc rate (D)", value: "—", suffix: "awaiting play-by-play", context: "defense" },
+  ];
 
   await writeTicker(fallback);
-  console.log("[build-ticker] wrote fallback ticker.json with 3 items");
+  recordDataset("ticker", { file: "ticker.json", provider: null, rows: fallback.length, status: "written", note: "placeholder cards" });
+  recordFallback("ticker", "no play-by-play and no previous ticker; wrote placeholders");
+  console.log(`[build-ticker] wrote fallback ticker.json with ${fallback.length} items`);
 }
 
 run().catch((err) => {
   console.error("[build-ticker] error:", err);
+  recordError(err);
   process.exitCode = 1;
 });
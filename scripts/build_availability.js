@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+/**
+ * Player availability (injury / suspension status) for the roster.
+ * - Hand-maintained entries from config/availability.json, keyed by team slug
+ *   then player name (or ESPN id); see lib/availability.js for the statuses
+ * - Optional provider feed: the `injuries` on ESPN's team roster payload.
+ *   A manual entry always wins, and `"status": "available"` clears a
+ *   provider entry that is out of date
+ * - Every entry is checked against the canonical roster: names go through
+ *   lib/resolver.js, ids must be on the roster; anything else is left out
+ *   and listed in the log
+ * - Writes <data dir>/team/availability.json. When the provider fails, its
+ *   entries from the previous file are kept
+ *
+ * Env: TEAM_SLUG / TEAM, YEAR (default: the active season),
+ *      AVAILABILITY_PROVIDER (espn | none; default espn), ESPN_RECORD / ESPN_REPLAY
+ */
+import path from 'path';
+import { writeJSON, readJSON, unchanged } from './lib/stability.js';
+import { createEspnClient } from './lib/espn.js';
+import { resolveTeam, teamRosterDir, ROOT } from './lib/teams.js';
+import { activeSeason } from './lib/season.js';
+import { createIdResolver, loadIdOverrides, describeResolution } from './lib/resolver.js';
+import { AVAILABILITY_STATUSES, CLEARED, espnInjuries, loadManualAvailability } from './lib/availability.js';
+import { startRun, recordDataset, recordFallback, recordError } from './lib/report.js';
+
+const TEAM = resolveTeam();
+const YEAR = Number.parseInt(process.env.YEAR || activeSeason(), 10);
+const PROVIDER = (process.env.AVAILABILITY_PROVIDER || 'espn').toLowerCase();
+const TEAM_DIR = teamRosterDir(TEAM);
+const OUT_PATH = path.join(TEAM_DIR, 'availability.json');
+const ESPN = createEspnClient({ team: TEAM.slug, year: YEAR });
+
+/** `{ entries, failed }`; a failed provider falls back to its entries in the previous file. */
+async function providerEntries(previous) {
+  if (PROVIDER === 'none') return { entries: [], failed: false };
+  if (PROVIDER !== 'espn') throw new Error(`unknown AVAILABILITY_PROVIDER "${PROVIDER}" (use espn or none)`);
+  try {
+    const payload = await ESPN.get(`/teams/${TEAM.espnId}/roster`);
+    return { entries: espnInjuries(payload), failed: false };
+  } catch (error) {
+    warn(`ESPN roster injuries failed: ${error.message}`);
+    recordFallback('availability', `ESPN injuries unavailable (${error.message}); kept the previous ESPN entries`);
+    const kept = Object.entries(previous?.players || {})
+      .filter(([, entry]) => entry.source === 'espn')
+      .map(([id, entry]) => ({ ...entry, id: Number(id) }));
+    return { entries: kept, failed: true };
+  }
+}
+
+function publishEntry(player, entry, source) {
+  return {
+    name: player.name,
+    pos: player.pos ?? null,
+    status: entry.status,
+    body_part: entry.body_part ?? null,
+    expected_return: entry.expected_return ?? null,
+    note: entry.note ?? null,
+    source,
+    updated_at: entry.updated_at ?? null
+  };
+}
+
+async function main() {
+  startRun('build_availability', { team: TEAM, season: YEAR });
+  const roster = readJSON(path.join(TEAM_DIR, 'roster.json'), []);
+  if (!Array.isArray(roster) || !roster.length) {
+    recordFallback('availability', 'no roster; kept the previous file');
+    recordDataset('availability', { file: 'team/availability.json', provider: 'cache', rows: 0, status: 'kept' });
+    warn(`no roster at ${path.relative(ROOT, path.join(TEAM_DIR, 'roster.json'))}; run the roster build first`);
+    return;
+  }
+
+  const previous = readJSON(OUT_PATH, null);
+  const manual = loadManualAvailability(TEAM);
+  const provider = await providerEntries(previous);
+
+  const byId = new Map(roster.map((player) => [Number(player.id), player]));
+  const ids = createIdResolver(roster, { overrides: loadIdOverrides(TEAM) });
+  const players = new Map();
+  const skipped = [];
+
+  for (const entry of provider.entries) {
+    const player = byId.get(entry.id);
+    if (!player) {
+      skipped.push(`${entry.name || entry.id} (espn id ${entry.id} is not on the roster)`);
+      continue;
+    }
+    players.set(player.id, publishEntry(player, entry, 'espn'));
+  }
+  for (const entry of manual) {
+    const player = entry.id != null ? byId.get(entry.id) : ids.resolve({ name: entry.name });
+    if (!player) {
+      skipped.push(`${entry.key} (config/availability.json; not on the roster)`);
+      continue;
+    }
+    if (entry.status === CLEARED) players.delete(player.id);
+    else players.set(player.id, publishEntry(player, entry, 'manual'));
+  }
+
+  const severity = (entry) => AVAILABILITY_STATUSES.indexOf(entry.status);
+  const sorted = [...players.entries()].sort(([, a], [, b]) => severity(a) - severity(b) || a.name.localeCompare(b.name));
+  const sources = {
+    manual: sorted.filter(([, entry]) => entry.source === 'manual').length,
+    espn: sorted.filter(([, entry]) => entry.source === 'espn').length
+  };
+
+  const payload = {
+    season: YEAR,
+    team: TEAM.slug,
+    generated_at: new Date().toISOString(),
+    sources,
+    players: Object.fromEntries(sorted.map(([id, entry]) => [String(id), entry]))
+  };
+  // No status changes, no rewrite.
+  const same = unchanged(readJSON(OUT_PATH, null), payload);
+  if (!same) writeJSON(OUT_PATH, payload);
+  recordDataset('availability', {
+    file: 'team/availability.json',
+    provider: provider.failed ? 'manual+cache' : PROVIDER === 'none' ? 'manual' : 'manual+espn',
+    rows: sorted.length,
+    status: same ? 'kept' : 'written',
+    note: `${same ? 'unchanged; ' : ''}${sorted.filter(([, entry]) => entry.status === 'out').length} out; ${sources.manual} manual, ${sources.espn} from ESPN`
+  });
+  for (const line of skipped) warn(`availability: skipped ${line}`);
+  if (skipped.length) recordFallback('availability', `${skipped.length} entr${skipped.length === 1 ? 'y' : 'ies'} not on the roster`);
+  for (const line of describeResolution(ids.report())) console.log(line);
+  console.log(`✅ availability for ${TEAM.cfbdName} — ${sorted.length} player(s) listed`);
+}
+
+function warn(message) {
+  console.warn(`⚠️  ${message}`);
+}
+
+main().catch((error) => {
+  recordError(error);
+  recordFallback('availability', 'kept the previous file');
+  console.error('❌ availability build failed:', error.message);
+  process.exitCode = 1;
+});
@@ -1,49 +1,37 @@
 // scripts/build_cfbd.js
 // Usage: TEAM="Kentucky" YEAR=2025 node scripts/build_cfbd.js
-// Builds a merged roster + stat snapshot for the given team and season.
-// Designed for GitHub Actions (requires CFBD_API_KEY secret). No browser usage.
+//        TEAM_SLUG=florida YEAR=2025 node scripts/build_cfbd.js
+// Builds a merged roster + stat snapshot for the given team and season: canonical
+// player records (scripts/lib/player.js) from the CFBD provider plus a `stats` object.
+// Designed for GitHub Actions (requires CFBD_KEY secret). No browser usage.
 
 import { mkdir, writeFile } from 'node:fs/promises';
 import { resolve } from 'node:path';
-
-const TEAM = process.env.TEAM || 'Kentucky';
-const YEAR = Number.parseInt(process.env.YEAR || '2025', 10);
+import { resolveTeam, teamRosterDir } from './lib/teams.js';
+import { activeSeason } from './lib/season.js';
+import { readJSON } from './lib/stability.js';
+import { updateRosterChanges, describeRosterChanges } from './lib/roster_changes.js';
+import { createCfbdClient } from './lib/cfbd.js';
+import { buildRosterPlus } from './lib/player.js';
+import { runProviderChain } from './lib/providers/index.js';
+import { startRun, recordDataset, recordFallback, recordError } from './lib/report.js';
+
+const TEAM_CONFIG = resolveTeam();
+const TEAM = TEAM_CONFIG.cfbdName;
+const YEAR = Number.parseInt(process.env.YEAR || activeSeason(), 10);
 const KEY = process.env.CFBD_KEY;
-const DATA_DIR = resolve(process.cwd(), 'data', 'team');
+const DATA_DIR = teamRosterDir(TEAM_CONFIG);
 
+startRun('build_cfbd', { team: TEAM_CONFIG, season: YEAR });
 if (!KEY) {
+  recordError('CFBD_KEY env var is required');
   throw new Error('CFBD_KEY env var is required');
 }
 if (!Number.isFinite(YEAR)) {
   throw new Error('YEAR must be a number (e.g. 2025)');
 }
 
-async function cfbd(path, params = {}) {
-  const qs = new URLSearchParams(params);
-  const url = `https://api.collegefootballdata.com${path}${qs.toString() ? `?${qs}` : ''}`;
-  const res = await fetch(url, {
-    headers: {
-      Authorization: `Bearer ${KEY}`,
-      'Content-Type': 'application/json',
-    },
-  });
-  if (!res.ok) {
-    const text = await res.text();
-    throw new Error(`CFBD ${path} failed (${res.status}): ${text}`);
-  }
-  return res.json();
-}
-
-function headshotUrl(espnId) {
-  return espnId ? `https://a.espncdn.com/i/headshots/college-football/players/full/${espnId}.png` : '';
-}
-
-function initialsFrom(first, last) {
-  const safeFirst = (first || '').trim();
-  const safeLast = (last || '').trim();
-  const init = `${safeFirst.charAt(0)}${safeLast.charAt(0)}`.toUpperCase();
-  return init || 'UK';
-}
+const CFBD = createCfbdClient({ team: TEAM, year: YEAR });
 
 function statKeyForSeasonRow(row) {
   if (row == null || typeof row !== 'object') return null;
@@ -55,13 +43,8 @@ function statKeyForSeasonRow(row) {
   return `name:${player}|${pos}`;
 }
 
-function rosterKey(player) {
-  const id = player.athleteId || player.id;
-  if (id) return `id:${id}`;
-  const full = `${player.firstName || ''} ${player.lastName || ''}`.trim().toLowerCase();
-  const pos = (player.position || '').trim().toLowerCase();
-  if (!full) return null;
-  return `name:${full}|${pos}`;
+function rosterKeys(player) {
+  return [`id:${player.id}`, `name:${player.name.toLowerCase()}|${(player.pos || '').toLowerCase()}`];
 }
 
 function cleanNumber(value) {
@@ -96,13 +79,17 @@ function normalizeSeasonStats(raw) {
 }
 
 async function main() {
-  const [roster, statsRaw] = await Promise.all([
-    cfbd('/roster', { team: TEAM, year: YEAR }),
-    cfbd('/player/season', { team: TEAM, year: YEAR }).catch(async () => {
+  const [chain, statsRaw] = await Promise.all([
+    runProviderChain(['cfbd'], { team: TEAM_CONFIG, season: YEAR }),
+    CFBD.get('/player/season', { team: TEAM, year: YEAR }).catch(async () => {
       // Fallback for older accounts where the endpoint lives under /stats/player/season
-      return cfbd('/stats/player/season', { team: TEAM, year: YEAR });
+      recordFallback('roster', 'season stats from /stats/player/season');
+      return CFBD.get('/stats/player/season', { team: TEAM, year: YEAR });
     }),
   ]);
+  if (!chain.players.length) {
+    throw new Error(`CFBD roster unavailable: ${chain.attempts.map((a) => a.error).join(' | ')}`);
+  }
 
   const statIndex = new Map();
   for (const row of statsRaw) {
@@ -111,46 +98,35 @@ async function main() {
     statIndex.set(key, row);
   }
 
-  const merged = roster.map((player) => {
-    const key = rosterKey(player);
-    const statRow = key ? statIndex.get(key) : undefined;
-    const fullName = `${player.firstName || ''} ${player.lastName || ''}`.trim();
-    const espnId = player.athleteId || player.espnId || player.espnID || null;
-    return {
-      athleteId: espnId ? String(espnId) : null,
-      name: fullName || player.displayName || player.name || null,
-      firstName: player.firstName || null,
-      lastName: player.lastName || null,
-      position: player.position || null,
-      jersey: player.jersey ?? null,
-      height: player.height ?? null,
-      weight: player.weight ?? null,
-      year: player.year || null,
-      hometown: player.hometown || null,
-      headshot: headshotUrl(espnId),
-      initials: initialsFrom(player.firstName, player.lastName),
-      stats: normalizeSeasonStats(statRow) || null,
-    };
+  const merged = chain.players.map((player) => {
+    const statRow = rosterKeys(player).map((key) => statIndex.get(key)).find(Boolean);
+    return { ...player, stats: normalizeSeasonStats(statRow) || null };
   });
 
   await mkdir(DATA_DIR, { recursive: true });
 
-  const rosterPath = resolve(DATA_DIR, 'roster.json');
-  const metaPath = resolve(DATA_DIR, 'roster_meta.json');
   const meta = {
-    team: TEAM,
-    year: YEAR,
+    teamId: TEAM_CONFIG.espnId,
+    team: TEAM_CONFIG.slug,
+    season: YEAR,
+    source: 'cfbd',
+    provider: chain.provider,
+    providers: chain.attempts,
     generated_at: new Date().toISOString(),
     players: merged.length,
   };
 
-  await writeFile(rosterPath, `${JSON.stringify(merged, null, 2)}\n`, 'utf8');
-  await writeFile(metaPath, `${JSON.stringify(meta, null, 2)}\n`, 'utf8');
+  for (const line of describeRosterChanges(updateRosterChanges(DATA_DIR, merged, { team: TEAM_CONFIG.slug, season: YEAR }))) console.log(line);
+  await writeFile(resolve(DATA_DIR, 'roster.json'), `${JSON.stringify(merged, null, 2)}\n`, 'utf8');
+  await writeFile(resolve(DATA_DIR, 'roster_meta.json'), `${JSON.stringify(meta, null, 2)}\n`, 'utf8');
+  await writeFile(resolve(DATA_DIR, 'roster_plus.json'), `${JSON.stringify(buildRosterPlus(merged, readJSON(resolve(DATA_DIR, 'roster_plus.json'), null)), null, 2)}\n`, 'utf8');
 
+  recordDataset('roster', { file: 'team/roster.json', provider: chain.provider, rows: merged.length, status: 'written', note: `${statIndex.size} stat rows` });
   console.log(`Wrote roster for ${TEAM} ${YEAR} with ${merged.length} players.`);
 }
 
 main().catch((err) => {
+  recordError(err);
   console.error(err);
   process.exitCode = 1;
 });
@@ -0,0 +1,272 @@
+#!/usr/bin/env node
+/**
+ * Depth chart: starters and backups per position.
+ * - Ranks players by snaps in this season's completed games when
+ *   config/snap_counts.json has them (see lib/usage.js), then by box-score
+ *   participation (CFBD /games/players); recent games weigh more, so a new
+ *   starter moves up within a couple of weeks
+ * - Snap counts cover every position; without them the box score can't see
+ *   OL and specialists, so those (and seasons without box scores) fall back
+ *   to the hand-maintained config/depth_chart.json
+ * - Names are joined to the canonical roster with lib/resolver.js; players it
+ *   can't place are listed with a null id
+ * - Writes <data dir>/team/depth_chart.json; keeps the previous chart when
+ *   neither source has anyone to list
+ *
+ * Env: CFBD_KEY, TEAM_SLUG / TEAM, YEAR (default: the active season), CFBD_RECORD / CFBD_REPLAY
+ */
+import fs from 'fs';
+import path from 'path';
+import { writeJSON, readJSON, unchanged } from './lib/stability.js';
+import { createCfbdClient, gameFields, normalizeGamePlayerRows } from './lib/cfbd.js';
+import { resolveTeam, teamRosterDir, ROOT } from './lib/teams.js';
+import { activeSeason } from './lib/season.js';
+import { createIdResolver, loadIdOverrides, normalizeName, describeResolution } from './lib/resolver.js';
+import { sideForPosition } from './lib/player.js';
+import { loadSnapCounts, snapKey } from './lib/usage.js';
+import { startRun, recordDataset, recordFallback, recordError } from './lib/report.js';
+
+const MANUAL_PATH = path.join(ROOT, 'config', 'depth_chart.json');
+
+// Starters per position; the chart lists BACKUPS more behind them.
+const FORMATION = {
+  offense: { QB: 1, RB: 1, WR: 3, TE: 1, OL: 5 },
+  defense: { DL: 4, LB: 2, DB: 5 },
+  special_teams: { PK: 1, P: 1, LS: 1 }
+};
+const BACKUPS = 2;
+const REPORT_PROVIDER = { snaps: 'snap_counts', 'box-score': 'cfbd', manual: 'manual' };
+// Weight of a game relative to the one after it.
+const RECENCY = 0.75;
+
+// Box-score and roster positions are finer than the chart's.
+const POSITION_ALIASES = {
+  HB: 'RB', TB: 'RB', FB: 'RB',
+  SB: 'WR',
+  OT: 'OL', OG: 'OL', T: 'OL', G: 'OL', C: 'OL', IOL: 'OL',
+  DE: 'DL', DT: 'DL', NT: 'DL', EDGE: 'DL',
+  ILB: 'LB', OLB: 'LB', MLB: 'LB',
+  CB: 'DB', S: 'DB', FS: 'DB', SS: 'DB', NB: 'DB',
+  K: 'PK'
+};
+
+const TEAM = resolveTeam();
+const YEAR = Number.parseInt(process.env.YEAR || activeSeason(), 10);
+const OUT_PATH = path.join(teamRosterDir(TEAM), 'depth_chart.json');
+const CFBD = createCfbdClient({ team: TEAM.cfbdName, year: YEAR });
+
+function chartPosition(pos) {
+  const want = String(pos || '').toUpperCase();
+  return POSITION_ALIASES[want] || want;
+}
+
+function unitFor(pos) {
+  return Object.keys(FORMATION).find((unit) => FORMATION[unit][pos] != null) || null;
+}
+
+const n = (value) => (Number.isFinite(Number(value)) ? Number(value) : 0);
+
+// Touches on offense, plays made on defense. A player with some other stat
+// (yards without attempts, a fumble recovery) still counts as having played;
+// zero means the player isn't in the box score.
+function usage(row, pos) {
+  const touches = sideForPosition(pos) === 'offense'
+    ? n(row.passAttempts) + n(row.rushingAttempts) + n(row.receptions)
+    : n(row.tackles) + n(row.sacks) + n(row.passesDefended) + n(row.interceptionsDef);
+  if (touches > 0) return touches;
+  return Object.entries(row).some(([key, value]) => !['id', 'name', 'pos', 'cmpAtt'].includes(key) && n(value) > 0) ? 1 : 0;
+}
+
+/**
+ * Per-player participation across `games` (oldest first), from each game's
+ * box score and snap counts: Map of key -> { player, pos, games, usage,
+ * snaps, snap_total }, where `usage` and `snaps` are recency-weighted.
+ */
+function participation(games, ids, snapCounts) {
+  const players = new Map();
+  const entry = (player, pos) => {
+    const key = player.id != null ? `id:${player.id}` : `name:${normalizeName(player.name)}`;
+    if (!players.has(key)) players.set(key, { player, pos, games: 0, usage: 0, snaps: 0, snap_total: 0, seen: -1 });
+    return players.get(key);
+  };
+  const played = (record, index) => {
+    if (record.seen === index) return;
+    record.seen = index;
+    record.games += 1;
+  };
+
+  games.forEach(({ game, rows }, index) => {
+    const weight = RECENCY ** (games.length - 1 - index);
+    for (const row of rows) {
+      const known = ids.resolve({ ...row, side: sideForPosition(row.pos) });
+      const pos = chartPosition(known?.pos || row.pos);
+      const used = usage(row, pos);
+      if (!unitFor(pos) || used <= 0) continue;
+      const record = entry(known || { id: null, name: row.name, number: null }, pos);
+      played(record, index);
+      record.usage += used * weight;
+    }
+    // Snap counts name roster players only: the position comes from the roster.
+    for (const [name, count] of Object.entries(snapCounts[snapKey(game)] || {})) {
+      const known = ids.resolve({ name });
+      const pos = chartPosition(known?.pos);
+      if (!known || !unitFor(pos) || !(n(count) > 0)) continue;
+      const record = entry(known, pos);
+      played(record, index);
+      record.snaps += n(count) * weight;
+      record.snap_total += n(count);
+    }
+  });
+  return players;
+}
+
+/** Completed games (oldest first) with their box-score rows; `rows` is empty when CFBD had none. */
+async function completedGames() {
+  let schedule;
+  try {
+    schedule = await CFBD.get('/games', { year: YEAR, team: TEAM.cfbdName, seasonType: 'both' });
+  } catch (error) {
+    warn(`CFBD /games failed: ${error.message}`);
+    recordFallback('depth_chart', `CFBD /games failed (${error.message})`);
+    return [];
+  }
+  const completed = (schedule || [])
+    .map(gameFields)
+    .filter((game) => game.completed && game.id != null)
+    .sort((a, b) => new Date(a.startDate) - new Date(b.startDate));
+
+  const games = [];
+  for (const game of completed) {
+    try {
+      const payload = await CFBD.get('/games/players', { gameId: game.id, team: TEAM.cfbdName });
+      games.push({ game, rows: normalizeGamePlayerRows(payload), boxScore: true });
+    } catch (error) {
+      warn(`CFBD /games/players failed (game ${game.id}): ${error.message}`);
+      recordFallback('depth_chart', `no box score for game ${game.id} (${error.message})`);
+      games.push({ game, rows: [], boxScore: false });
+    }
+  }
+  return games;
+}
+
+/** `{ "<slug>": { "<POS>": ["Starter", "Backup", ...] } }` */
+function loadManualChart() {
+  let all = {};
+  try {
+    all = JSON.parse(fs.readFileSync(MANUAL_PATH, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw new Error(`${path.basename(MANUAL_PATH)}: ${error.message}`);
+  }
+  return all?.[TEAM.slug] || {};
+}
+
+function shapePlayer(player, { depth, starter, games = 0, usage: used = 0, snap_total: snaps = 0, source }) {
+  return {
+    id: player.id ?? null,
+    name: player.name,
+    number: player.number ?? null,
+    headshot: player.headshot ?? null,
+    depth,
+    starter,
+    games,
+    usage: Math.round(used * 10) / 10,
+    snaps: snaps > 0 ? snaps : null,
+    source
+  };
+}
+
+function buildPosition(pos, starters, ranked, manualNames, ids) {
+  const listed = [];
+  const seen = new Set();
+  const add = (player, source, stats = {}) => {
+    const key = player.id != null ? `id:${player.id}` : `name:${normalizeName(player.name)}`;
+    if (seen.has(key) || listed.length >= starters + BACKUPS) return;
+    seen.add(key);
+    listed.push({ player, source, stats });
+  };
+
+  for (const entry of ranked) add(entry.player, entry.snaps > 0 ? 'snaps' : 'box-score', entry);
+  for (const name of manualNames) {
+    const known = ids.resolve({ name, pos, side: sideForPosition(pos) });
+    add(known || { id: null, name, number: null }, 'manual');
+  }
+
+  return {
+    pos,
+    starters,
+    players: listed.map(({ player, source, stats }, index) =>
+      shapePlayer(player, { ...stats, depth: index + 1, starter: index < starters, source })
+    )
+  };
+}
+
+function chartSources(units) {
+  return new Set(Object.values(units).flat().flatMap((position) => position.players.map((player) => player.source)));
+}
+
+async function main() {
+  startRun('build_depth_chart', { team: TEAM, season: YEAR });
+  const roster = readJSON(path.join(teamRosterDir(TEAM), 'roster.json'), []);
+  const ids = createIdResolver(Array.isArray(roster) ? roster : [], { overrides: loadIdOverrides(TEAM) });
+  const manual = loadManualChart();
+  const snapCounts = loadSnapCounts(TEAM);
+  const games = await completedGames();
+  const players = [...participation(games, ids, snapCounts).values()];
+  const boxScoreGames = games.filter((entry) => entry.boxScore).length;
+  const snapGames = games.filter(({ game }) => Object.keys(snapCounts[snapKey(game)] || {}).length).length;
+
+  const units = {};
+  for (const [unit, positions] of Object.entries(FORMATION)) {
+    units[unit] = Object.entries(positions).map(([pos, starters]) => {
+      const ranked = players
+        .filter((entry) => entry.pos === pos)
+        // Snaps say who started; touches only rank players without snap counts.
+        .sort((a, b) => b.snaps - a.snaps || b.usage - a.usage || b.games - a.games || a.player.name.localeCompare(b.player.name));
+      return buildPosition(pos, starters, ranked, manual[pos] || [], ids);
+    });
+  }
+
+  const listed = Object.values(units).flat().reduce((sum, position) => sum + position.players.length, 0);
+  if (!listed) {
+    recordFallback('depth_chart', 'no snap-count, box-score or manual depth; kept the previous chart');
+    recordDataset('depth_chart', { file: 'team/depth_chart.json', provider: 'cache', rows: 0, status: 'kept' });
+    warn(`no depth chart data for ${TEAM.cfbdName} ${YEAR}; kept ${path.relative(ROOT, OUT_PATH)}`);
+    return;
+  }
+
+  const latest = games.filter((entry) => entry.boxScore || Object.keys(snapCounts[snapKey(entry.game)] || {}).length).at(-1)?.game;
+  const sources = chartSources(units);
+  const chart = {
+    season: YEAR,
+    team: TEAM.slug,
+    generated_at: new Date().toISOString(),
+    source: sources.size > 1 ? 'mixed' : [...sources][0],
+    games: boxScoreGames,
+    snap_games: snapGames,
+    through_week: latest?.week ?? null,
+    ...units
+  };
+
+  const same = unchanged(readJSON(OUT_PATH, null), chart);
+  if (!same) writeJSON(OUT_PATH, chart);
+  recordDataset('depth_chart', {
+    file: 'team/depth_chart.json',
+    provider: [...sources].map((source) => REPORT_PROVIDER[source]).join('+'),
+    rows: listed,
+    status: same ? 'kept' : 'written',
+    note: `${same ? 'unchanged; ' : ''}${boxScoreGames} box score(s), ${snapGames} game(s) with snap counts`
+  });
+  for (const line of describeResolution(ids.report())) console.log(line);
+  console.log(`✅ depth chart for ${TEAM.cfbdName} ${YEAR} — ${listed} players from ${boxScoreGames} box score(s) and ${snapGames} snap count(s) (${chart.source})`);
+}
+
+function warn(message) {
+  console.warn(`⚠️  ${message}`);
+}
+
+main().catch((error) => {
+  recordError(error);
+  recordFallback('depth_chart', 'kept the previous chart');
+  console.error('❌ depth chart build failed:', error.message);
+  process.exitCode = 1;
+});
@@ -1,33 +1,36 @@
 #!/usr/bin/env node
-import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
-import fetch from 'node-fetch';
-import { DRY, LOG, writeJSON, retry, readJSON } from './lib/stability.js';
-
-const TEAM_ID = Number(process.env.TEAM_ID || 96);
-const DEFAULT_SEASON = 2025;
-const TARGET_SEASON = Number(process.env.SEASON || DEFAULT_SEASON);
+import { DRY, writeJSON, readJSON } from './lib/stability.js';
+import { resolveTeam, teamDataDir } from './lib/teams.js';
+import { activeSeason } from './lib/season.js';
+import { canonicalizeRoster, buildRosterPlus, headshotUrl } from './lib/player.js';
+import { PROVIDERS, chainFromEnv, runProviderChain } from './lib/providers/index.js';
+import { fixtureDir } from './lib/providers/fixture.js';
+import { createIdResolver, loadIdOverrides, describeResolution } from './lib/resolver.js';
+import { updateRosterChanges, describeRosterChanges } from './lib/roster_changes.js';
+import { startRun, recordDataset, recordFallback, recordValidation, recordError } from './lib/report.js';
+
+const TEAM = resolveTeam();
+const TEAM_ID = TEAM.espnId;
+const TARGET_SEASON = Number(process.env.SEASON || activeSeason());
 const STRICT_SEASON = (process.env.STRICT_SEASON ?? 'true').toLowerCase() === 'true';
 const PURGE_IF_SEASON_MISMATCH = (process.env.PURGE_IF_SEASON_MISMATCH ?? 'true').toLowerCase() === 'true';
-const ESPN_BACKOFF = parseBackoff(process.env.ESPN_BACKOFF || '250,600,1200');
-const ESPN_TIMEOUT = Number(process.env.ESPN_TIMEOUT || 9000);
-
-const ESPN_ROSTER_URL = `https://www.espn.com/college-football/team/roster/_/id/${TEAM_ID}/kentucky-wildcats`;
-const ESPN_TEAM_API = `https://site.web.api.espn.com/apis/site/v2/sports/football/college-football/teams/${TEAM_ID}?enable=roster`;
+const PROVIDER_CHAIN = chainFromEnv();
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const ROOT = path.join(__dirname, '..');
-const DATA_DIR = path.join(ROOT, 'data');
+const DATA_DIR = teamDataDir(TEAM);
 const TEAM_DIR = path.join(DATA_DIR, 'team');
+const FIXTURE_DIR = fixtureDir(TEAM);
 const ROSTER_PATH = path.join(TEAM_DIR, 'roster.json');
 const META_PATH = path.join(TEAM_DIR, 'roster_meta.json');
 const ROSTER_PLUS_PATH = path.join(TEAM_DIR, 'roster_plus.json');
-const STATUS_DIR = path.join(ROOT, 'artifacts', 'status');
 
 let usedLastGood = false;
+// Which provider produced the published roster, plus every attempt in order.
+let winningProvider = null;
+let providerAttempts = [];
 
 async function main() {
+  startRun('build_espn_roster', { team: TEAM, season: TARGET_SEASON });
   try {
     let { players, detectedSeason, seasonResolvedFrom } = await loadRoster();
 
@@ -40,7 +43,7 @@ async function main() {
 
     if (!Array.isArray(players) || players.length === 0) {
       warn('ESPN roster empty; attempt last-good reuse or alt provider');
-      const fallback = loadLastGoodRoster({ targetSeason, strict });
+      const fallback = await loadLastGoodRoster({ targetSeason, strict });
       if (!fallback) {
         throw new Error('No roster data available after fallback attempts');
       }
@@ -53,12 +56,13 @@ async function main() {
       } else if (purgeIfMismatch) {
         throw new Error('Season mismatch; aborting roster write to prevent publishing wrong year');
       } else {
-        const cached = readSafe('data/team/roster_meta.json', null);
+        const cached = readJSON(META_PATH, null);
         if (!cached || Number(cached.season) !== targetSeason) {
           throw new Error('Season mismatch and last-good not for target season');
         }
         info('Reusing last-good roster for correct season');
-        const fallback = loadLastGoodRoster({ targetSeason, strict: true });
+        recordFallback('roster', `detected season ${detected} != ${targetSeason}; reused the last-good roster`);
+        const fallback = await loadLastGoodRoster({ targetSeason, strict: true });
         if (!fallback) {
           throw new Error('Season mismatch and last-good roster unavailable for target season');
         }
@@ -70,7 +74,7 @@ async function main() {
       throw new Error('No roster payload available after fallbacks');
     }
 
-    const normalized = normalizeRoster(players);
+    const normalized = canonicalizeRoster(players);
     const idCoverage = computeIdCoverage(normalized);
 
     if (!normalized.length) {
@@ -79,254 +83,72 @@ async function main() {
 
     const meta = {
       teamId: TEAM_ID,
+      team: TEAM.slug,
       season: targetSeason,
       source: source || 'espn',
+      provider: winningProvider,
+      providers: providerAttempts,
       strict,
       lastGoodReuse: usedLastGood,
       generated_at: new Date().toISOString()
     };
 
+    // A reused roster is the published one (or a fixture); diffing it would
+    // only invent moves.
+    if (!usedLastGood) {
+      for (const line of describeRosterChanges(updateRosterChanges(TEAM_DIR, normalized, { team: TEAM.slug, season: targetSeason }))) info(line);
+    }
     writeJSON(ROSTER_PATH, normalized);
     writeJSON(META_PATH, meta);
 
-    const rosterPlus = buildRosterPlus(normalized);
+    const rosterPlus = buildRosterPlus(normalized, readJSON(ROSTER_PLUS_PATH, null));
     writeJSON(ROSTER_PLUS_PATH, rosterPlus);
 
-    if (!DRY) {
-      fs.mkdirSync(STATUS_DIR, { recursive: true });
-      const flagPath = path.join(STATUS_DIR, 'last-good-roster.flag');
-      if (usedLastGood) {
-        fs.writeFileSync(flagPath, 'true');
-      } else if (fs.existsSync(flagPath)) {
-        fs.rmSync(flagPath);
-      }
-    }
+    const status = DRY ? 'skipped' : 'written';
+    recordDataset('roster', { file: 'team/roster.json', provider: winningProvider, rows: normalized.length, status, note: `id coverage ${(idCoverage * 100).toFixed(1)}%` });
+    recordDataset('roster_plus', { file: 'team/roster_plus.json', provider: winningProvider, rows: rosterPlus.count, status });
+    recordValidation(isViableRoster(normalized), isViableRoster(normalized) ? [] : [`roster of ${normalized.length} is below the 65-player / 65% id coverage bar`]);
 
     console.log(`✅ roster build complete — ${normalized.length} players, id coverage ${(idCoverage * 100).toFixed(2)}%`);
     if (usedLastGood) {
       console.log('ℹ️  using last-good cache for roster payload');
     }
   } catch (error) {
+    recordError(error);
     console.error('❌ roster build failed:', error.message);
     process.exitCode = 1;
   }
 }
 
 async function loadRoster() {
-  const strategies = [fetchRosterFromApi, fetchRosterFromPage];
-  const errors = [];
-  for (const strategy of strategies) {
-    try {
-      const result = await strategy();
-      if (Array.isArray(result?.players) && result.players.length > 0) {
-        return result;
-      }
-    } catch (error) {
-      errors.push(error);
-      if (LOG === 'debug') {
-        console.warn(`strategy ${strategy.name} failed`, error);
-      }
-    }
+  const result = await runProviderChain(PROVIDER_CHAIN, { team: TEAM, season: TARGET_SEASON });
+  providerAttempts = result.attempts;
+  for (const attempt of result.attempts) {
+    if (!attempt.ok) warn(`provider ${attempt.provider} failed: ${attempt.error}`);
+  }
+  if (result.players.length) {
+    winningProvider = result.provider;
+    info(`roster provider: ${result.provider} (${result.players.length} players)`);
+    return { players: result.players, detectedSeason: result.detectedSeason, seasonResolvedFrom: result.source };
   }
 
-  const fallback = loadLastGoodRoster({ targetSeason: TARGET_SEASON, strict: STRICT_SEASON });
+  const fallback = await loadLastGoodRoster({ targetSeason: TARGET_SEASON, strict: STRICT_SEASON });
   if (fallback) {
-    warn('Using last-good roster payload after ESPN fetch failure');
+    recordFallback('roster', `every provider failed; reused ${winningProvider === 'fixture' ? 'the fixture' : 'the last-good roster'}`);
+    warn('Using last-good roster payload after every provider failed');
     return fallback;
   }
 
-  const combinedMessage = errors.map((err) => err?.message || String(err)).join(' | ');
-  throw new Error(`Unable to load roster from ESPN: ${combinedMessage || 'no strategies succeeded'}`);
-}
-
-async function fetchRosterFromApi() {
-  const payload = await retry(async () => {
-    const response = await fetch(ESPN_TEAM_API, {
-      headers: {
-        'User-Agent': 'hashmark-chronicles/1.0 (+https://hashmarkchronicles.com)',
-        Accept: 'application/json'
-      },
-      timeout: ESPN_TIMEOUT
-    });
-    if (!response.ok) {
-      throw new Error(`API responded with status ${response.status}`);
-    }
-    return response.json();
-  }, ESPN_BACKOFF);
-
-  const groups = payload?.team?.athletes || payload?.athletes || [];
-  const players = [];
-  for (const group of groups) {
-    const items = group?.items || group?.athletes || [];
-    for (const player of items) {
-      if (!player) continue;
-      const core = player.athlete || player;
-      players.push(core);
-    }
-  }
-  if (!players.length) {
-    throw new Error('API payload missing athlete list');
-  }
-
-  const detectedSeason = extractSeasonFromApi(payload);
-  return { players, detectedSeason, seasonResolvedFrom: 'espn' };
-}
-
-async function fetchRosterFromPage() {
-  const html = await retry(async () => {
-    const response = await fetch(ESPN_ROSTER_URL, {
-      headers: {
-        'User-Agent': 'hashmark-chronicles/1.0 (+https://hashmarkchronicles.com)',
-        Accept: 'text/html'
-      },
-      timeout: ESPN_TIMEOUT
-    });
-    if (!response.ok) {
-      throw new Error(`Page responded with status ${response.status}`);
-    }
-    return response.text();
-  }, ESPN_BACKOFF);
-
-  let detectedSeason = detectSeasonFromHtml(html);
-  const jsonCandidates = extractJsonCandidates(html);
-  for (const candidate of jsonCandidates) {
-    try {
-      const parsed = JSON.parse(candidate);
-      const nodes = Array.isArray(parsed) ? parsed : [parsed];
-      for (const node of nodes) {
-        if (!detectedSeason) {
-          const fromNode = findSeasonInNode(node);
-          if (Number.isFinite(fromNode)) {
-            detectedSeason = Number(fromNode);
-          }
-        }
-        const rosterNodes = findAllRosterNodes(node);
-        if (rosterNodes.length) {
-          return { players: rosterNodes, detectedSeason, seasonResolvedFrom: 'espn' };
-        }
-      }
-    } catch (error) {
-      continue;
-    }
-  }
-  throw new Error('Unable to parse roster JSON from page');
-}
-
-function extractJsonCandidates(html) {
-  const candidates = [];
-  const nuxtMatch = html.match(/window\["__NUXT_DATA__"\]\s*=\s*(\{.*?\});/s);
-  if (nuxtMatch) {
-    candidates.push(nuxtMatch[1]);
-  }
-  const scriptMatches = [...html.matchAll(/<script[^>]*type="application\/json"[^>]*>([^<]+)<\/script>/g)];
-  for (const [, json] of scriptMatches) {
-    candidates.push(json);
-  }
-  return candidates;
-}
-
-function detectSeasonFromHtml(html) {
-  const headingMatch = html.match(/<h[12][^>]*>\s*(\d{4})[^<]*Roster/iu);
-  if (headingMatch) {
-    const value = Number(headingMatch[1]);
-    if (Number.isFinite(value)) {
-      return value;
-    }
-  }
-  return null;
-}
-
-function findSeasonInNode(node) {
-  const seen = new Set();
-  const stack = [node];
-  while (stack.length) {
-    const current = stack.pop();
-    if (!current || typeof current !== 'object') continue;
-    if (seen.has(current)) continue;
-    seen.add(current);
-    const candidates = [];
-    if (typeof current.season === 'object' && current.season) {
-      candidates.push(current.season.year, current.season.season, current.season.displayYear);
-    }
-    candidates.push(current.season, current.year, current.seasonYear);
-    if (typeof current.header === 'object' && current.header) {
-      candidates.push(current.header.season, current.header.seasonYear);
-      if (typeof current.header.season === 'object') {
-        candidates.push(current.header.season.year);
-      }
-    }
-    for (const candidate of candidates) {
-      const value = Number(candidate);
-      if (Number.isFinite(value) && value > 1900) {
-        return value;
-      }
-    }
-    for (const value of Object.values(current)) {
-      if (value && typeof value === 'object') {
-        stack.push(value);
-      }
-    }
-  }
-  return null;
-}
-
-function findAllRosterNodes(node) {
-  const results = [];
-  if (!node || typeof node !== 'object') return results;
-  if (Array.isArray(node)) {
-    for (const item of node) {
-      results.push(...findAllRosterNodes(item));
-    }
-    return results;
-  }
-  if (node.items && Array.isArray(node.items) && node.items.every((item) => item?.athlete || item?.id)) {
-    for (const item of node.items) {
-      const athlete = item?.athlete || item;
-      if (athlete?.id) {
-        results.push(athlete);
-      }
-    }
-  }
-  for (const value of Object.values(node)) {
-    results.push(...findAllRosterNodes(value));
-  }
-  return results;
-}
-
-function extractSeasonFromApi(payload) {
-  const candidates = [
-    payload?.team?.season?.year,
-    payload?.team?.record?.season?.year,
-    payload?.season?.year,
-    payload?.team?.nextEvent?.season?.year,
-    payload?.team?.previousEvent?.season?.year
-  ];
-  for (const candidate of candidates) {
-    const value = Number(candidate);
-    if (Number.isFinite(value) && value > 1900) {
-      return value;
-    }
-  }
-  const groups = payload?.team?.athletes || [];
-  for (const group of groups) {
-    const items = group?.items || group?.athletes || [];
-    for (const player of items) {
-      const season = player?.athlete?.season?.year || player?.season?.year;
-      const value = Number(season);
-      if (Number.isFinite(value) && value > 1900) {
-        return value;
-      }
-    }
-  }
-  return null;
+  const combinedMessage = result.attempts.map((attempt) => `${attempt.provider}: ${attempt.error}`).join(' | ');
+  throw new Error(`Unable to load roster from any provider: ${combinedMessage || 'no providers configured'}`);
 }
 
 function attemptUkaIntersection(players, targetSeason, detectedSeason) {
-  const ukaRoster = readSafe('data/team/uka_roster.json', null);
+  const ukaRoster = readJSON(path.join(TEAM_DIR, 'uka_roster.json'), null);
   if (!Array.isArray(ukaRoster) || ukaRoster.length === 0) {
     return null;
   }
-  const ukaMeta = readSafe('data/team/uka_meta.json', null);
+  const ukaMeta = readJSON(path.join(TEAM_DIR, 'uka_meta.json'), null);
   const ukaSeason = Number(ukaMeta?.season);
   const allow = (Number(detectedSeason) === targetSeason) || (Number(ukaSeason) === targetSeason);
   const ukaNames = new Set(
@@ -346,15 +168,18 @@ function attemptUkaIntersection(players, targetSeason, detectedSeason) {
     return null;
   }
   info(`Using ESPN+UKA intersection fallback (${filtered.length} players)`);
+  recordFallback('roster', `ESPN season ${detectedSeason} != ${targetSeason}; used the ESPN+UKA intersection`);
   return { players: filtered, detectedSeason: targetSeason, seasonResolvedFrom: 'espn+uka' };
 }
 
-function loadLastGoodRoster({ targetSeason, strict } = {}) {
-  const meta = readSafe('data/team/roster_meta.json', null);
+async function loadLastGoodRoster({ targetSeason, strict } = {}) {
+  const meta = readJSON(META_PATH, null);
   const roster = readJSON(ROSTER_PATH, null);
   if (Array.isArray(roster) && roster.length) {
-    if (!strict || Number(meta?.season) === targetSeason) {
+    // A roster carried over by rollover_season.js is last season's players.
+    if (!strict || (Number(meta?.season) === targetSeason && meta?.seeded_from == null)) {
       usedLastGood = true;
+      winningProvider = 'cache';
       return { players: roster, detectedSeason: Number(meta?.season) || null, seasonResolvedFrom: 'cache' };
     }
   }
@@ -362,26 +187,28 @@ function loadLastGoodRoster({ targetSeason, strict } = {}) {
     const legacyConverted = transformLegacyRoster(roster);
     if (isViableRoster(legacyConverted)) {
       usedLastGood = true;
+      winningProvider = 'cache';
       return { players: legacyConverted, detectedSeason: targetSeason || Number(meta?.season) || null, seasonResolvedFrom: 'cache' };
     }
   }
-  const fixture = loadFixtureRoster(targetSeason);
+  const fixture = await loadFixtureRoster(targetSeason);
   if (fixture) {
     usedLastGood = true;
+    winningProvider = 'fixture';
     return fixture;
   }
   return null;
 }
 
-function loadFixtureRoster(targetSeason) {
+async function loadFixtureRoster(targetSeason) {
   if (!Number.isFinite(targetSeason)) {
     return null;
   }
-  const fixturePath = path.join(ROOT, 'fixtures', `roster_${targetSeason}.json`);
-  const fixture = readJSON(fixturePath, null);
-  if (isViableRoster(fixture)) {
+  const result = await runProviderChain(['fixture'], { team: TEAM, season: targetSeason });
+  providerAttempts = providerAttempts.concat(result.attempts);
+  if (isViableRoster(result.players)) {
     warn(`Falling back to roster fixture for season ${targetSeason}`);
-    return { players: fixture, detectedSeason: targetSeason, seasonResolvedFrom: 'cache' };
+    return { players: result.players, detectedSeason: targetSeason, seasonResolvedFrom: PROVIDERS.fixture.source };
   }
   return null;
 }
@@ -396,129 +223,59 @@ function isViableRoster(roster) {
   return withIds.length / roster.length >= 0.65;
 }
 
+// Legacy rows carry no ESPN ids; recover them from rows we already trust and
+// drop anyone the resolver can't place rather than inventing an id.
 function transformLegacyRoster(roster) {
   if (!Array.isArray(roster) || roster.length === 0) return null;
-  const knownIds = buildKnownIdMap();
+  const ids = createIdResolver(knownIdRows(), { overrides: loadIdOverrides(TEAM) });
   const converted = [];
   for (const player of roster) {
     if (!player || typeof player !== 'object') continue;
     const name = player.name || [player.firstName, player.lastName].filter(Boolean).join(' ');
     if (!name) continue;
-    const lookupKey = name.toLowerCase();
-    const id = knownIds.get(lookupKey) || stableIdFromName(name);
+    const pos = player.position || player.pos || null;
+    const number = Number.isFinite(Number(player.jersey)) ? Number(player.jersey) : null;
+    const known = ids.resolve({ name, pos, number });
+    if (!known) continue;
+    const id = Number(known.id);
     converted.push({
       id,
       name,
-      pos: player.position || player.pos || null,
-      number: Number.isFinite(Number(player.jersey)) ? Number(player.jersey) : null,
+      pos,
+      number,
       class: player.class || player.year || null,
       height: player.height || null,
       weight: Number.isFinite(Number(player.weight)) ? Number(player.weight) : null,
       profile_url: null,
-      headshot: `https://a.espncdn.com/i/headshots/college-football/players/full/${id}.png`
+      headshot: headshotUrl(id)
     });
   }
+  for (const line of describeResolution(ids.report())) info(line);
   return converted;
 }
 
-function stableIdFromName(name) {
-  let hash = 0;
-  for (let i = 0; i < name.length; i += 1) {
-    hash = (hash * 31 + name.charCodeAt(i)) >>> 0;
-  }
-  return 3000000 + (hash % 6000000);
-}
-
-function buildKnownIdMap() {
+function knownIdRows() {
   const sources = [
-    path.join(ROOT, 'fixtures', 'roster_2025.json'),
-    path.join(ROOT, 'data', 'spotlight_offense_last.json'),
-    path.join(ROOT, 'data', 'spotlight_offense_season.json'),
-    path.join(ROOT, 'data', 'spotlight_defense_last.json'),
-    path.join(ROOT, 'data', 'spotlight_defense_season.json'),
-    path.join(ROOT, 'data', 'spotlight_featured.json')
+    path.join(FIXTURE_DIR, `roster_${TARGET_SEASON}.json`),
+    path.join(DATA_DIR, 'spotlight_offense_last.json'),
+    path.join(DATA_DIR, 'spotlight_offense_season.json'),
+    path.join(DATA_DIR, 'spotlight_defense_last.json'),
+    path.join(DATA_DIR, 'spotlight_defense_season.json'),
+    path.join(DATA_DIR, 'spotlight_featured.json')
   ];
-  const map = new Map();
+  const rows = new Map();
   for (const source of sources) {
     const payload = readJSON(source, []);
-    const rows = Array.isArray(payload) ? payload : payload ? [payload] : [];
-    for (const row of rows) {
+    const list = Array.isArray(payload) ? payload : payload ? [payload] : [];
+    for (const row of list) {
       if (!row || typeof row !== 'object') continue;
-      const name = row.name || row.displayName;
       const id = Number(row.id);
-      if (!name || !Number.isFinite(id)) continue;
-      const key = name.toLowerCase();
-      if (!map.has(key)) {
-        map.set(key, id);
-      }
-    }
-  }
-  return map;
-}
-
-function normalizeRoster(players) {
-  const normalized = [];
-  for (const player of players) {
-    if (!player) continue;
-    const id = Number(player.id ?? player.athleteId ?? player.athlete?.id ?? player.playerId);
-    if (!Number.isFinite(id)) continue;
-    const name = player.displayName || player.fullName || player.name || [player.firstName, player.lastName].filter(Boolean).join(' ');
-    if (!name) continue;
-
-    const pos = player.position?.abbreviation || player.position?.displayName || player.pos || null;
-    const number = Number.isFinite(Number(player.jersey || player.uniform || player.number))
-      ? Number(player.jersey || player.uniform || player.number)
-      : null;
-    const classYear = player.class || player.experienceClass || player.year || null;
-    const height = parseHeight(player?.displayHeight || player.height || player.ht || null);
-    const weight = Number(player.displayWeight || player.weight || player.wt);
-    const profileUrl = player.links?.find?.((link) => /player\//.test(link.href))?.href || player.profileUrl || null;
-
-    normalized.push({
-      id,
-      name,
-      pos: pos || null,
-      number: Number.isFinite(number) ? number : null,
-      class: classYear || null,
-      height: height || null,
-      weight: Number.isFinite(weight) ? Number(weight) : null,
-      profile_url: profileUrl,
-      headshot: `https://a.espncdn.com/i/headshots/college-football/players/full/${id}.png`
-    });
-  }
-  const deduped = dedupeById(normalized);
-  return deduped.sort((a, b) => a.name.localeCompare(b.name));
-}
-
-function parseHeight(value) {
-  if (!value) return null;
-  if (typeof value === 'string' && value.includes('-')) {
-    return value;
-  }
-  if (typeof value === 'number') {
-    return value.toString();
-  }
-  return String(value);
-}
-
-function dedupeById(players) {
-  const seen = new Map();
-  for (const player of players) {
-    if (!seen.has(player.id)) {
-      seen.set(player.id, player);
+      const name = row.name || row.displayName;
+      if (!name || !Number.isInteger(id) || id <= 0 || rows.has(id)) continue;
+      rows.set(id, { id, name, pos: row.pos ?? null, number: row.number ?? null });
     }
   }
-  return Array.from(seen.values());
-}
-
-function buildRosterPlus(players) {
-  const byId = {};
-  const byName = {};
-  for (const player of players) {
-    byId[player.id] = player;
-    byName[player.name.toLowerCase()] = player.id;
-  }
-  return { byId, byName, count: players.length };
+  return [...rows.values()];
 }
 
 function computeIdCoverage(players) {
@@ -532,11 +289,6 @@ function normalizeName(value) {
   return value.trim().toLowerCase();
 }
 
-function readSafe(relativePath, fallback) {
-  const filePath = path.join(ROOT, relativePath);
-  return readJSON(filePath, fallback);
-}
-
 function warn(message) {
   console.warn(`⚠️  ${message}`);
 }
@@ -545,13 +297,4 @@ function info(message) {
   console.log(`ℹ️  ${message}`);
 }
 
-function parseBackoff(input) {
-  if (!input) return [250, 600, 1200];
-  const parts = String(input)
-    .split(',')
-    .map((token) => Number(token.trim()))
-    .filter((value) => Number.isFinite(value) && value > 0);
-  return parts.length ? parts : [250, 600, 1200];
-}
-
 main();
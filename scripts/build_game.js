@@ -0,0 +1,221 @@
+#!/usr/bin/env node
+/**
+ * Drive chart and game flow for the most recent completed game.
+ * - CFBD /drives for every drive (start and end field position, plays,
+ *   yards, result, time of possession) and /plays for the plays in each drive
+ * - CFBD /metrics/wp for the win-probability series, one point per play;
+ *   the game is still written without it when CFBD has none
+ * - Writes <data dir>/games/<gameId>.json (rendered by /game.html) and lists
+ *   the game in games/index.json; keeps the previous files when CFBD has no
+ *   drives for the game
+ *
+ * Env: CFBD_KEY, TEAM_SLUG / TEAM, YEAR (default: the active season),
+ *      GAME_ID (default: the latest completed game), CFBD_RECORD / CFBD_REPLAY
+ */
+import path from 'path';
+import { writeJSON, readJSON, unchanged } from './lib/stability.js';
+import { createCfbdClient, gameFields, driveFields, playFields, winProbabilityFields } from './lib/cfbd.js';
+import { resolveTeam, teamDataDir, ROOT } from './lib/teams.js';
+import { activeSeason } from './lib/season.js';
+import { startRun, recordDataset, recordFallback, recordError } from './lib/report.js';
+
+const TEAM = resolveTeam();
+const YEAR = Number.parseInt(process.env.YEAR || activeSeason(), 10);
+const GAME_ID = process.env.GAME_ID ? Number(process.env.GAME_ID) : null;
+const GAMES_DIR = path.join(teamDataDir(TEAM), 'games');
+const INDEX_PATH = path.join(GAMES_DIR, 'index.json');
+const CFBD = createCfbdClient({ team: TEAM.cfbdName, year: YEAR });
+
+async function pickGame() {
+  const schedule = await CFBD.get('/games', { year: YEAR, team: TEAM.cfbdName, seasonType: 'both' });
+  const games = (schedule || [])
+    .map(gameFields)
+    .filter((game) => game.completed && game.id != null)
+    .sort((a, b) => new Date(a.startDate) - new Date(b.startDate));
+  if (GAME_ID == null) return games.at(-1) || null;
+  const game = games.find((candidate) => Number(candidate.id) === GAME_ID);
+  if (!game) throw new Error(`game ${GAME_ID} is not a completed ${TEAM.cfbdName} ${YEAR} game`);
+  return game;
+}
+
+function gameSummary(game) {
+  const home = game.homeTeam === TEAM.cfbdName;
+  const points = home ? game.homePoints : game.awayPoints;
+  const oppPoints = home ? game.awayPoints : game.homePoints;
+  const result = points == null || oppPoints == null ? null
+    : `${points > oppPoints ? 'W' : points < oppPoints ? 'L' : 'T'} ${points}-${oppPoints}`;
+  return {
+    id: Number(game.id),
+    week: game.week,
+    season_type: game.seasonType,
+    start_date: game.startDate,
+    home: game.homeTeam,
+    away: game.awayTeam,
+    home_points: game.homePoints,
+    away_points: game.awayPoints,
+    opponent: home ? game.awayTeam : game.homeTeam,
+    site: game.neutralSite ? 'neutral' : home ? 'home' : 'away',
+    result
+  };
+}
+
+async function gamePlays(game) {
+  try {
+    const plays = await CFBD.get('/plays', { year: YEAR, week: game.week, team: TEAM.cfbdName, seasonType: game.seasonType || 'regular' });
+    // /plays answers per week; keep this game's plays only.
+    return (plays || []).map(playFields).filter((play) => play.gameId == null || String(play.gameId) === String(game.id));
+  } catch (error) {
+    warn(`CFBD /plays failed (game ${game.id}): ${error.message}`);
+    recordFallback('game', `no play-by-play for game ${game.id} (${error.message})`);
+    return [];
+  }
+}
+
+async function winProbability(game) {
+  try {
+    const rows = await CFBD.get('/metrics/wp', { gameId: game.id });
+    return (rows || []).map(winProbabilityFields).filter((row) => row.homeWinProbability != null);
+  } catch (error) {
+    warn(`CFBD /metrics/wp failed (game ${game.id}): ${error.message}`);
+    recordFallback('game', `no win probability for game ${game.id} (${error.message})`);
+    return [];
+  }
+}
+
+function shapePlay(play) {
+  return {
+    id: play.id,
+    number: play.number,
+    period: play.period,
+    clock: play.clock,
+    down: play.down,
+    distance: play.distance,
+    yards_to_goal: play.yardsToGoal,
+    yards: play.yardsGained,
+    type: play.type,
+    text: play.text,
+    scoring: play.scoring
+  };
+}
+
+function shapeDrive(drive, plays) {
+  const ours = drive.offense === TEAM.cfbdName;
+  return {
+    id: drive.id,
+    number: drive.number,
+    offense: drive.offense,
+    ours,
+    start: { period: drive.startPeriod, clock: drive.startClock, yards_to_goal: drive.startYardsToGoal },
+    end: { period: drive.endPeriod, clock: drive.endClock, yards_to_goal: drive.endYardsToGoal },
+    plays: drive.plays ?? plays.length,
+    yards: drive.yards,
+    time: drive.elapsed,
+    result: drive.result,
+    scoring: drive.scoring,
+    // Score after the drive, from our side.
+    score: drive.endOffenseScore == null || drive.endDefenseScore == null ? null : {
+      team: ours ? drive.endOffenseScore : drive.endDefenseScore,
+      opponent: ours ? drive.endDefenseScore : drive.endOffenseScore
+    },
+    play_list: plays.map(shapePlay)
+  };
+}
+
+function shapeWinProbability(rows, home) {
+  return rows
+    .sort((a, b) => (a.playNumber ?? 0) - (b.playNumber ?? 0))
+    .map((row) => ({
+      play_id: row.playId == null ? null : String(row.playId),
+      play_number: row.playNumber,
+      home_wp: row.homeWinProbability,
+      team_wp: home ? row.homeWinProbability : Math.round((1 - row.homeWinProbability) * 1000) / 1000,
+      team_score: home ? row.homeScore : row.awayScore,
+      opponent_score: home ? row.awayScore : row.homeScore,
+      seconds_left: row.timeRemaining
+    }));
+}
+
+function updateIndex(summary, file) {
+  const previous = readJSON(INDEX_PATH, null);
+  const games = (previous?.season === YEAR ? previous.games : [])
+    .filter((entry) => entry.id !== summary.id)
+    .concat({ id: summary.id, week: summary.week, season_type: summary.season_type, start_date: summary.start_date, opponent: summary.opponent, site: summary.site, result: summary.result, file })
+    .sort((a, b) => new Date(a.start_date) - new Date(b.start_date));
+  const index = {
+    season: YEAR,
+    team: TEAM.slug,
+    updated_at: new Date().toISOString(),
+    latest: games.at(-1).id,
+    games
+  };
+  if (!unchanged(previous, index, 'updated_at')) writeJSON(INDEX_PATH, index);
+}
+
+async function main() {
+  startRun('build_game', { team: TEAM, season: YEAR });
+  const game = await pickGame();
+  if (!game) {
+    recordDataset('game', { file: 'games/index.json', provider: 'cache', rows: 0, status: 'kept', note: 'no completed games' });
+    console.log(`ℹ️  no completed games for ${TEAM.cfbdName} ${YEAR}; nothing to chart`);
+    return;
+  }
+
+  const drives = ((await CFBD.get('/drives', { year: YEAR, week: game.week, team: TEAM.cfbdName, seasonType: game.seasonType || 'regular' })) || [])
+    .map(driveFields)
+    .filter((drive) => drive.gameId == null || String(drive.gameId) === String(game.id))
+    .sort((a, b) => (a.number ?? 0) - (b.number ?? 0));
+  const file = `games/${game.id}.json`;
+  if (!drives.length) {
+    recordFallback('game', `no drives for game ${game.id}; kept the previous files`);
+    recordDataset('game', { file, provider: 'cache', rows: 0, status: 'kept' });
+    warn(`no drives for game ${game.id}; kept ${path.relative(ROOT, GAMES_DIR)}`);
+    return;
+  }
+
+  const [plays, wp] = await Promise.all([gamePlays(game), winProbability(game)]);
+  const byDrive = new Map();
+  for (const play of plays.sort((a, b) => (a.number ?? 0) - (b.number ?? 0))) {
+    const key = String(play.driveId);
+    if (!byDrive.has(key)) byDrive.set(key, []);
+    byDrive.get(key).push(play);
+  }
+
+  const summary = gameSummary(game);
+  const shaped = drives.map((drive) => shapeDrive(drive, byDrive.get(drive.id) || []));
+  const series = shapeWinProbability(wp, game.homeTeam === TEAM.cfbdName);
+  const gamePath = path.join(GAMES_DIR, `${game.id}.json`);
+  const payload = {
+    season: YEAR,
+    team: TEAM.slug,
+    generated_at: new Date().toISOString(),
+    game: summary,
+    drives: shaped,
+    win_probability: series
+  };
+  // A finished game is rebuilt every run; only rewrite it when CFBD changed something.
+  const same = unchanged(readJSON(gamePath, null), payload);
+  if (!same) writeJSON(gamePath, payload);
+  updateIndex(summary, file);
+
+  const listed = shaped.reduce((sum, drive) => sum + drive.play_list.length, 0);
+  const counts = `${shaped.length} drives, ${listed} plays, ${series.length} win-probability points`;
+  recordDataset('game', {
+    file,
+    provider: 'cfbd',
+    rows: shaped.length,
+    status: same ? 'kept' : 'written',
+    note: same ? `unchanged; ${counts}` : counts
+  });
+  console.log(`✅ game ${game.id} (${summary.result || 'no score'} vs ${summary.opponent}) — ${shaped.length} drives, ${listed} plays, ${series.length} win-probability points`);
+}
+
+function warn(message) {
+  console.warn(`⚠️  ${message}`);
+}
+
+main().catch((error) => {
+  recordError(error);
+  recordFallback('game', 'kept the previous files');
+  console.error('❌ game build failed:', error.message);
+  process.exitCode = 1;
+});
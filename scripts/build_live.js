@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+/**
+ * Game-day live file.
+ * - Finds the team's game on the ESPN schedule that is in progress, or kicks
+ *   off within LIVE_LEAD_MINUTES
+ * - Pulls the live ESPN summary: score, clock, team box score and player stats
+ * - Grades the player rows with the spotlight model for the current leaders
+ * - Writes live.json into the team's data dir; the file is only rewritten when
+ *   something other than its timestamp changed, so idle runs commit nothing
+ * - After the final whistle one more write flips `live` off with the final score
+ *
+ * site.js polls live.json every `poll_seconds` while `live` is true.
+ *
+ * Env: TEAM_SLUG / TEAM, LIVE_LEAD_MINUTES (default: 30), LIVE_POLL_SECONDS
+ *      (default: 30), ESPN_RECORD / ESPN_REPLAY, LIVE_NOW (ISO time, for replays)
+ */
+import path from 'path';
+import { writeJSON, readJSON, unchanged } from './lib/stability.js';
+import { createEspnClient, eventFields, boxscorePlayerRows, boxscoreTeamStats } from './lib/espn.js';
+import { loadGradingModel, gradeRows, formatOffStatline, formatDefStatline } from './lib/grading.js';
+import { resolveTeam, teamDataDir } from './lib/teams.js';
+import { headshotUrl, sideForPosition } from './lib/player.js';
+import { startRun, recordDataset, recordFallback, recordError } from './lib/report.js';
+
+const TEAM = resolveTeam();
+const OUT_PATH = path.join(teamDataDir(TEAM), 'live.json');
+const LEAD_MINUTES = Number(process.env.LIVE_LEAD_MINUTES || 30);
+const POLL_SECONDS = Number(process.env.LIVE_POLL_SECONDS || 30);
+// A finished game stays in live.json (as a final) this long after kickoff.
+const FINAL_HOURS = 6;
+const LEADERS_PER_SIDE = 3;
+
+const MODEL = loadGradingModel();
+const ESPN = createEspnClient({ team: TEAM.slug });
+
+// Team box score stats shown as live ticker cards, in order.
+const LIVE_STATS = [
+  ['totalYards', 'Total yards'],
+  ['yardsPerPlay', 'Yards/play'],
+  ['thirdDownEff', '3rd down'],
+  ['turnovers', 'Turnovers'],
+  ['possessionTime', 'Possession']
+];
+
+function now() {
+  return process.env.LIVE_NOW ? new Date(process.env.LIVE_NOW).getTime() : Date.now();
+}
+
+/** The game to follow: in progress, else kicking off soon, else just finished. */
+function pickEvent(events) {
+  const at = now();
+  const kickoff = (event) => new Date(event.date).getTime();
+  const live = events.find((event) => event.state === 'in');
+  if (live) return live;
+  const soon = events.find((event) => event.state === 'pre' && kickoff(event) - at <= LEAD_MINUTES * 60000 && kickoff(event) - at > -3 * 3600000);
+  if (soon) return soon;
+  return events.find((event) => event.state === 'post' && at - kickoff(event) >= 0 && at - kickoff(event) <= FINAL_HOURS * 3600000) || null;
+}
+
+function shapeGame(event) {
+  const us = event.competitors.find((competitor) => competitor.id === TEAM.espnId) || {};
+  const them = event.competitors.find((competitor) => competitor !== us) || {};
+  return {
+    id: event.id,
+    week: event.week,
+    start_date: event.date,
+    opponent: them.name ?? null,
+    site: event.neutralSite ? 'neutral' : us.homeAway === 'away' ? 'away' : 'home',
+    state: event.state,
+    period: event.period,
+    clock: event.clock,
+    detail: event.detail,
+    score: { team: us.score ?? null, opponent: them.score ?? null },
+    possession: us.possession ? 'team' : them.possession ? 'opponent' : null
+  };
+}
+
+function liveTicker(game, stats) {
+  const cards = [];
+  if (game.score.team != null && game.score.opponent != null) {
+    const margin = game.score.team - game.score.opponent;
+    cards.push({
+      label: `${game.site === 'away' ? 'at' : 'vs'} ${game.opponent}`,
+      value: `${game.score.team}-${game.score.opponent}`,
+      suffix: game.detail || '',
+      trend: margin > 0 ? 'good' : margin < 0 ? 'bad' : 'warn'
+    });
+  }
+  for (const [key, label] of LIVE_STATS) {
+    if (stats.has(key)) cards.push({ label, value: stats.get(key), suffix: 'live' });
+  }
+  return cards;
+}
+
+function sideOf(row) {
+  const side = sideForPosition(row.pos);
+  if (side) return side;
+  return row.tackles || row.sacks || row.interceptionsDef ? 'defense' : 'offense';
+}
+
+function statline(row, side) {
+  return side === 'offense' ? formatOffStatline(row) : formatDefStatline(row);
+}
+
+function shapeLeader(entry) {
+  const row = entry.row;
+  return {
+    id: row.id,
+    name: row.name,
+    pos: row.pos || null,
+    headshot: row.id ? headshotUrl(row.id) : null,
+    side: entry.side,
+    statline: statline(row, entry.side),
+    pct: entry.pct,
+    letter: entry.letter
+  };
+}
+
+function idlePayload() {
+  return { live: false, team: TEAM.slug, generated_at: new Date().toISOString(), poll_seconds: POLL_SECONDS, game: null, ticker: [], leaders: { offense: [], defense: [] }, players: {} };
+}
+
+async function main() {
+  startRun('build_live', { team: TEAM });
+  const schedule = await ESPN.get(`/teams/${TEAM.espnId}/schedule`);
+  const event = pickEvent((schedule?.events || []).map(eventFields));
+
+  let payload = idlePayload();
+  if (event) {
+    let summary = null;
+    try {
+      summary = await ESPN.get('/summary', { event: event.id });
+    } catch (error) {
+      console.warn(`⚠️  ESPN summary failed (event ${event.id}): ${error.message}`);
+      recordFallback('live', `no live summary for event ${event.id}; score from the schedule (${error.message})`);
+    }
+    // The summary header is fresher than the schedule when both are there.
+    const game = shapeGame(summary?.header ? { ...eventFields(summary.header), week: event.week } : event);
+    const rows = summary ? boxscorePlayerRows(summary, TEAM.espnId) : [];
+    const graded = gradeRows(MODEL, rows, 'last');
+    payload = {
+      ...payload,
+      live: game.state !== 'post',
+      game,
+      ticker: liveTicker(game, summary ? boxscoreTeamStats(summary, TEAM.espnId) : new Map()),
+      leaders: {
+        offense: graded.offense.slice(0, LEADERS_PER_SIDE).map(shapeLeader),
+        defense: graded.defense.slice(0, LEADERS_PER_SIDE).map(shapeLeader)
+      },
+      players: Object.fromEntries(
+        rows.filter((row) => row.id).map((row) => {
+          const side = sideOf(row);
+          return [row.id, { side, statline: statline(row, side) }];
+        })
+      )
+    };
+  }
+
+  const previous = readJSON(OUT_PATH, null);
+  const note = payload.game ? `${payload.game.state} vs ${payload.game.opponent}` : 'no game in the window';
+  if (unchanged(previous, payload)) {
+    recordDataset('live', { file: 'live.json', provider: 'espn', rows: Object.keys(payload.players).length, status: 'kept', note: `unchanged; ${note}` });
+    console.log(`ℹ️  live.json unchanged (${note})`);
+    return;
+  }
+  writeJSON(OUT_PATH, payload);
+  recordDataset('live', { file: 'live.json', provider: 'espn', rows: Object.keys(payload.players).length, status: 'written', note });
+  console.log(`✅ live.json — ${payload.live ? `LIVE ${payload.game.detail || ''}`.trim() : note}`);
+}
+
+main().catch((error) => {
+  // Keep whatever live.json says; a failed poll shouldn't end live mode on the site.
+  recordError(error);
+  recordFallback('live', 'kept the previous live.json');
+  console.error('❌ live build failed:', error.message);
+  process.exitCode = 1;
+});
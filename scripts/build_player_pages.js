@@ -0,0 +1,345 @@
+#!/usr/bin/env node
+/**
+ * Static player profile pages.
+ * - Emits players/<slug>.html for every roster entry of the primary team
+ *   (slug from lib/player.js; the ESPN id is appended when names collide)
+ * - Each page shows the bio, recruiting pedigree (roster_plus.json), the
+ *   season stat line, and every spotlight appearance from the weekly archive
+ *   with the grade trend across them
+ * - Players whose season grade beats their recruiting standing get an
+ *   "Outperforming recruiting rank" callout (lib/recruiting.js)
+ * - Removes pages for players no longer on the roster, lists the written
+ *   pages in players/index.json (the site links only those) and rewrites the
+ *   /players/ entries in sitemap.xml
+ *
+ * Usage: node scripts/build_player_pages.js
+ */
+import fs from 'fs';
+import path from 'path';
+import { DRY, readJSON } from './lib/stability.js';
+import { ROOT, loadTeams, primaryTeam, teamDataDir, teamRosterDir } from './lib/teams.js';
+import { playerSlugs } from './lib/player.js';
+import { outperformers, recruitingLine } from './lib/recruiting.js';
+import { startRun, recordDataset, recordError } from './lib/report.js';
+
+const TEAM = primaryTeam(loadTeams());
+const DATA_DIR = teamDataDir(TEAM);
+const PAGES_DIR = path.join(ROOT, 'players');
+const SITEMAP_PATH = path.join(ROOT, 'sitemap.xml');
+const SITE_ORIGIN = `https://${readText(path.join(ROOT, 'CNAME')).trim() || 'hashmarkchronicles.online'}`;
+const SEASON_FILES = ['spotlight_offense_season.json', 'spotlight_defense_season.json'];
+
+function main() {
+  startRun('build_player_pages', { team: TEAM });
+  const roster = readJSON(path.join(teamRosterDir(TEAM), 'roster.json'), []);
+  if (!Array.isArray(roster) || roster.length === 0) {
+    fail('roster missing — run build_espn_roster.js first');
+    return;
+  }
+
+  const slugs = playerSlugs(roster);
+  const appearances = loadAppearances();
+  const seasonRows = loadSeasonRows();
+  const rosterPlus = readJSON(path.join(teamRosterDir(TEAM), 'roster_plus.json'), null);
+  const trends = readJSON(path.join(DATA_DIR, 'spotlight_trends.json'), null);
+  const callouts = outperformers(rosterPlus?.byId, trends?.season_grades);
+  const generatedAt = new Date().toISOString();
+
+  const pages = new Map();
+  for (const player of roster) {
+    // The roster builders publish each player's page; rosters from before they did fall back to the slug.
+    const file = player.page ? path.posix.basename(player.page) : `${slugs.get(player.id)}.html`;
+    const history = appearances.get(player.id) || appearances.get(nameKey(player.name)) || [];
+    const season = seasonRows.get(player.id) || seasonRows.get(nameKey(player.name)) || null;
+    const recruiting = rosterPlus?.byId?.[player.id]?.recruiting || null;
+    const callout = callouts.get(Number(player.id)) || null;
+    pages.set(file, renderPage({ player, history, season, recruiting, callout, generatedAt }));
+  }
+
+  writePages(pages);
+  writeSitemap([...pages.keys()], generatedAt.slice(0, 10));
+  const status = DRY ? 'skipped' : 'written';
+  recordDataset('players', { file: 'players/*.html', provider: 'roster', rows: pages.size, status });
+  recordDataset('sitemap', { file: 'sitemap.xml', provider: 'roster', rows: pages.size, status, note: 'player entries' });
+  if (callouts.size) info(`${callouts.size} player(s) outperforming their recruiting rank`);
+  console.log(`✅ wrote ${pages.size} player pages`);
+}
+
+// Archived weekly top lists, keyed by id (and by name for rows without a roster id).
+function loadAppearances() {
+  const index = readJSON(path.join(DATA_DIR, 'archive', 'index.json'), null);
+  const byPlayer = new Map();
+  for (const [season, weeks] of Object.entries(index?.seasons || {})) {
+    for (const week of weeks) {
+      const archive = readJSON(path.join(DATA_DIR, 'archive', week.file), null);
+      if (!archive) continue;
+      for (const side of ['offense', 'defense']) {
+        (archive[side] || []).forEach((row, idx) => {
+          const key = Number.isFinite(Number(row.id)) ? Number(row.id) : nameKey(row.name);
+          const list = byPlayer.get(key) || [];
+          list.push({
+            season: Number(season),
+            week: archive.week,
+            opponent: archive.game?.opponent || null,
+            site: archive.game?.site || null,
+            result: archive.game?.result || null,
+            side,
+            rank: idx + 1,
+            letter: row.letter ?? null,
+            pct: Number.isFinite(row.pct) ? row.pct : null,
+            statline: row.statline || ''
+          });
+          byPlayer.set(key, list);
+        });
+      }
+    }
+  }
+  for (const list of byPlayer.values()) {
+    list.sort((a, b) => a.season - b.season || a.week - b.week);
+  }
+  return byPlayer;
+}
+
+function loadSeasonRows() {
+  const rows = new Map();
+  for (const file of SEASON_FILES) {
+    const list = readJSON(path.join(DATA_DIR, file), []);
+    for (const row of Array.isArray(list) ? list : []) {
+      if (!row?.name) continue;
+      const key = Number.isFinite(Number(row.id)) ? Number(row.id) : nameKey(row.name);
+      rows.set(key, row);
+    }
+  }
+  return rows;
+}
+
+function nameKey(name) {
+  return `name:${String(name || '').trim().toLowerCase()}`;
+}
+
+// Roster `stats` come from the CFBD roster builders (season totals).
+const STAT_LABELS = [
+  ['passingYards', 'Pass yds'],
+  ['passingTouchdowns', 'Pass TD'],
+  ['interceptions', 'INT'],
+  ['rushingYards', 'Rush yds'],
+  ['rushingTouchdowns', 'Rush TD'],
+  ['receptions', 'Rec'],
+  ['receivingYards', 'Rec yds'],
+  ['receivingTouchdowns', 'Rec TD'],
+  ['tackles', 'Tackles'],
+  ['tacklesForLoss', 'TFL'],
+  ['sacks', 'Sacks'],
+  ['passesDefended', 'PD'],
+  ['defensiveInterceptions', 'INT'],
+  ['forcedFumbles', 'FF']
+];
+
+function seasonStatline(player, season) {
+  if (season?.statline) return season.statline;
+  const stats = player.stats || {};
+  const parts = STAT_LABELS.filter(([key]) => Number.isFinite(stats[key]) && stats[key] !== 0)
+    .map(([key, label]) => `${label} ${stats[key]}`);
+  return parts.length ? parts.join(' • ') : null;
+}
+
+function gradeTrend(history) {
+  const graded = history.filter((entry) => entry.pct != null);
+  if (graded.length < 2) return null;
+  const first = graded[0].pct;
+  const last = graded.at(-1).pct;
+  const delta = last - first;
+  const sign = delta > 0 ? '+' : '';
+  return `${first} → ${last} percentile (${sign}${delta}) across ${graded.length} graded games`;
+}
+
+function renderRecruiting(recruiting) {
+  if (!recruiting) return '<p class="empty">No recruiting profile on file.</p>';
+  const details = [
+    ['Hometown', recruiting.hometown],
+    ['High school', recruiting.high_school],
+    ['Signed with', recruiting.transfer ? recruiting.committed_to : null]
+  ].filter(([, value]) => value != null && value !== '');
+  const line = recruitingLine(recruiting);
+  return `${line ? `<p>${esc(line)}</p>` : ''}
+        ${details.length ? `<dl class="bio">${details.map(([label, value]) => `<div><dt>${esc(label)}</dt><dd>${esc(value)}</dd></div>`).join('')}</dl>` : ''}`;
+}
+
+function renderCallout(callout) {
+  if (!callout) return '';
+  return `<p class="callout"><strong>Outperforming recruiting rank:</strong> ${esc(callout.grade_pct)}% ${esc(callout.group)} season grade against a ${esc(callout.recruit_pct)}% recruiting percentile among graded ${esc(callout.group)} teammates.</p>`;
+}
+
+function renderPage({ player, history, season, recruiting, callout, generatedAt }) {
+  const title = `${player.name} — ${TEAM.name} Football | Hashmark Chronicles`;
+  const espnUrl = player.profile_url || `https://www.espn.com/college-football/player/_/id/${player.id}`;
+  const bio = [
+    ['Position', player.pos],
+    ['Number', player.number != null ? `#${player.number}` : null],
+    ['Class', player.class],
+    ['Height', player.height],
+    ['Weight', player.weight != null ? `${player.weight} lbs` : null]
+  ].filter(([, value]) => value != null && value !== '');
+  const statline = seasonStatline(player, season);
+  const trend = gradeTrend(history);
+  const description = `${player.name}${player.pos ? `, ${player.pos}` : ''} for ${TEAM.name}: bio, season stats and spotlight grades.`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <title>${esc(title)}</title>
+    <meta name="description" content="${esc(description)}" />
+    <meta property="og:title" content="${esc(title)}" />
+    <meta property="og:image" content="${esc(player.headshot)}" />
+    <style>
+      :root {
+        --hc-blue-900: #0b1d3d;
+        --hc-blue-700: #1b3f76;
+        --hc-surface-muted: #f3f6fc;
+        --hc-border: #d9e2f4;
+        --hc-text: #0f172a;
+        --hc-text-muted: #4b5563;
+        font-family: "Inter", "Segoe UI", system-ui, -apple-system, sans-serif;
+      }
+      body { margin: 0; background: var(--hc-surface-muted); color: var(--hc-text); }
+      .profile { max-width: 760px; margin: 0 auto; padding: 1.5rem; display: grid; gap: 1.25rem; }
+      .profile__back { color: var(--hc-blue-700); font-weight: 600; text-decoration: none; }
+      .profile__header { display: flex; gap: 1rem; align-items: center; }
+      .profile__avatar { width: 96px; height: 96px; border-radius: 50%; object-fit: cover; background: #d4dcf3; }
+      .profile__name { margin: 0; font-size: 1.6rem; color: var(--hc-blue-900); }
+      .profile__sub { margin: 0.25rem 0 0; color: var(--hc-text-muted); font-weight: 600; }
+      .panel { background: #fff; border: 1px solid var(--hc-border); border-radius: 16px; padding: 1rem 1.25rem; }
+      .panel h2 { margin: 0 0 0.75rem; font-size: 1rem; color: var(--hc-blue-900); }
+      .bio { display: grid; grid-template-columns: repeat(auto-fit, minmax(110px, 1fr)); gap: 0.75rem; margin: 0; }
+      .bio dt { font-size: 0.75rem; text-transform: uppercase; color: var(--hc-text-muted); }
+      .bio dd { margin: 0; font-weight: 700; }
+      .empty { margin: 0; color: var(--hc-text-muted); }
+      .callout { margin: 0; padding: 0.75rem 1rem; border-radius: 12px; background: #e7f6ee; color: #0f7b4d; }
+      table { width: 100%; border-collapse: collapse; font-size: 0.9rem; }
+      th, td { text-align: left; padding: 0.4rem 0.5rem; border-bottom: 1px solid var(--hc-border); }
+      th { font-size: 0.75rem; text-transform: uppercase; color: var(--hc-text-muted); }
+    </style>
+  </head>
+  <body>
+    <main class="profile">
+      <a class="profile__back" href="/">← Hashmark Chronicles</a>
+      <header class="profile__header">
+        <img class="profile__avatar" src="${esc(player.headshot)}" alt="${esc(player.name)}" referrerpolicy="no-referrer" loading="lazy" />
+        <div>
+          <h1 class="profile__name">${esc(player.name)}</h1>
+          <p class="profile__sub">${esc([player.pos, player.number != null ? `#${player.number}` : null, TEAM.name].filter(Boolean).join(' · '))}</p>
+        </div>
+      </header>
+      <section class="panel">
+        <h2>Bio</h2>
+        ${bio.length ? `<dl class="bio">${bio.map(([label, value]) => `<div><dt>${esc(label)}</dt><dd>${esc(value)}</dd></div>`).join('')}</dl>` : '<p class="empty">No bio details published yet.</p>'}
+      </section>
+      ${renderCallout(callout)}
+      <section class="panel">
+        <h2>Recruiting</h2>
+        ${renderRecruiting(recruiting)}
+      </section>
+      <section class="panel">
+        <h2>Season</h2>
+        ${statline ? `<p>${esc(statline)}</p>` : '<p class="empty">No season stats recorded yet.</p>'}
+        ${season?.letter ? `<p>Season grade: <strong>${esc(season.letter)}</strong>${season.pct != null ? ` · ${esc(season.pct)}% ${esc(season.group || '')} percentile` : ''}</p>` : ''}
+      </section>
+      <section class="panel">
+        <h2>Spotlight appearances</h2>
+        ${trend ? `<p>Grade trend: ${esc(trend)}</p>` : ''}
+        ${history.length ? renderHistory(history) : '<p class="empty">No spotlight appearances yet.</p>'}
+      </section>
+      <p class="empty"><a href="${esc(espnUrl)}" rel="noopener">ESPN profile</a> · <a href="/compare.html?a=${esc(player.id)}">Compare with a teammate</a> · Updated ${esc(generatedAt.slice(0, 10))}</p>
+    </main>
+  </body>
+</html>
+`;
+}
+
+function renderHistory(history) {
+  const rows = history.map((entry) => {
+    const where = entry.site === 'away' ? 'at' : 'vs';
+    const game = `${entry.season} Wk ${entry.week}${entry.opponent ? ` ${where} ${entry.opponent}` : ''}${entry.result ? ` (${entry.result})` : ''}`;
+    const grade = entry.letter ? `${entry.letter}${entry.pct != null ? ` · ${entry.pct}%` : ''}` : '—';
+    return `<tr><td>${esc(game)}</td><td>${esc(entry.side)} #${entry.rank}</td><td>${esc(grade)}</td><td>${esc(entry.statline)}</td></tr>`;
+  });
+  return `<table>
+          <thead><tr><th>Game</th><th>Rank</th><th>Grade</th><th>Stat line</th></tr></thead>
+          <tbody>${rows.join('')}</tbody>
+        </table>`;
+}
+
+function writePages(pages) {
+  if (DRY) {
+    console.log(`DRY: ${pages.size} pages under ${PAGES_DIR}`);
+    return;
+  }
+  fs.mkdirSync(PAGES_DIR, { recursive: true });
+  for (const file of fs.readdirSync(PAGES_DIR)) {
+    if (file.endsWith('.html') && !pages.has(file)) {
+      fs.rmSync(path.join(PAGES_DIR, file));
+      info(`removed stale page ${file}`);
+    }
+  }
+  for (const [file, html] of pages) {
+    fs.writeFileSync(path.join(PAGES_DIR, file), html);
+  }
+  const index = { pages: [...pages.keys()].sort().map((file) => `/players/${file}`) };
+  fs.writeFileSync(path.join(PAGES_DIR, 'index.json'), `${JSON.stringify(index, null, 2)}\n`);
+}
+
+// Keep every non-player <url> as-is and replace the /players/ block.
+function writeSitemap(files, lastmod) {
+  const raw = readText(SITEMAP_PATH);
+  const eol = raw.includes('\r\n') ? '\r\n' : '\n';
+  const current = raw.replace(/\r\n/g, '\n');
+  const kept = [...current.matchAll(/\s*<url>[\s\S]*?<\/url>/g)]
+    .map(([block]) => block.replace(/^\s*\n/, '\n'))
+    .filter((block) => !/<loc>[^<]*\/players\//.test(block));
+  const players = files.sort().map((file) => `
+  <url>
+    <loc>${SITE_ORIGIN}/players/${file}</loc>
+    <lastmod>${lastmod}</lastmod>
+    <changefreq>weekly</changefreq>
+    <priority>0.6</priority>
+  </url>`);
+  const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${kept.join('')}${players.join('')}
+</urlset>
+`.replace(/\n/g, eol);
+  if (DRY) {
+    console.log(`DRY: ${SITEMAP_PATH}`);
+    return;
+  }
+  fs.writeFileSync(SITEMAP_PATH, xml);
+}
+
+function readText(filePath) {
+  try {
+    return fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    return '';
+  }
+}
+
+function esc(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function info(message) {
+  console.log(`ℹ️  ${message}`);
+}
+
+function fail(message) {
+  recordError(message);
+  console.error(`❌ ${message}`);
+  process.exitCode = 1;
+}
+
+main();
@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+/**
+ * Recruiting pedigree for the roster (stars, composite rating, national and
+ * position rank, hometown, high school).
+ * - CFBD /recruiting/players for the high school and JUCO classes that can
+ *   still be on the roster (YEAR-5 through YEAR), nationwide so transfers
+ *   who signed elsewhere are found too
+ * - Recruits are joined to the canonical roster with lib/resolver.js on the
+ *   CFBD athlete id or full name only (no jersey / initial guesses across
+ *   thousands of recruits); a recruit who signed elsewhere also needs an
+ *   athlete id match or a position on the same side of the ball
+ * - Writes each matched player's `recruiting` record (see lib/recruiting.js)
+ *   and a `recruiting_meta` summary into <data dir>/team/roster_plus.json;
+ *   roster builds carry both over. Keeps the previous file when CFBD has no
+ *   classes or the roster is missing
+ *
+ * Env: CFBD_KEY, TEAM_SLUG / TEAM, YEAR (default: the active season), CFBD_RECORD / CFBD_REPLAY
+ */
+import path from 'path';
+import { writeJSON, readJSON } from './lib/stability.js';
+import { createCfbdClient } from './lib/cfbd.js';
+import { resolveTeam, teamRosterDir, ROOT } from './lib/teams.js';
+import { activeSeason } from './lib/season.js';
+import { createIdResolver, loadIdOverrides, describeResolution, normalizeName } from './lib/resolver.js';
+import { buildRosterPlus, sideForPosition } from './lib/player.js';
+import { positionRanks, recruitRecord, rosterPosition } from './lib/recruiting.js';
+import { startRun, recordDataset, recordFallback, recordError } from './lib/report.js';
+
+// Fifth-year and redshirt seniors signed five classes ago.
+const CLASS_SPAN = 5;
+const CLASSIFICATIONS = ['HighSchool', 'JUCO'];
+
+const TEAM = resolveTeam();
+const YEAR = Number.parseInt(process.env.YEAR || activeSeason(), 10);
+const TEAM_DIR = teamRosterDir(TEAM);
+const ROSTER_PATH = path.join(TEAM_DIR, 'roster.json');
+const OUT_PATH = path.join(TEAM_DIR, 'roster_plus.json');
+const CFBD = createCfbdClient({ team: TEAM.cfbdName, year: YEAR });
+
+const lastName = (name) => normalizeName(name).split(' ').at(-1) || '';
+
+/** Every class list, each recruit tagged with its position rank. */
+async function recruitClasses() {
+  const classes = [];
+  const recruits = [];
+  for (let year = YEAR - CLASS_SPAN; year <= YEAR; year += 1) {
+    let found = false;
+    for (const classification of CLASSIFICATIONS) {
+      let rows;
+      try {
+        rows = await CFBD.get('/recruiting/players', { year, classification });
+      } catch (error) {
+        warn(`CFBD /recruiting/players failed (${year} ${classification}): ${error.message}`);
+        recordFallback('recruiting', `no ${year} ${classification} class (${error.message})`);
+        continue;
+      }
+      if (!Array.isArray(rows) || !rows.length) continue;
+      found = true;
+      const ranks = positionRanks(rows);
+      for (const row of rows) recruits.push({ row, positionRank: ranks.get(row.id) ?? null });
+    }
+    if (found) classes.push(year);
+  }
+  return { classes, recruits };
+}
+
+/**
+ * Roster id -> the recruit joined to it. Several recruits can share a name;
+ * an athlete id match wins, then a recruit who signed here, then the latest class.
+ */
+function matchRecruits(roster, recruits) {
+  const ids = createIdResolver(roster, { overrides: loadIdOverrides(TEAM), loose: false });
+  const rosterIds = new Set(roster.map((player) => String(player.id)));
+  const rosterLast = new Set(roster.map((player) => lastName(player.name)));
+  const matches = new Map();
+  const score = ({ row, player }) => [
+    String(row.athleteId) === String(player.id) ? 1 : 0,
+    (row.committedTo ?? row.committed_to) === TEAM.cfbdName ? 1 : 0,
+    Number(row.year) || 0
+  ];
+  const better = (a, b) => {
+    const [x, y] = [score(a), score(b)];
+    for (let i = 0; i < x.length; i += 1) if (x[i] !== y[i]) return x[i] > y[i];
+    return false;
+  };
+
+  for (const recruit of recruits) {
+    const { row } = recruit;
+    const athleteId = row.athleteId ?? row.athlete_id ?? null;
+    const signedHere = (row.committedTo ?? row.committed_to) === TEAM.cfbdName;
+    // Skip the resolver for the thousands of recruits who can't be ours.
+    if (!signedHere && !rosterIds.has(String(athleteId)) && !rosterLast.has(lastName(row.name))) continue;
+
+    const pos = rosterPosition(row.position);
+    const player = ids.resolve({ id: athleteId, name: row.name, pos });
+    if (!player) continue;
+    const idMatch = String(athleteId) === String(player.id);
+    if (!signedHere && !idMatch && (!pos || sideForPosition(pos) !== sideForPosition(player.pos))) continue;
+
+    const candidate = { ...recruit, player };
+    const current = matches.get(player.id);
+    if (!current || better(candidate, current)) matches.set(player.id, candidate);
+  }
+  return { matches, report: ids.report() };
+}
+
+async function main() {
+  startRun('build_recruiting', { team: TEAM, season: YEAR });
+  const roster = readJSON(ROSTER_PATH, []);
+  if (!Array.isArray(roster) || !roster.length) {
+    recordFallback('recruiting', 'no roster; kept the previous file');
+    recordDataset('roster_plus', { file: 'team/roster_plus.json', provider: 'cache', rows: 0, status: 'kept', note: 'recruiting' });
+    warn(`no roster at ${path.relative(ROOT, ROSTER_PATH)}; run the roster build first`);
+    return;
+  }
+
+  const { classes, recruits } = await recruitClasses();
+  if (!classes.length) {
+    recordFallback('recruiting', 'no recruiting classes; kept the previous file');
+    recordDataset('roster_plus', { file: 'team/roster_plus.json', provider: 'cache', rows: 0, status: 'kept', note: 'recruiting' });
+    warn(`no recruiting classes for ${YEAR - CLASS_SPAN}–${YEAR}; kept ${path.relative(ROOT, OUT_PATH)}`);
+    return;
+  }
+
+  const { matches, report } = matchRecruits(roster, recruits);
+  // Every record is recomputed, so nothing is carried from the previous file.
+  const plus = buildRosterPlus(roster);
+  for (const [id, { row, positionRank }] of matches) {
+    plus.byId[id] = { ...plus.byId[id], recruiting: recruitRecord(row, TEAM.cfbdName, positionRank) };
+  }
+  const transfers = [...matches.values()].filter(({ row }) => (row.committedTo ?? row.committed_to) !== TEAM.cfbdName).length;
+  plus.recruiting_meta = {
+    generated_at: new Date().toISOString(),
+    season: YEAR,
+    classes,
+    matched: matches.size
+  };
+
+  writeJSON(OUT_PATH, plus);
+  recordDataset('roster_plus', {
+    file: 'team/roster_plus.json',
+    provider: 'cfbd',
+    rows: matches.size,
+    status: 'written',
+    note: `recruiting for ${matches.size} of ${roster.length} players (${transfers} signed elsewhere); classes ${classes.join(', ')}`
+  });
+  for (const line of describeResolution(report)) console.log(line);
+  console.log(`✅ recruiting for ${TEAM.cfbdName} — ${matches.size} of ${roster.length} players matched across ${classes.length} class(es)`);
+}
+
+function warn(message) {
+  console.warn(`⚠️  ${message}`);
+}
+
+main().catch((error) => {
+  recordError(error);
+  recordFallback('recruiting', 'kept the previous file');
+  console.error('❌ recruiting build failed:', error.message);
+  process.exitCode = 1;
+});
@@ -1,72 +1,65 @@
 // scripts/build_roster.js
-// Build full roster JSON (plus optional joined season stats) into data/team/roster.json
-// Env: CFBD_KEY (secret), TEAM, YEAR (optional)
+// Build full roster JSON (canonical player records plus optional joined season stats)
+// into data/team/roster.json
+// Env: CFBD_KEY (secret), TEAM / TEAM_SLUG, YEAR (default: the active season)
 //
 // Usage (in Actions):
 //   TEAM="Kentucky" YEAR=2025 node scripts/build_roster.js
 
 import fs from 'fs/promises';
+import path from 'path';
+import { resolveTeam, teamRosterDir } from './lib/teams.js';
+import { activeSeason } from './lib/season.js';
+import { readJSON } from './lib/stability.js';
+import { createCfbdClient } from './lib/cfbd.js';
+import { buildRosterPlus } from './lib/player.js';
+import { updateRosterChanges, describeRosterChanges } from './lib/roster_changes.js';
+import { runProviderChain } from './lib/providers/index.js';
+import { startRun, recordDataset, recordFallback, recordError } from './lib/report.js';
 
-const TEAM = process.env.TEAM || 'Kentucky';
-let YEAR = Number(process.env.YEAR || defaultSeasonYear());
+const TEAM_CONFIG = resolveTeam();
+const TEAM = TEAM_CONFIG.cfbdName;
+const OUT_DIR = teamRosterDir(TEAM_CONFIG);
+let YEAR = Number(process.env.YEAR || activeSeason());
 const KEY = process.env.CFBD_KEY;
 
-if (!KEY) { console.error('Missing CFBD_KEY'); process.exit(1); }
-
-function defaultSeasonYear(d = new Date()) {
-  const y = d.getUTCFullYear();
-  const m = d.getUTCMonth(); // 0..11
-  return m >= 6 ? y : y - 1; // season starts Jul/Aug
-}
-
-async function cfbd(path, params = {}) {
-  const q = new URLSearchParams(params).toString();
-  const url = `https://api.collegefootballdata.com${path}${q ? `?${q}` : ''}`;
-  const r = await fetch(url, { headers: { Authorization: `Bearer ${KEY}` } });
-  if (!r.ok) throw new Error(`${r.status} ${await r.text()}`);
-  return r.json();
-}
-const head = id => id ? `https://a.espncdn.com/i/headshots/college-football/players/full/${id}.png` : null;
-const init = (f,l) => `${(f?.[0]||'').toUpperCase()}${(l?.[0]||'').toUpperCase()}` || '??';
+startRun('build_roster', { team: TEAM_CONFIG, season: YEAR });
+if (!KEY) { recordError('Missing CFBD_KEY'); console.error('Missing CFBD_KEY'); process.exit(1); }
 
 async function main() {
-  // 1) Full roster (may be large)
-  let roster = await cfbd('/roster', { team: TEAM, year: YEAR });
-  if (!Array.isArray(roster) || roster.length === 0) {
+  // 1) Full roster via the CFBD provider (canonical player records)
+  let chain = await runProviderChain(['cfbd'], { team: TEAM_CONFIG, season: YEAR });
+  if (!chain.players.length) {
     console.warn(`No roster for ${TEAM} ${YEAR}; trying ${YEAR - 1}`);
-    const fb = await cfbd('/roster', { team: TEAM, year: YEAR - 1 });
-    if (Array.isArray(fb) && fb.length) { roster = fb; YEAR = YEAR - 1; }
+    const fb = await runProviderChain(['cfbd'], { team: TEAM_CONFIG, season: YEAR - 1 });
+    if (fb.players.length) {
+      chain = { ...fb, attempts: chain.attempts.concat(fb.attempts) };
+      YEAR = YEAR - 1;
+      recordFallback('roster', `no ${YEAR + 1} roster; used ${YEAR}`);
+    }
   }
+  if (!chain.players.length) throw new Error(`CFBD roster unavailable: ${chain.attempts.map(a => a.error).join(' | ')}`);
 
   // 2) Optional season stats (only players who recorded stats)
   let stats = [];
-  try { stats = await cfbd('/player/season', { team: TEAM, year: YEAR }); } catch {}
+  try { stats = await createCfbdClient({ team: TEAM, year: YEAR }).get('/player/season', { team: TEAM, year: YEAR }); } catch (e) { recordFallback('roster', `season stats unavailable (${e.message})`); }
 
   const idx = new Map(stats.map(s => {
     const k = s.athleteId ? `id:${s.athleteId}` : `name:${(s.player||'').toLowerCase()}|${s.position||''}`;
     return [k, s];
   }));
 
-  const merged = roster.map(p => {
-    const k = p.athleteId ? `id:${p.athleteId}` :
-      `name:${(p.firstName+' '+p.lastName).toLowerCase()}|${p.position||''}`;
-    const s = idx.get(k);
-    return {
-      athleteId: p.athleteId ?? null,
-      name: `${p.firstName||''} ${p.lastName||''}`.trim(),
-      firstName: p.firstName ?? null,
-      lastName: p.lastName ?? null,
-      position: p.position ?? null,
-      jersey: p.jersey ?? null,
-      headshot: head(p.athleteId),
-      initials: init(p.firstName, p.lastName),
-      stats: s || null
-    };
-  });
+  const merged = chain.players.map(p => ({
+    ...p,
+    stats: idx.get(`id:${p.id}`) || idx.get(`name:${p.name.toLowerCase()}|${p.pos||''}`) || null
+  }));
 
-  await fs.mkdir('data/team', { recursive: true });
-  await fs.writeFile('data/team/roster.json', JSON.stringify(merged, null, 2));
-  await fs.writeFile('data/team/roster_meta.json', JSON.stringify({ team: TEAM, year: YEAR, generated_at: new Date().toISOString(), count: merged.length }, null, 2));
-  console.log(`✅ Wrote data/team/roster.json with ${merged.length} players for ${TEAM} ${YEAR}`);
+  await fs.mkdir(OUT_DIR, { recursive: true });
+  for (const line of describeRosterChanges(updateRosterChanges(OUT_DIR, merged, { team: TEAM_CONFIG.slug, season: YEAR }))) console.log(line);
+  await fs.writeFile(path.join(OUT_DIR, 'roster.json'), JSON.stringify(merged, null, 2));
+  await fs.writeFile(path.join(OUT_DIR, 'roster_plus.json'), JSON.stringify(buildRosterPlus(merged, readJSON(path.join(OUT_DIR, 'roster_plus.json'), null)), null, 2));
+  await fs.writeFile(path.join(OUT_DIR, 'roster_meta.json'), JSON.stringify({ teamId: TEAM_CONFIG.espnId, team: TEAM_CONFIG.slug, season: YEAR, source: 'cfbd', provider: chain.provider, providers: chain.attempts, generated_at: new Date().toISOString(), count: merged.length }, null, 2));
+  recordDataset('roster', { file: path.relative(process.cwd(), path.join(OUT_DIR, 'roster.json')), provider: chain.provider, rows: merged.length, status: 'written', note: `${idx.size} stat rows joined` });
+  console.log(`✅ Wrote ${path.relative(process.cwd(), OUT_DIR)}/roster.json with ${merged.length} players for ${TEAM} ${YEAR}`);
 }
-main().catch(e => { console.error(e); process.exit(1); });
+main().catch(e => { recordError(e); console.error(e); process.exit(1); });
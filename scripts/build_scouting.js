@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+/**
+ * Opponent scouting report for the next scheduled game.
+ * - Resolves the next opponent from the CFBD /games schedule
+ * - Grades the opponent's season player stats with the spotlight model
+ * - Summarizes team tendencies from CFBD /stats/season
+ * - Writes scouting_next.json into the team's data dir; keeps the previous
+ *   report when CFBD is unavailable
+ *
+ * Env: CFBD_KEY, TEAM_SLUG / TEAM, YEAR (default: the active season), CFBD_RECORD / CFBD_REPLAY
+ */
+import path from 'path';
+import { writeJSON, readJSON, unchanged } from './lib/stability.js';
+import { createCfbdClient, gameFields, normalizeSeasonPlayerRows } from './lib/cfbd.js';
+import { loadGradingModel, gradeRows, formatOffStatline, formatDefStatline } from './lib/grading.js';
+import { loadTeams, resolveTeam, teamDataDir } from './lib/teams.js';
+import { activeSeason } from './lib/season.js';
+import { createIdResolver, loadIdOverrides } from './lib/resolver.js';
+import { startRun, recordDataset, recordFallback, recordError } from './lib/report.js';
+
+const TEAMS = loadTeams();
+const TEAM = resolveTeam(process.env, TEAMS);
+const YEAR = Number.parseInt(process.env.YEAR || activeSeason(), 10);
+const THREATS_PER_SIDE = 5;
+const OUT_PATH = path.join(teamDataDir(TEAM), 'scouting_next.json');
+
+const MODEL = loadGradingModel();
+const CFBD = createCfbdClient({ team: TEAM.cfbdName, year: YEAR });
+
+async function main() {
+  startRun('build_scouting', { team: TEAM, season: YEAR });
+  const games = await CFBD.get('/games', { year: YEAR, team: TEAM.cfbdName, seasonType: 'both' });
+  const next = findNextGame(games);
+  if (!next) {
+    const status = writeReport(emptyReport('No remaining games on the schedule'));
+    recordDataset('scouting_next', { file: 'scouting_next.json', provider: 'cfbd', rows: 0, status, note: 'no remaining games' });
+    console.log(`ℹ️  no upcoming game for ${TEAM.cfbdName} ${YEAR}`);
+    return;
+  }
+
+  const home = next.homeTeam === TEAM.cfbdName;
+  const opponentName = home ? next.awayTeam : next.homeTeam;
+  const opponent = TEAMS.find((team) => team.cfbdName === opponentName) || null;
+
+  const [playerSeason, teamSeason] = await Promise.all([
+    CFBD.get('/stats/player/season', { year: YEAR, team: opponentName }),
+    CFBD.get('/stats/season', { year: YEAR, team: opponentName }).catch((error) => {
+      warn(`team season stats unavailable for ${opponentName}: ${error.message}`);
+      recordFallback('scouting_next', `no team tendencies for ${opponentName} (${error.message})`);
+      return [];
+    })
+  ]);
+
+  const graded = gradeRows(MODEL, normalizeSeasonPlayerRows(playerSeason), 'season');
+  const ids = opponentResolver(opponent);
+  const threats = {
+    offense: graded.offense.slice(0, THREATS_PER_SIDE).map((entry) => shapeThreat(entry, ids)),
+    defense: graded.defense.slice(0, THREATS_PER_SIDE).map((entry) => shapeThreat(entry, ids))
+  };
+
+  const report = {
+    season: YEAR,
+    team: TEAM.slug,
+    generated_at: new Date().toISOString(),
+    model: MODEL.version,
+    game: {
+      id: next.id,
+      week: next.week,
+      seasonType: next.seasonType,
+      start_date: next.startDate,
+      venue: next.venue,
+      site: next.neutralSite ? 'neutral' : home ? 'home' : 'away'
+    },
+    opponent: {
+      name: opponentName,
+      slug: opponent?.slug || null,
+      espnId: opponent?.espnId || null,
+      colors: opponent?.colors || null
+    },
+    threats,
+    tendencies: buildTendencies(teamSeason)
+  };
+
+  recordDataset('scouting_next', {
+    file: 'scouting_next.json',
+    provider: 'cfbd',
+    rows: threats.offense.length + threats.defense.length,
+    status: writeReport(report),
+    note: `${opponentName}, week ${next.week}`
+  });
+  console.log(`✅ scouting report for ${opponentName} (week ${next.week}) — ${threats.offense.length}+${threats.defense.length} threats`);
+}
+
+function findNextGame(games) {
+  const now = Date.now();
+  return (games || [])
+    .map(gameFields)
+    .filter((game) => !game.completed && game.startDate && new Date(game.startDate).getTime() >= now - 6 * 3600 * 1000)
+    .sort((a, b) => new Date(a.startDate) - new Date(b.startDate))[0] || null;
+}
+
+// Opponents we follow have a canonical roster; anyone else gets no ids or headshots.
+function opponentResolver(team) {
+  const roster = team ? readJSON(path.join(teamDataDir(team), 'team', 'roster.json'), []) : [];
+  return createIdResolver(Array.isArray(roster) ? roster : [], { overrides: loadIdOverrides(team) });
+}
+
+function shapeThreat(entry, ids) {
+  const row = entry.row;
+  const known = ids.resolve({ ...row, side: entry.side });
+  return {
+    id: known?.id ?? null,
+    name: row.name,
+    pos: row.pos || null,
+    headshot: known?.headshot ?? null,
+    side: entry.side,
+    group: entry.group,
+    statline: entry.side === 'offense' ? formatOffStatline(row) : formatDefStatline(row),
+    score: Math.round(entry.score * 10) / 10,
+    pct: entry.pct,
+    letter: entry.letter
+  };
+}
+
+// /stats/season is a long list of { statName, statValue } rows.
+function buildTendencies(rows) {
+  const stat = {};
+  for (const row of rows || []) {
+    if (row?.statName) stat[row.statName] = Number(row.statValue);
+  }
+  const num = (key) => (Number.isFinite(stat[key]) ? stat[key] : null);
+  const ratio = (a, b) => (a != null && b ? a / b : null);
+
+  const rushes = num('rushingAttempts');
+  const passes = num('passAttempts');
+  const plays = rushes != null && passes != null ? rushes + passes : null;
+  const games = num('games');
+
+  const tendencies = [
+    { key: 'run_rate', label: 'Run rate', value: pct(ratio(rushes, plays)) },
+    { key: 'yards_per_play', label: 'Yards/Play', value: round(ratio(num('totalYards'), plays), 1) },
+    { key: 'yards_per_rush', label: 'Yards/Rush', value: round(ratio(num('rushingYards'), rushes), 1) },
+    { key: 'yards_per_pass', label: 'Yards/Pass', value: round(ratio(num('netPassingYards'), passes), 1) },
+    { key: 'third_down', label: '3rd-down conv.', value: pct(ratio(num('thirdDownConversions'), num('thirdDowns'))) },
+    { key: 'turnovers_pg', label: 'Turnovers/Game', value: round(ratio(num('turnovers'), games), 1) },
+    { key: 'sacks_pg', label: 'Sacks/Game', value: round(ratio(num('sacks'), games), 1) },
+    { key: 'penalty_yards_pg', label: 'Penalty yds/Game', value: round(ratio(num('penaltyYards'), games), 1) }
+  ];
+  return tendencies.filter((item) => item.value != null);
+}
+
+function pct(value) {
+  return value == null ? null : `${Math.round(value * 1000) / 10}%`;
+}
+
+function round(value, digits) {
+  if (value == null) return null;
+  const scale = 10 ** digits;
+  return Math.round(value * scale) / scale;
+}
+
+// The preview only changes when the opponent's numbers do; an identical
+// report keeps the file (and its generated_at) as it was.
+function writeReport(report) {
+  if (unchanged(readJSON(OUT_PATH, null), report)) return 'kept';
+  writeJSON(OUT_PATH, report);
+  return 'written';
+}
+
+function emptyReport(note) {
+  return {
+    season: YEAR,
+    team: TEAM.slug,
+    generated_at: new Date().toISOString(),
+    model: MODEL.version,
+    game: null,
+    opponent: null,
+    threats: { offense: [], defense: [] },
+    tendencies: [],
+    note
+  };
+}
+
+function warn(message) {
+  console.warn(`⚠️  ${message}`);
+}
+
+main().catch((error) => {
+  // Keep the previous report on disk; a stale preview beats an empty panel.
+  recordError(error);
+  recordFallback('scouting_next', 'kept the previous report');
+  console.error('❌ scouting build failed:', error.message);
+  process.exitCode = 1;
+});
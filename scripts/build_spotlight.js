@@ -1,54 +1,82 @@
 /**
  * Hashmark Spotlight Builder (v3)
  * - Pulls CFBD game + player stats for TEAM/YEAR
- * - Scores players (offense/defense), guarantees Top‑3 for Last + Season
+ * - Grades players with config/grading_model.json (position-group weights,
+ *   caps, minimums, percentile pools per group); guarantees Top‑3 for Last + Season
  * - Merges headshots (ESPN CDN) when available
+ * - Thin weeks are backfilled with depth-chart starters (team/depth_chart.json)
+ * - Players listed "out" in team/availability.json are never backfilled or
+ *   featured; graded lists still rank them on what they did
+ * - Rows carry snaps/targets/opportunities from team/usage.json, so the model's
+ *   usage minimums apply; cards expose per-snap and per-opportunity rates
+ * - Joins CFBD rows to roster ESPN ids via lib/resolver.js; players it can't
+ *   place are graded but never published with a made-up id
  * - NEVER publishes empty arrays; preserves last-good JSON if no data
+ * - Builds into <data dir>/.staging/, schema-checks the whole set and only then
+ *   swaps it in (lib/publish.js); each publish is snapshotted under
+ *   .cache/spotlight/<team>/ for scripts/rollback_spotlight.js
  * - Defensive INTs: uses `interceptionsDef` (NOT offensive interceptions)
+ * - Archives each completed game's top lists to archive/<season>/week-<n>.json
+ *   (missing weeks are backfilled) and indexes them in archive/index.json
+ * - Per-player game grade series (with each game's stat line) and season
+ *   grades go to spotlight_trends.json; each card carries its recent `trend`
+ *   and `delta` versus the previous game
+ * - Record/replay: CFBD_RECORD=<dir> captures every CFBD response (plus the
+ *   roster used) so CFBD_REPLAY=<dir> can rebuild the same files offline;
+ *   a replay writes to <dir>/out/ unless SPOTLIGHT_OUT says otherwise, so it
+ *   never lands on the published data
  *
  * Usage (CI): node scripts/build_spotlight.js
- * Env: CFBD_KEY (required for live), TEAM (default: Kentucky), YEAR (default: 2025)
+ * Env: CFBD_KEY (required for live), TEAM_SLUG / TEAM (default: primary team in
+ *      config/teams.json), YEAR (default: the active season), CFBD_RECORD / CFBD_REPLAY (capture dir),
+ *      SPOTLIGHT_OUT (default: the team's data dir; <replay dir>/out when replaying)
  */
 
 import fs from "fs/promises";
 import path from "path";
 import process from "process";
-
-const TEAM = process.env.TEAM || "Kentucky";
-const YEAR = parseInt(process.env.YEAR || "2025", 10);
-const DATA_DIR = path.resolve("data");
+import { replayOptionsFromEnv, readManifest } from "./lib/replay.js";
+import { createCfbdClient, gameFields, normalizeGamePlayerRows, normalizeSeasonPlayerRows } from "./lib/cfbd.js";
+import { loadGradingModel, gradeRows, formatOffStatline, formatDefStatline } from "./lib/grading.js";
+import { resolveTeam, teamDataDir, teamRosterDir } from "./lib/teams.js";
+import { activeSeason } from "./lib/season.js";
+import { sideForPosition } from "./lib/player.js";
+import { rowSide, usageFromRow, usageRates } from "./lib/usage.js";
+import { isOut } from "./lib/availability.js";
+import { unchanged } from "./lib/stability.js";
+import { createIdResolver, loadIdOverrides, describeResolution } from "./lib/resolver.js";
+import { SPOTLIGHT_OWNED, openStage, validateStage, publishStage, discardStage, snapshotFiles } from "./lib/publish.js";
+import { startRun, recordDataset, recordFallback, recordValidation, recordError } from "./lib/report.js";
+
+const REPLAY = replayOptionsFromEnv();
+const MANIFEST = REPLAY.mode === "replay" ? readManifest(REPLAY.dir) : null;
+const TEAM_CONFIG = resolveTeam({ TEAM: MANIFEST?.team, ...process.env });
+const TEAM = TEAM_CONFIG.cfbdName;
+const YEAR = parseInt(process.env.YEAR || MANIFEST?.year || activeSeason(), 10);
+// Replays and SPOTLIGHT_OUT runs are scratch builds: never the live data dir, never snapshotted.
+const SCRATCH = Boolean(process.env.SPOTLIGHT_OUT) || REPLAY.mode === "replay";
+const DATA_DIR = process.env.SPOTLIGHT_OUT
+  ? path.resolve(process.env.SPOTLIGHT_OUT)
+  : REPLAY.mode === "replay" ? path.join(REPLAY.dir, "out") : teamDataDir(TEAM_CONFIG);
+const MODEL = loadGradingModel();
+const PROVIDER = REPLAY.mode === "replay" ? "cfbd-replay" : "cfbd";
+startRun("build_spotlight", { team: TEAM_CONFIG, season: YEAR });
 await fs.mkdir(DATA_DIR, { recursive: true });
+// Every read and write below goes to the stage; main() publishes it at the end.
+const STAGE_DIR = await openStage(DATA_DIR, SPOTLIGHT_OWNED);
 
 // ----------- utilities
-const sleep = (ms) => new Promise(r => setTimeout(r, ms));
-const clamp = (x, lo, hi) => Math.max(lo, Math.min(hi, x));
-const safeNum = (x) => (isFinite(+x) ? +x : 0);
-
-function letterFromScore(pct) {
-  // pct in [0,100]
-  const p = clamp(pct, 0, 100);
-  if (p >= 97) return "A+";
-  if (p >= 93) return "A";
-  if (p >= 90) return "A-";
-  if (p >= 87) return "B+";
-  if (p >= 83) return "B";
-  if (p >= 80) return "B-";
-  if (p >= 77) return "C+";
-  if (p >= 73) return "C";
-  if (p >= 70) return "C-";
-  if (p >= 67) return "D+";
-  if (p >= 63) return "D";
-  if (p >= 60) return "D-";
-  return "F";
-}
-
 function headshotUrl(espnId) {
   return espnId ? `https://a.espncdn.com/i/headshots/college-football/players/full/${espnId}.png` : null;
 }
 
 async function readJson(file) {
+  return readJsonAt(path.join(STAGE_DIR, file));
+}
+
+async function readJsonAt(filePath) {
   try {
-    const buf = await fs.readFile(path.join(DATA_DIR, file), "utf8");
+    const buf = await fs.readFile(filePath, "utf8");
     return JSON.parse(buf);
   } catch {
     return null;
@@ -57,202 +85,365 @@ async function readJson(file) {
 
 async function writeJson(file, obj) {
   const out = JSON.stringify(obj, null, 2) + "\n";
-  await fs.writeFile(path.join(DATA_DIR, file), out, "utf8");
+  await fs.writeFile(path.join(STAGE_DIR, file), out, "utf8");
   console.log(`wrote ${file} (${Array.isArray(obj) ? obj.length : "1"})`);
 }
 
-function byScoreDesc(a, b) {
-  return (b.score ?? 0) - (a.score ?? 0);
+// Keep the previous `stamp` when nothing else changed, so a rerun with no new
+// data leaves the file as it was and the workflow has nothing to commit.
+async function writeStamped(file, obj, stamp) {
+  const previous = await readJson(file);
+  await writeJson(file, unchanged(previous, obj, stamp) ? { ...obj, [stamp]: previous[stamp] } : obj);
 }
 
-// ----------- CFBD fetch (with graceful fallback)
-const CFBD = {
-  base: "https://api.collegefootballdata.com",
-  key: process.env.CFBD_KEY || null,
-  async get(route, qs = {}) {
-    const url = new URL(this.base + route);
-    Object.entries(qs).forEach(([k, v]) => url.searchParams.set(k, v));
-    const headers = this.key ? { Authorization: `Bearer ${this.key}` } : {};
-    const res = await fetch(url, { headers });
-    if (!res.ok) throw new Error(`${route} -> ${res.status}`);
-    return res.json();
-  },
-};
+// ----------- CFBD fetch (with graceful fallback, optional record/replay)
+const CFBD = createCfbdClient({ team: TEAM, year: YEAR }, REPLAY);
 
 // ----------- normalize helpers
 function normalizeRoster(list) {
-  // schema: { id?, name, pos, number?, espnId? }
-  return (list || []).map(p => ({
-    id: p.id ?? `${p.name}|${p.pos}`,
-    name: p.name,
-    pos: p.pos,
-    number: p.number ?? null,
-    espnId: p.espnId ?? null,
-  }));
-}
-
-function scoreOffense(s) {
-  // Light MVP blend – weights are hand-tuned to behave sanely.
-  const pass = 0.05 * safeNum(s.passingYards) + 6.0 * safeNum(s.passingTDs) - 3.0 * safeNum(s.interceptions);
-  const rush = 0.10 * safeNum(s.rushingYards) + 6.0 * safeNum(s.rushingTDs);
-  const rec  = 0.10 * safeNum(s.receivingYards) + 6.0 * safeNum(s.receivingTDs);
-  const bonus = 1.0 * safeNum(s.firstDowns || 0); // if available
-  return pass + rush + rec + bonus;
-}
-
-function scoreDefense(s) {
-  // NOTE: use interceptionsDef — defensive picks (not offensive interception throws)
-  const tackles = 0.7 * safeNum(s.tackles) + 0.8 * safeNum(s.soloTackles);
-  const havoc   = 5.0 * safeNum(s.sacks) + 3.0 * safeNum(s.tfl);
-  const ball    = 6.0 * safeNum(s.interceptionsDef) + 4.0 * safeNum(s.passesDefended)
-                + 3.0 * safeNum(s.forcedFumbles) + 3.0 * safeNum(s.fumblesRecovered);
-  return tackles + havoc + ball;
-}
-
-function percentileRank(values, x) {
-  if (!values.length) return 0;
-  const sorted = [...values].sort((a, b) => a - b);
-  const idx = sorted.findIndex(v => v > x);
-  const rank = (idx < 0 ? sorted.length : idx) / sorted.length;
-  return clamp(Math.round(rank * 100), 0, 100);
+  // canonical rows (lib/player.js) carry the ESPN id as `id`;
+  // legacy data/roster.json rows: { id?, name, pos, number?, espnId? }
+  // Rows without a numeric ESPN id are dropped: published ids must be real.
+  return (list || [])
+    .map(p => ({
+      id: Number(p.espnId ?? p.id),
+      name: p.name,
+      pos: p.pos,
+      number: p.number ?? null,
+    }))
+    .filter(p => p.name && Number.isInteger(p.id) && p.id > 0);
 }
 
 // ----------- dataset builders
 async function ensureRoster() {
+  // Replays join against the roster captured alongside the responses.
+  if (REPLAY.mode === "replay") {
+    const captured = await readJsonAt(path.join(REPLAY.dir, "roster.json"));
+    if (captured) return captured;
+    console.warn("replay capture has no roster.json; joining against an empty roster");
+    recordFallback("roster", "replay capture has no roster.json");
+    return { team: TEAM, season: YEAR, players: [] };
+  }
+
+  // Prefer the canonical roster published by the roster provider chain.
+  const canonical = await readJsonAt(path.join(teamRosterDir(TEAM_CONFIG), "roster.json"));
+  if (Array.isArray(canonical) && canonical.length) {
+    const roster = { team: TEAM, season: YEAR, players: canonical };
+    if (REPLAY.mode === "record") await captureRoster(roster);
+    return roster;
+  }
+
   // If you already curate data/roster.json, we keep it.
   // If missing, build a minimal roster from last known spotlight or fall back to empty.
   const existing = await readJson("roster.json");
   if (existing && Array.isArray(existing.players) && existing.players.length) {
+    if (REPLAY.mode === "record") await captureRoster(existing);
     return existing;
   }
   // Minimal scaffold
   const roster = { team: TEAM, season: YEAR, players: [] };
   await writeJson("roster.json", roster);
+  if (REPLAY.mode === "record") await captureRoster(roster);
   return roster;
 }
 
-function formatOffStatline(s) {
-  const parts = [];
-  if (safeNum(s.passingYards) || safeNum(s.passingTDs) || safeNum(s.interceptions)) {
-    parts.push(`CMP-ATT ${s.cmpAtt ?? ""}`, `YDS ${safeNum(s.passingYards)}`, `TD ${safeNum(s.passingTDs)}`, `INT ${safeNum(s.interceptions)}`);
+async function captureRoster(roster) {
+  await fs.writeFile(path.join(REPLAY.dir, "roster.json"), JSON.stringify(roster, null, 2) + "\n", "utf8");
+}
+
+// Starters from team/depth_chart.json (scripts/build_depth_chart.js), most
+// snaps first, then most involved; replays read the chart captured with the roster.
+async function loadStarters(roster) {
+  const file = REPLAY.mode === "replay"
+    ? path.join(REPLAY.dir, "depth_chart.json")
+    : path.join(teamRosterDir(TEAM_CONFIG), "depth_chart.json");
+  const chart = await readJsonAt(file);
+  if (chart && REPLAY.mode === "record") {
+    await fs.writeFile(path.join(REPLAY.dir, "depth_chart.json"), JSON.stringify(chart, null, 2) + "\n", "utf8");
   }
-  if (safeNum(s.rushingYards) || safeNum(s.rushingTDs)) {
-    parts.push(`RUSH ${safeNum(s.rushingYards)} YDS`, `TD ${safeNum(s.rushingTDs)}`);
+  if (!chart) return null;
+  const byId = new Map(roster.players.map(p => [p.id, p]));
+  const starters = (unit) => (chart[unit] || [])
+    .flatMap(position => position.players.filter(p => p.starter))
+    .sort((a, b) => (b.snaps || 0) - (a.snaps || 0) || (b.usage || 0) - (a.usage || 0))
+    .map(p => byId.get(p.id))
+    .filter(Boolean);
+  return { offense: starters("offense"), defense: starters("defense") };
+}
+
+// team/usage.json (scripts/build_usage.js); replays read the captured copy.
+async function loadUsage() {
+  const file = REPLAY.mode === "replay"
+    ? path.join(REPLAY.dir, "usage.json")
+    : path.join(teamRosterDir(TEAM_CONFIG), "usage.json");
+  const usage = await readJsonAt(file);
+  if (usage && REPLAY.mode === "record") {
+    await fs.writeFile(path.join(REPLAY.dir, "usage.json"), JSON.stringify(usage, null, 2) + "\n", "utf8");
   }
-  if (safeNum(s.receivingYards) || safeNum(s.receivingTDs)) {
-    parts.push(`REC ${safeNum(s.receivingYards)} YDS`, `TD ${safeNum(s.receivingTDs)}`);
+  // Last season's file would hand this season's rows the wrong volume.
+  return usage?.season === YEAR ? usage : null;
+}
+
+async function loadAvailability() {
+  const file = REPLAY.mode === "replay"
+    ? path.join(REPLAY.dir, "availability.json")
+    : path.join(teamRosterDir(TEAM_CONFIG), "availability.json");
+  const availability = await readJsonAt(file);
+  if (availability && REPLAY.mode === "record") {
+    await fs.writeFile(path.join(REPLAY.dir, "availability.json"), JSON.stringify(availability, null, 2) + "\n", "utf8");
   }
-  return parts.filter(Boolean).join(" • ");
+  return availability?.season === YEAR ? availability : null;
 }
 
-function formatDefStatline(s) {
-  const parts = [];
-  parts.push(`T ${safeNum(s.tackles)}`, `S ${safeNum(s.sacks)}`, `TFL ${safeNum(s.tfl)}`, `PD ${safeNum(s.passesDefended)}`, `INT ${safeNum(s.interceptionsDef)}`);
-  return parts.join(" • ");
+function unavailable(roster, id) {
+  return isOut(roster.availability?.players?.[String(id)]);
 }
 
-function shapeEntry(p, side, statline, score, pct, letter) {
+// Put usage on each stat row before grading. `usageOf(id)` gives the tracked
+// usage for the window; untracked rows still get opportunities from their own
+// box score. Unknown stats stay off the row (minimums skip missing stats).
+function withUsage(rows, roster, usageOf) {
+  return rows.map(row => {
+    const side = rowSide(row);
+    const player = roster.ids.resolve({ ...row, side });
+    const tracked = player ? usageOf(player.id) : null;
+    const usage = {
+      snaps: tracked?.snaps ?? null,
+      targets: tracked?.targets ?? null,
+      opportunities: tracked?.opportunities ?? usageFromRow(row, side).opportunities,
+    };
+    return { ...row, ...Object.fromEntries(Object.entries(usage).filter(([, value]) => value != null)) };
+  });
+}
+
+function usageSummary(entry) {
+  const row = entry.row;
+  if (row.opportunities == null) return null;
+  return {
+    snaps: row.snaps ?? null,
+    targets: row.targets ?? null,
+    opportunities: row.opportunities,
+    ...usageRates(row, entry.side, entry.score),
+  };
+}
+
+function shapeEntry(p, side, statline, score, pct, letter, group = null, usage = null) {
   return {
     id: p.id,
     name: p.name,
     pos: p.pos,
     number: p.number ?? null,
-    headshot: headshotUrl(p.espnId),
+    headshot: headshotUrl(p.id),
     side,             // "offense" | "defense"
     statline,
     score: Math.round(score * 10) / 10,
-    pct: pct,         // 0..100
+    pct: pct,         // 0..100, within the position group's pool (the side's, for thin groups)
     letter,           // "B+" etc.
+    group,            // grading pool, e.g. "QB"
+    usage,            // { snaps, targets, opportunities, per_snap, per_opportunity } or null
+    model: MODEL.version,
+  };
+}
+
+function gradeTop(rows, roster, window) {
+  // join with roster for IDs/headshots; players the resolver can't place are
+  // still graded (they stay in the percentile pools) but never published
+  const graded = gradeRows(MODEL, rows, window);
+  const join = (entry) => roster.ids.resolve({ ...entry.row, side: entry.side });
+  const shape = (entry) => {
+    const player = join(entry);
+    if (!player) return null;
+    const s = entry.row;
+    const statline = entry.side === "offense" ? formatOffStatline(s) : formatDefStatline(s);
+    return shapeEntry(player, entry.side, statline, entry.score, entry.pct, entry.letter, entry.group, usageSummary(entry));
+  };
+
+  const offTop = graded.offense.map(shape).filter(Boolean).slice(0, 10);
+  const defTop = graded.defense.map(shape).filter(Boolean).slice(0, 10);
+
+  return {
+    offense: offTop.slice(0, 3),
+    defense: defTop.slice(0, 3),
+    top: { offense: offTop, defense: defTop }, // top 10 per side, kept in the weekly archive
+    // every graded player, so the archive can rebuild per-player grade series
+    grades: graded.offense.concat(graded.defense).map(entry => ({
+      id: join(entry)?.id ?? null,
+      name: entry.row.name,
+      side: entry.side,
+      group: entry.group,
+      pct: entry.pct,
+      letter: entry.letter,
+      statline: entry.side === "offense" ? formatOffStatline(entry.row) : formatDefStatline(entry.row),
+    })),
   };
 }
 
-async function buildLastGame(roster) {
-  // Find most recent completed game
+async function completedGames() {
   let games;
   try {
     games = await CFBD.get("/games", { year: YEAR, team: TEAM, seasonType: "regular" });
   } catch (e) {
     console.warn("CFBD /games failed:", e.message);
-    return null;
+    recordFallback("archive", `CFBD /games failed (${e.message})`);
+    return [];
   }
-  const done = (games || []).filter(g => g.completed || (g.home_points != null && g.away_points != null));
-  if (!done.length) return null;
-  const last = done.sort((a, b) => new Date(b.start_date) - new Date(a.start_date))[0];
-  const gameId = last.id || last.game_id;
-  if (!gameId) return null;
+  return (games || [])
+    .map(gameFields)
+    .filter(g => g.completed && g.id)
+    .sort((a, b) => new Date(a.startDate) - new Date(b.startDate));
+}
 
+async function gradeGame(game, roster) {
   // Pull player stats for that game
   let gp;
   try {
-    gp = await CFBD.get("/games/players", { gameId, team: TEAM });
+    gp = await CFBD.get("/games/players", { gameId: game.id, team: TEAM });
   } catch (e) {
-    console.warn("CFBD /games/players failed:", e.message);
+    console.warn(`CFBD /games/players failed (game ${game.id}):`, e.message);
+    recordFallback("spotlight_last", `CFBD /games/players failed for game ${game.id} (${e.message})`);
     return null;
   }
-  const rows = (gp?.[0]?.players || []).map(row => {
-    // normalize fields commonly returned by CFBD
-    return {
-      name: row.player || row.name,
-      pos: row.position || row.pos || "",
-      // offense
-      passingYards: row.passingYards,
-      passingTDs: row.passingTDs,
-      interceptions: row.interceptions, // offensive (QB throws)
-      cmpAtt: row.completions != null && row.attempts != null ? `${row.completions}/${row.attempts}` : undefined,
-      rushingYards: row.rushingYards,
-      rushingTDs: row.rushingTDs,
-      receivingYards: row.receivingYards,
-      receivingTDs: row.receivingTDs,
-      // defense (map defensive ints into interceptionsDef if available)
-      tackles: row.tackles,
-      soloTackles: row.soloTackles,
-      sacks: row.sacks,
-      tfl: row.tacklesForLoss ?? row.tfl,
-      passesDefended: row.passesDefended ?? row.passesDefensed,
-      interceptionsDef: row.interceptionsDef ?? row.defensiveInterceptions ?? 0,
-      forcedFumbles: row.fumblesForced,
-      fumblesRecovered: row.fumblesRecovered,
-    };
-  });
+  const rows = withUsage(normalizeGamePlayerRows(gp), roster, id =>
+    roster.usage?.players?.[id]?.games.find(g => g.game_id === game.id));
 
-  // join with roster for IDs/headshots
-  const byName = new Map(roster.players.map(p => [p.name, p]));
-  const off = [];
-  const def = [];
-
-  for (const s of rows) {
-    const p = byName.get(s.name) || { name: s.name, pos: s.pos ?? "", id: `${s.name}|${s.pos}`, espnId: null };
-    // offense
-    const os = scoreOffense(s);
-    if (os > 0) {
-      off.push({ p, s, score: os, statline: formatOffStatline(s) });
-    }
-    // defense
-    const ds = scoreDefense(s);
-    if (ds > 0) {
-      def.push({ p, s, score: ds, statline: formatDefStatline(s) });
+  return { ...gradeTop(rows, roster, "last"), game };
+}
+
+// ----------- weekly archive: archive/<season>/week-<n>.json + archive/index.json
+function archiveFile(game) {
+  return path.join("archive", String(YEAR), `week-${game.week}.json`);
+}
+
+function gameSummary(game) {
+  const home = game.homeTeam === TEAM;
+  const points = home ? game.homePoints : game.awayPoints;
+  const oppPoints = home ? game.awayPoints : game.homePoints;
+  const result = points == null || oppPoints == null ? null
+    : `${points > oppPoints ? "W" : points < oppPoints ? "L" : "T"} ${points}-${oppPoints}`;
+  return {
+    id: game.id,
+    start_date: game.startDate,
+    opponent: home ? game.awayTeam : game.homeTeam,
+    site: game.neutralSite ? "neutral" : home ? "home" : "away",
+    result,
+  };
+}
+
+async function archiveGame(graded) {
+  const file = archiveFile(graded.game);
+  await fs.mkdir(path.dirname(path.join(STAGE_DIR, file)), { recursive: true });
+  await writeStamped(file, {
+    season: YEAR,
+    week: graded.game.week,
+    team: TEAM_CONFIG.slug,
+    generated_at: new Date().toISOString(),
+    model: MODEL.version,
+    game: gameSummary(graded.game),
+    offense: graded.top.offense,
+    defense: graded.top.defense,
+    grades: graded.grades,
+  }, "generated_at");
+}
+
+async function archiveSeason(games, roster, latest) {
+  // The latest game is always rewritten (stat corrections land during the week);
+  // earlier games are only graded when their archive file is missing.
+  for (const game of games.filter(g => g.week != null)) {
+    if (latest && game.id === latest.game.id) {
+      if (latest.top.offense.length || latest.top.defense.length) await archiveGame(latest);
+      continue;
     }
+    if (await readJson(archiveFile(game))) continue;
+    const graded = await gradeGame(game, roster);
+    if (graded && (graded.top.offense.length || graded.top.defense.length)) await archiveGame(graded);
   }
+  await writeArchiveIndex();
+}
 
-  // Rank to percentiles for letter grades
-  const offScores = off.map(o => o.score);
-  const defScores = def.map(d => d.score);
+async function writeArchiveIndex() {
+  const root = path.join(STAGE_DIR, "archive");
+  await fs.mkdir(root, { recursive: true });
+  const seasons = {};
+  const seasonDirs = await fs.readdir(root).catch(() => []);
+  for (const season of seasonDirs.filter(d => /^\d{4}$/.test(d)).sort()) {
+    const files = await fs.readdir(path.join(root, season)).catch(() => []);
+    const weeks = [];
+    for (const file of files.filter(f => /^week-\d+\.json$/.test(f))) {
+      const entry = await readJsonAt(path.join(root, season, file));
+      if (!entry?.game) continue;
+      const { id, ...game } = entry.game;
+      weeks.push({ week: entry.week, file: `${season}/${file}`, gameId: id, ...game, model: entry.model ?? null });
+    }
+    if (weeks.length) seasons[season] = weeks.sort((a, b) => a.week - b.week);
+  }
+  recordDataset("archive/index.json", { file: "archive/index.json", provider: PROVIDER, rows: seasons[YEAR]?.length ?? 0, status: "written", note: "weeks archived this season" });
+  await writeStamped(path.join("archive", "index.json"), {
+    team: TEAM_CONFIG.slug,
+    updated_at: new Date().toISOString(),
+    seasons,
+  }, "updated_at");
+}
 
-  const offTop = off.sort(byScoreDesc).slice(0, 10).map(o => {
-    const pct = percentileRank(offScores, o.score);
-    return shapeEntry(o.p, "offense", o.statline, o.score, pct, letterFromScore(pct));
-  });
+// ----------- grade series: per-player game grades across the archived season
+const TREND_POINTS = 8;
+
+async function gradeSeries() {
+  const index = await readJson(path.join("archive", "index.json"));
+  const series = new Map();
+  for (const week of index?.seasons?.[YEAR] || []) {
+    const archive = await readJson(path.join("archive", week.file));
+    if (!archive) continue;
+    // Older archives only kept the top lists.
+    const rows = archive.grades || [...(archive.offense || []), ...(archive.defense || [])];
+    for (const row of rows) {
+      if (row.pct == null) continue;
+      const key = String(row.id ?? row.name);
+      const list = series.get(key) || [];
+      list.push({ week: archive.week, opponent: archive.game?.opponent ?? null, pct: row.pct, letter: row.letter, statline: row.statline ?? null });
+      series.set(key, list);
+    }
+  }
+  for (const list of series.values()) list.sort((a, b) => a.week - b.week);
+  return series;
+}
 
-  const defTop = def.sort(byScoreDesc).slice(0, 10).map(d => {
-    const pct = percentileRank(defScores, d.score);
-    return shapeEntry(d.p, "defense", d.statline, d.score, pct, letterFromScore(pct));
+function withTrend(list, series) {
+  const latestWeek = Math.max(...[...series.values()].map(points => points.at(-1).week));
+  return list.map(entry => {
+    const points = series.get(String(entry.id)) || [];
+    if (!points.length) return entry;
+    const prev = points.at(-2);
+    // Latest game vs the player's game before it; a player who sat out the
+    // latest game (or a backfilled card) has no movement to show.
+    const current = points.at(-1).week === latestWeek;
+    return {
+      ...entry,
+      // Cards only draw the sparkline; stat lines stay in spotlight_trends.json.
+      trend: points.slice(-TREND_POINTS).map(({ statline, ...point }) => point),
+      delta: prev && current ? points.at(-1).pct - prev.pct : null,
+    };
   });
+}
 
-  return {
-    offense: offTop.slice(0, 3),
-    defense: defTop.slice(0, 3),
-    _rawCounts: { offense: offTop.length, defense: defTop.length },
-  };
+// Season grades ride along for every resolved player, not just the top lists
+// (the compare page reads them).
+async function writeTrends(series, season) {
+  const seasonGrades = {};
+  for (const grade of season?.grades || []) {
+    if (grade.id == null) continue;
+    const key = String(grade.id);
+    // Unknown positions are graded on both sides; keep the better one.
+    if (seasonGrades[key] && seasonGrades[key].pct >= grade.pct) continue;
+    seasonGrades[key] = { side: grade.side, group: grade.group, pct: grade.pct, letter: grade.letter, statline: grade.statline };
+  }
+  await writeStamped("spotlight_trends.json", {
+    season: YEAR,
+    model: MODEL.version,
+    updated_at: new Date().toISOString(),
+    players: Object.fromEntries(series),
+    season_grades: seasonGrades,
+  }, "updated_at");
+  recordDataset("spotlight_trends.json", { file: "spotlight_trends.json", provider: "archive", rows: series.size, status: "written" });
 }
 
 async function buildSeason(roster) {
@@ -262,123 +453,137 @@ async function buildSeason(roster) {
     season = await CFBD.get("/stats/player/season", { year: YEAR, team: TEAM });
   } catch (e) {
     console.warn("CFBD /stats/player/season failed:", e.message);
+    recordFallback("spotlight_season", `CFBD /stats/player/season failed (${e.message})`);
     return null;
   }
 
-  // normalize a common subset
-  const rows = (season || []).map(r => ({
-    name: r.player ?? r.name,
-    pos: r.position ?? r.pos ?? "",
-    passingYards: r.passingYards,
-    passingTDs: r.passingTDs,
-    interceptions: r.interceptions,  // QB thrown
-    rushingYards: r.rushingYards,
-    rushingTDs: r.rushingTDs,
-    receivingYards: r.receivingYards,
-    receivingTDs: r.receivingTDs,
-    tackles: r.tackles,
-    soloTackles: r.soloTackles,
-    sacks: r.sacks,
-    tfl: r.tacklesForLoss ?? r.tfl,
-    passesDefended: r.passesDefended,
-    interceptionsDef: r.interceptionsDef ?? r.defensiveInterceptions ?? 0,
-    forcedFumbles: r.fumblesForced,
-    fumblesRecovered: r.fumblesRecovered,
-  }));
-
-  const byName = new Map(roster.players.map(p => [p.name, p]));
-  const off = [];
-  const def = [];
-
-  for (const s of rows) {
-    const p = byName.get(s.name) || { name: s.name, pos: s.pos ?? "", id: `${s.name}|${s.pos}`, espnId: null };
-    const os = scoreOffense(s);
-    if (os > 0) off.push({ p, s, score: os, statline: formatOffStatline(s) });
-    const ds = scoreDefense(s);
-    if (ds > 0) def.push({ p, s, score: ds, statline: formatDefStatline(s) });
-  }
-
-  const offScores = off.map(o => o.score);
-  const defScores = def.map(d => d.score);
-
-  const offTop = off.sort(byScoreDesc).slice(0, 10).map(o => {
-    const pct = percentileRank(offScores, o.score);
-    return shapeEntry(o.p, "offense", o.statline, o.score, pct, letterFromScore(pct));
-  });
-
-  const defTop = def.sort(byScoreDesc).slice(0, 10).map(d => {
-    const pct = percentileRank(defScores, d.score);
-    return shapeEntry(d.p, "defense", d.statline, d.score, pct, letterFromScore(pct));
-  });
+  const rows = withUsage(normalizeSeasonPlayerRows(season), roster, id => roster.usage?.players?.[id]?.season);
 
-  return {
-    offense: offTop.slice(0, 3),
-    defense: defTop.slice(0, 3),
-    _rawCounts: { offense: offTop.length, defense: defTop.length },
-  };
+  return gradeTop(rows, roster, "season");
 }
 
-function backfillTop3(list, roster, side) {
-  // If we don't have 3, backfill from Featured or Roster QBs/RBs/WRs/LBs
+function backfillTop3(list, roster, side, file) {
+  // If we don't have 3, backfill with depth-chart starters on that side,
+  // then with any roster player who plays that side
   if (list.length >= 3) return list.slice(0,3);
   const need = 3 - list.length;
   const picks = [];
-  const pool = roster.players.slice(0, 50); // cheap heuristic: first 50
+  const starters = roster.starters?.[side] || [];
+  const pool = starters.concat(roster.players.filter(p => sideForPosition(p.pos) === side));
 
   for (const p of pool) {
     if (list.find(x => x.name === p.name) || picks.find(x => x.name === p.name)) continue;
+    if (unavailable(roster, p.id)) continue;
     // Fake a neutral statline
     const stat = side === "offense" ? "— ESPN →" : "— ESPN →";
     picks.push(shapeEntry(p, side, stat, 0, 50, "C"));
     if (picks.length >= need) break;
   }
+  if (picks.length) {
+    const fromChart = picks.filter(p => starters.some(s => s.id === p.id)).length;
+    recordFallback(file, `backfilled ${picks.length} ungraded player(s), ${fromChart} from the depth chart`);
+  }
   return list.concat(picks).slice(0,3);
 }
 
 async function preserveOrWrite(file, arr) {
   if (Array.isArray(arr) && arr.length > 0) {
     await writeJson(file, arr);
+    recordDataset(file, { file, provider: PROVIDER, rows: arr.length, status: "written" });
   } else {
     const prev = await readJson(file);
     if (prev) {
       console.log(`kept previous ${file} (${prev.length})`);
+      recordDataset(file, { file, provider: "cache", rows: prev.length, status: "kept" });
+      recordFallback(file, "no new rows; kept the previous file");
     } else {
       await writeJson(file, []); // first time
+      recordDataset(file, { file, provider: null, rows: 0, status: "written" });
     }
   }
 }
 
 async function main() {
   console.log(`TEAM: ${TEAM} • YEAR: ${YEAR}`);
-  console.log(`Using ${CFBD.key ? "CFBD live API" : "offline"} mode.`);
+  if (REPLAY.mode === "replay") {
+    console.log(`Replaying CFBD captures from ${REPLAY.dir}`);
+  } else {
+    console.log(`Using ${CFBD.key ? "CFBD live API" : "offline"} mode.`);
+    if (REPLAY.mode === "record") console.log(`Recording CFBD responses to ${REPLAY.dir}`);
+  }
 
   const roster = await ensureRoster();
   roster.players = normalizeRoster(roster.players || []);
-
-  const last = await buildLastGame(roster);
+  roster.ids = createIdResolver(roster.players, { overrides: loadIdOverrides(TEAM_CONFIG) });
+  roster.starters = await loadStarters(roster);
+  roster.usage = await loadUsage();
+  roster.availability = await loadAvailability();
+
+  const games = await completedGames();
+  const lastGame = games.at(-1) || null;
+  const last = lastGame ? await gradeGame(lastGame, roster) : null;
   const season = await buildSeason(roster);
 
-  const offense_last  = backfillTop3(last?.offense  || [], roster, "offense");
-  const defense_last  = backfillTop3(last?.defense  || [], roster, "defense");
-  const offense_season= backfillTop3(season?.offense|| [], roster, "offense");
-  const defense_season= backfillTop3(season?.defense|| [], roster, "defense");
+  // Archive first so every card can carry its game-by-game grade series.
+  await archiveSeason(games, roster, last);
+  const series = await gradeSeries();
+  await writeTrends(series, season);
+
+  const offense_last  = withTrend(backfillTop3(last?.offense  || [], roster, "offense", "spotlight_offense_last.json"), series);
+  const defense_last  = withTrend(backfillTop3(last?.defense  || [], roster, "defense", "spotlight_defense_last.json"), series);
+  const offense_season= withTrend(backfillTop3(season?.offense|| [], roster, "offense", "spotlight_offense_season.json"), series);
+  const defense_season= withTrend(backfillTop3(season?.defense|| [], roster, "defense", "spotlight_defense_season.json"), series);
 
   await preserveOrWrite("spotlight_offense_last.json", offense_last);
   await preserveOrWrite("spotlight_defense_last.json", defense_last);
   await preserveOrWrite("spotlight_offense_season.json", offense_season);
   await preserveOrWrite("spotlight_defense_season.json", defense_season);
 
-  // Featured: first item of each side from season if available, otherwise roster[0..1]
+  // Featured: the best season card on each side that isn't out
   const featured = [];
-  if (offense_season[0]) featured.push(offense_season[0]);
-  if (defense_season[0]) featured.push(defense_season[0]);
+  for (const list of [offense_season, defense_season]) {
+    const pick = list.find(entry => !unavailable(roster, entry.id));
+    if (pick) featured.push(pick);
+  }
   await writeJson("spotlight_featured.json", featured);
+  recordDataset("spotlight_featured.json", { file: "spotlight_featured.json", provider: PROVIDER, rows: featured.length, status: "written" });
+
+  for (const line of describeResolution(roster.ids.report())) console.log(line);
+
+  await writeJson("spotlight_history.json", {
+    season: YEAR,
+    lastGameId: lastGame?.id ?? null,
+    lastGameDate: lastGame?.startDate ?? null,
+    lastWeek: lastGame?.week ?? null,
+    archive: "archive/index.json",
+  });
+
+  await publish();
 
   // Optional ticker aggregator could be written here if you want it in the same pass.
 }
 
+// A failed check leaves the published files exactly as they were.
+async function publish() {
+  const problems = await validateStage(STAGE_DIR);
+  recordValidation(problems.length === 0, problems);
+  if (problems.length) {
+    for (const problem of problems) console.error(`  ${problem}`);
+    throw new Error(`staged spotlight failed validation (${problems.length} problem(s)); nothing published`);
+  }
+  const files = await publishStage(STAGE_DIR, DATA_DIR, SPOTLIGHT_OWNED);
+  console.log(`published ${files.length} files to ${DATA_DIR}`);
+  // Scratch runs (replays, SPOTLIGHT_OUT) don't get rollback points.
+  if (!SCRATCH) {
+    const snapshot = await snapshotFiles(TEAM_CONFIG, DATA_DIR, files);
+    console.log(`snapshot ${snapshot.id} (${snapshot.files.length} files)`);
+  }
+}
+
 main().catch(async (err) => {
   console.error("Builder failed:", err);
+  recordError(err);
+  await discardStage(DATA_DIR);
   // do not crash CI — leave files as-is
   process.exitCode = 0;
 });
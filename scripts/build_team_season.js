@@ -0,0 +1,187 @@
+#!/usr/bin/env node
+/**
+ * Team season dashboard.
+ * - Offense/defense splits from CFBD season stats for every FBS team:
+ *   yards/play, success rate, EPA/play, explosiveness, points per trip inside
+ *   the 40 (CFBD's scoring opportunities; our red-zone stand-in), plus
+ *   turnover margin and penalties
+ * - Ranks the team on each metric among FBS teams and within its conference
+ *   (1 = best; "better" says whether higher or lower wins; ties share a rank)
+ * - Writes team_season.json into the team's data dir; keeps the previous file
+ *   when CFBD is unavailable
+ *
+ * Env: CFBD_KEY, TEAM_SLUG / TEAM, YEAR (default: the active season), CFBD_RECORD / CFBD_REPLAY
+ */
+import path from 'path';
+import { writeJSON, readJSON, unchanged } from './lib/stability.js';
+import { createCfbdClient } from './lib/cfbd.js';
+import { resolveTeam, teamDataDir } from './lib/teams.js';
+import { activeSeason } from './lib/season.js';
+import { startRun, recordDataset, recordFallback, recordError } from './lib/report.js';
+
+const TEAM = resolveTeam();
+const YEAR = Number.parseInt(process.env.YEAR || activeSeason(), 10);
+const OUT_PATH = path.join(teamDataDir(TEAM), 'team_season.json');
+const CFBD = createCfbdClient({ team: TEAM.cfbdName, year: YEAR });
+
+// CFBD has shipped both snake_case and camelCase advanced stats.
+function pick(source, ...keys) {
+  for (const key of keys) {
+    const value = source?.[key];
+    if (value != null && Number.isFinite(Number(value))) return Number(value);
+  }
+  return null;
+}
+
+const ratio = (a, b) => (a != null && b ? a / b : null);
+const sum = (...values) => (values.every((value) => value != null) ? values.reduce((a, b) => a + b, 0) : null);
+
+/**
+ * Metric definitions. `value(team)` reads one team's merged stats
+ * ({ basic: statName -> value, advanced: { offense, defense } }).
+ */
+const GROUPS = [
+  {
+    key: 'offense',
+    label: 'Offense',
+    metrics: [
+      { key: 'yards_per_play', label: 'Yards/play', better: 'higher', digits: 2, value: ({ basic: s }) => ratio(s.totalYards, sum(s.rushingAttempts, s.passAttempts)) },
+      { key: 'success_rate', label: 'Success rate', better: 'higher', format: 'pct', value: ({ advanced: a }) => pick(a.offense, 'successRate', 'success_rate') },
+      { key: 'epa_per_play', label: 'EPA/play', better: 'higher', digits: 3, value: ({ advanced: a }) => pick(a.offense, 'ppa') },
+      { key: 'explosiveness', label: 'Explosiveness', better: 'higher', digits: 3, value: ({ advanced: a }) => pick(a.offense, 'explosiveness') },
+      { key: 'points_per_opportunity', label: 'Pts/trip inside 40', better: 'higher', digits: 2, value: ({ advanced: a }) => pick(a.offense, 'pointsPerOpportunity', 'points_per_opportunity') }
+    ]
+  },
+  {
+    key: 'defense',
+    label: 'Defense',
+    metrics: [
+      { key: 'yards_per_play', label: 'Yards/play allowed', better: 'lower', digits: 2, value: ({ basic: s }) => ratio(s.totalYardsOpponent, sum(s.rushingAttemptsOpponent, s.passAttemptsOpponent)) },
+      { key: 'success_rate', label: 'Success rate allowed', better: 'lower', format: 'pct', value: ({ advanced: a }) => pick(a.defense, 'successRate', 'success_rate') },
+      { key: 'epa_per_play', label: 'EPA/play allowed', better: 'lower', digits: 3, value: ({ advanced: a }) => pick(a.defense, 'ppa') },
+      { key: 'explosiveness', label: 'Explosiveness allowed', better: 'lower', digits: 3, value: ({ advanced: a }) => pick(a.defense, 'explosiveness') },
+      { key: 'points_per_opportunity', label: 'Pts/trip inside 40 allowed', better: 'lower', digits: 2, value: ({ advanced: a }) => pick(a.defense, 'pointsPerOpportunity', 'points_per_opportunity') }
+    ]
+  },
+  {
+    key: 'discipline',
+    label: 'Turnovers & penalties',
+    metrics: [
+      { key: 'turnover_margin', label: 'Turnover margin', better: 'higher', digits: 0, signed: true, value: ({ basic: s }) => turnoverMargin(s) },
+      { key: 'penalties_pg', label: 'Penalties/game', better: 'lower', digits: 1, value: ({ basic: s }) => ratio(s.penalties, s.games) },
+      { key: 'penalty_yards_pg', label: 'Penalty yds/game', better: 'lower', digits: 1, value: ({ basic: s }) => ratio(s.penaltyYards, s.games) }
+    ]
+  }
+];
+
+// Takeaways minus giveaways. Newer payloads carry the opponent's turnovers directly.
+function turnoverMargin(s) {
+  if (s.turnovers == null) return null;
+  if (s.turnoversOpponent != null) return s.turnoversOpponent - s.turnovers;
+  const takeaways = sum(s.interceptions, s.fumblesRecovered);
+  return takeaways == null ? null : takeaways - s.turnovers;
+}
+
+function round(value, digits) {
+  if (value == null) return null;
+  const scale = 10 ** digits;
+  return Math.round(value * scale) / scale;
+}
+
+function display(metric, value) {
+  if (value == null) return '—';
+  if (metric.format === 'pct') return `${(value * 100).toFixed(1)}%`;
+  const text = value.toFixed(metric.digits);
+  return metric.signed && value > 0 ? `+${text}` : text;
+}
+
+/** 1 = best among `values` (nulls excluded); ties share the better rank. */
+function rankOf(values, value, better) {
+  if (value == null) return null;
+  const beats = values.filter((other) => other != null && (better === 'higher' ? other > value : other < value));
+  return beats.length + 1;
+}
+
+function mergeTeams(fbs, basicRows, advancedRows) {
+  const teams = new Map(fbs.map((team) => [team.school, { school: team.school, conference: team.conference ?? null, basic: {}, advanced: {} }]));
+  for (const row of basicRows || []) {
+    const team = teams.get(row.team);
+    if (team && row.statName) team.basic[row.statName] = Number(row.statValue);
+  }
+  for (const row of advancedRows || []) {
+    const team = teams.get(row.team);
+    if (team) team.advanced = { offense: row.offense || {}, defense: row.defense || {} };
+  }
+  return [...teams.values()];
+}
+
+async function main() {
+  startRun('build_team_season', { team: TEAM, season: YEAR });
+  const [fbs, basic, advanced] = await Promise.all([
+    CFBD.get('/teams/fbs', { year: YEAR }),
+    CFBD.get('/stats/season', { year: YEAR }),
+    CFBD.get('/stats/season/advanced', { year: YEAR, excludeGarbageTime: true })
+  ]);
+
+  const teams = mergeTeams(fbs || [], basic, advanced);
+  const us = teams.find((team) => team.school === TEAM.cfbdName);
+  if (!us) throw new Error(`${TEAM.cfbdName} is not in the ${YEAR} FBS team list`);
+  const conference = us.conference || TEAM.conference || null;
+  const peers = teams.filter((team) => team.conference && team.conference === conference);
+
+  const groups = GROUPS.map((group) => ({
+    key: group.key,
+    label: group.label,
+    metrics: group.metrics.map((metric) => {
+      const valueOf = (team) => metric.value(team);
+      const fbsValues = teams.map(valueOf);
+      const confValues = peers.map(valueOf);
+      const value = valueOf(us);
+      const ranked = (values) => values.filter((other) => other != null).length;
+      return {
+        key: metric.key,
+        label: metric.label,
+        value: round(value, metric.format === 'pct' ? 4 : metric.digits),
+        display: display(metric, value),
+        better: metric.better,
+        rank: { fbs: rankOf(fbsValues, value, metric.better), conference: rankOf(confValues, value, metric.better) },
+        of: { fbs: ranked(fbsValues), conference: ranked(confValues) }
+      };
+    })
+  }));
+
+  const metrics = groups.flatMap((group) => group.metrics);
+  const missing = metrics.filter((metric) => metric.value == null).map((metric) => metric.label);
+  if (missing.length === metrics.length) throw new Error(`no ${YEAR} season stats for ${TEAM.cfbdName} yet`);
+  if (missing.length) {
+    warn(`no value for ${missing.join(', ')}`);
+    recordFallback('team_season', `missing metrics: ${missing.join(', ')}`);
+  }
+
+  const payload = {
+    season: YEAR,
+    team: TEAM.slug,
+    generated_at: new Date().toISOString(),
+    conference,
+    teams: { fbs: teams.length, conference: peers.length },
+    games: us.basic.games ?? null,
+    groups
+  };
+  // Ranks only move after games; between them a rerun keeps the file as is.
+  const same = unchanged(readJSON(OUT_PATH, null), payload);
+  if (!same) writeJSON(OUT_PATH, payload);
+  recordDataset('team_season', { file: 'team_season.json', provider: 'cfbd', rows: metrics.length - missing.length, status: same ? 'kept' : 'written', note: `${same ? 'unchanged; ' : ''}${teams.length} FBS teams` });
+  console.log(`✅ team season dashboard for ${TEAM.cfbdName} ${YEAR} — ${metrics.length - missing.length}/${metrics.length} metrics ranked among ${teams.length} FBS teams`);
+}
+
+function warn(message) {
+  console.warn(`⚠️  ${message}`);
+}
+
+main().catch((error) => {
+  // Keep the previous dashboard; last week's ranks beat an empty section.
+  recordError(error);
+  recordFallback('team_season', 'kept the previous file');
+  console.error('❌ team season build failed:', error.message);
+  process.exitCode = 1;
+});
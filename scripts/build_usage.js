@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+/**
+ * Player usage per game (volume context for the spotlight grades).
+ * - Box score (CFBD /games/players): pass attempts, carries, receptions and
+ *   defensive plays for every completed game
+ * - Play-by-play (CFBD /plays): targets, counted from the play text
+ * - Snaps from the hand-maintained config/snap_counts.json; routes and
+ *   pass-rush attempts stay null until a provider publishes them
+ * - Names are joined to the canonical roster with lib/resolver.js; players it
+ *   can't place are left out (and listed in the log)
+ * - Writes <data dir>/team/usage.json with each player's games and season
+ *   totals; keeps the previous file when there are no box scores
+ *
+ * Env: CFBD_KEY, TEAM_SLUG / TEAM, YEAR (default: the active season), CFBD_RECORD / CFBD_REPLAY
+ */
+import path from 'path';
+import { writeJSON, readJSON, unchanged } from './lib/stability.js';
+import { createCfbdClient, gameFields, normalizeGamePlayerRows } from './lib/cfbd.js';
+import { resolveTeam, teamRosterDir, ROOT } from './lib/teams.js';
+import { activeSeason } from './lib/season.js';
+import { createIdResolver, loadIdOverrides, describeResolution } from './lib/resolver.js';
+import { sideForPosition } from './lib/player.js';
+import { rowSide, usageFromRow, sumUsage, targetsFromPlays, loadSnapCounts, snapKey } from './lib/usage.js';
+import { startRun, recordDataset, recordFallback, recordError } from './lib/report.js';
+
+const TEAM = resolveTeam();
+const YEAR = Number.parseInt(process.env.YEAR || activeSeason(), 10);
+const OUT_PATH = path.join(teamRosterDir(TEAM), 'usage.json');
+const CFBD = createCfbdClient({ team: TEAM.cfbdName, year: YEAR });
+
+function opponentOf(game) {
+  return game.homeTeam === TEAM.cfbdName ? game.awayTeam : game.homeTeam;
+}
+
+async function completedGames() {
+  const schedule = await CFBD.get('/games', { year: YEAR, team: TEAM.cfbdName, seasonType: 'both' });
+  return (schedule || [])
+    .map(gameFields)
+    .filter((game) => game.completed && game.id != null)
+    .sort((a, b) => new Date(a.startDate) - new Date(b.startDate));
+}
+
+async function gameTargets(game) {
+  try {
+    const plays = await CFBD.get('/plays', { year: YEAR, week: game.week, team: TEAM.cfbdName, seasonType: game.seasonType || 'regular' });
+    // /plays answers per week; keep this game's plays only.
+    const ours = (plays || []).filter((play) => {
+      const gameId = play.game_id ?? play.gameId ?? null;
+      return gameId == null || String(gameId) === String(game.id);
+    });
+    return targetsFromPlays(ours, TEAM.cfbdName);
+  } catch (error) {
+    warn(`CFBD /plays failed (game ${game.id}): ${error.message}`);
+    recordFallback('usage', `no targets for game ${game.id} (${error.message})`);
+    return null;
+  }
+}
+
+/**
+ * One game's usage: `{ usage: Map of roster id -> { player, side, usage },
+ * targets, snaps }`, the last two saying whether those sources had the game.
+ */
+async function gameUsage(game, ids, snapCounts) {
+  const payload = await CFBD.get('/games/players', { gameId: game.id, team: TEAM.cfbdName });
+  const rows = normalizeGamePlayerRows(payload);
+  const targets = await gameTargets(game);
+  const snaps = snapCounts[snapKey(game)] || {};
+
+  // Everyone who shows up in any source: receivers targeted without a catch
+  // and linemen with snaps have no box-score row.
+  const players = new Map();
+  const entry = (player) => {
+    if (!players.has(player.id)) players.set(player.id, { player, row: null, targets: null, snaps: null });
+    return players.get(player.id);
+  };
+  for (const row of rows) {
+    const player = ids.resolve({ ...row, side: rowSide(row) });
+    if (player) entry(player).row = row;
+  }
+  for (const [name, count] of targets || []) {
+    const player = ids.resolve({ name, side: 'offense' });
+    if (player) entry(player).targets = count;
+  }
+  for (const [name, count] of Object.entries(snaps)) {
+    const player = ids.resolve({ name });
+    if (player) entry(player).snaps = count;
+  }
+
+  const usage = new Map();
+  for (const { player, row, targets: targeted, snaps: snapCount } of players.values()) {
+    const side = row ? rowSide(row) : sideForPosition(player.pos);
+    // Play-by-play covers every offensive player: not targeted means zero targets.
+    const targetCount = side === 'offense' && targets ? (targeted ?? 0) : null;
+    usage.set(player.id, { player, side, usage: usageFromRow(row || {}, side, { targets: targetCount, snaps: snapCount }) });
+  }
+  return { usage, targets: targets != null, snaps: Object.keys(snaps).length > 0 };
+}
+
+async function main() {
+  startRun('build_usage', { team: TEAM, season: YEAR });
+  const roster = readJSON(path.join(teamRosterDir(TEAM), 'roster.json'), []);
+  const ids = createIdResolver(Array.isArray(roster) ? roster : [], { overrides: loadIdOverrides(TEAM) });
+  const snapCounts = loadSnapCounts(TEAM);
+  const games = await completedGames();
+
+  const players = new Map();
+  const covered = [];
+  const coverage = { games: 0, targets: 0, snaps: 0 };
+  for (const game of games) {
+    let result;
+    try {
+      result = await gameUsage(game, ids, snapCounts);
+    } catch (error) {
+      warn(`no usage for game ${game.id}: ${error.message}`);
+      recordFallback('usage', `no box score for game ${game.id} (${error.message})`);
+      continue;
+    }
+    covered.push({ id: game.id, week: game.week, season_type: game.seasonType, opponent: opponentOf(game), start_date: game.startDate });
+    coverage.games += 1;
+    if (result.targets) coverage.targets += 1;
+    if (result.snaps) coverage.snaps += 1;
+    for (const [id, { player, side, usage }] of result.usage) {
+      const record = players.get(id) || { name: player.name, pos: player.pos ?? null, side, games: [] };
+      record.games.push({ game_id: game.id, week: game.week, ...usage });
+      players.set(id, record);
+    }
+  }
+
+  if (!coverage.games) {
+    recordFallback('usage', 'no box scores; kept the previous file');
+    recordDataset('usage', { file: 'team/usage.json', provider: 'cache', rows: 0, status: 'kept' });
+    warn(`no usage data for ${TEAM.cfbdName} ${YEAR}; kept ${path.relative(ROOT, OUT_PATH)}`);
+    return;
+  }
+
+  const out = {};
+  for (const [id, record] of [...players.entries()].sort((a, b) => a[1].name.localeCompare(b[1].name))) {
+    out[id] = { ...record, season: sumUsage(record.games) };
+  }
+
+  const payload = {
+    season: YEAR,
+    team: TEAM.slug,
+    generated_at: new Date().toISOString(),
+    coverage,
+    games: covered,
+    players: out
+  };
+  const same = unchanged(readJSON(OUT_PATH, null), payload);
+  if (!same) writeJSON(OUT_PATH, payload);
+  recordDataset('usage', {
+    file: 'team/usage.json',
+    provider: coverage.snaps ? 'cfbd+manual' : 'cfbd',
+    rows: players.size,
+    status: same ? 'kept' : 'written',
+    note: `${same ? 'unchanged; ' : ''}${coverage.games} game(s); targets in ${coverage.targets}, snaps in ${coverage.snaps}`
+  });
+  for (const line of describeResolution(ids.report())) console.log(line);
+  console.log(`✅ usage for ${TEAM.cfbdName} ${YEAR} — ${players.size} players across ${coverage.games} game(s)`);
+}
+
+function warn(message) {
+  console.warn(`⚠️  ${message}`);
+}
+
+main().catch((error) => {
+  recordError(error);
+  recordFallback('usage', 'kept the previous file');
+  console.error('❌ usage build failed:', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,340 @@
+// Head-to-head player comparison (compare.html). Both picks live in the URL
+// (?a=<id>&b=<id>) so a comparison can be shared as a link.
+
+import { createAvatar } from "./avatar.js";
+
+const dom = {
+  pickA: document.querySelector('[data-pick="a"]'),
+  pickB: document.querySelector('[data-pick="b"]'),
+  share: document.querySelector('[data-share]'),
+  empty: document.querySelector('[data-compare-empty]'),
+  heads: document.querySelector('[data-heads]'),
+  gradesPanel: document.querySelector('[data-grades-panel]'),
+  grades: document.querySelector('[data-grades]'),
+  seasonPanel: document.querySelector('[data-season-panel]'),
+  season: document.querySelector('[data-season]'),
+  seasonNote: document.querySelector('[data-season-note]'),
+  gamesPanel: document.querySelector('[data-games-panel]'),
+  games: document.querySelector('[data-games]'),
+  gameHeadA: document.querySelector('[data-game-head="a"]'),
+  gameHeadB: document.querySelector('[data-game-head="b"]'),
+};
+
+const state = {
+  roster: [],
+  byId: new Map(),
+  trends: null,
+  teamGames: null,
+  recruiting: new Map(),
+};
+
+// Roster `stats` keys (season totals from the CFBD roster builders).
+// `better: "lower"` flips the percentile for stats nobody wants more of.
+const STATS = [
+  { key: "passingYards", label: "Pass yds" },
+  { key: "passingTouchdowns", label: "Pass TD" },
+  { key: "interceptions", label: "INT thrown", better: "lower" },
+  { key: "rushingYards", label: "Rush yds" },
+  { key: "rushingTouchdowns", label: "Rush TD" },
+  { key: "receptions", label: "Receptions" },
+  { key: "receivingYards", label: "Rec yds" },
+  { key: "receivingTouchdowns", label: "Rec TD" },
+  { key: "tackles", label: "Tackles" },
+  { key: "tacklesForLoss", label: "TFL" },
+  { key: "sacks", label: "Sacks" },
+  { key: "passesDefended", label: "PD" },
+  { key: "defensiveInterceptions", label: "INT" },
+  { key: "forcedFumbles", label: "FF" },
+  { key: "fumblesRecovered", label: "FR" },
+];
+
+function show(el, visible) {
+  if (!el) return;
+  el.hidden = !visible;
+}
+
+async function fetchJson(url) {
+  try {
+    const res = await fetch(url, { cache: "no-cache" });
+    if (!res.ok) throw new Error(`${url} -> ${res.status}`);
+    return await res.json();
+  } catch (err) {
+    console.warn("Failed to load", url, err);
+    return null;
+  }
+}
+
+function statValue(player, key) {
+  const value = Number(player?.stats?.[key]);
+  return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Share of teammates with a nonzero `key` that this player meets or beats
+ * (0-100), or null when the player has no such stat.
+ */
+function teamPercentile(player, stat) {
+  const value = statValue(player, stat.key);
+  if (!value) return null;
+  const pool = state.roster.map((other) => statValue(other, stat.key)).filter((other) => other);
+  const beaten = pool.filter((other) => (stat.better === "lower" ? other >= value : other <= value)).length;
+  return Math.round((beaten / pool.length) * 100);
+}
+
+function tier(pct) {
+  if (pct == null) return null;
+  if (pct >= 67) return "good";
+  if (pct < 34) return "bad";
+  return "warn";
+}
+
+function createBar(pct) {
+  const bar = document.createElement("div");
+  bar.className = "bar";
+  const fill = document.createElement("span");
+  fill.style.width = `${pct ?? 0}%`;
+  bar.append(fill);
+  const level = tier(pct);
+  if (level) bar.dataset.tier = level;
+  return bar;
+}
+
+// One label with player A's cell on the left and B's on the right.
+// Each side: { text, detail?, pct?, rank? }; the higher `rank` gets highlighted.
+function createRow(label, a, b) {
+  const item = document.createElement("li");
+  item.className = "row";
+  const side = (cell, other) => {
+    const wrap = document.createElement("div");
+    wrap.className = "row__side";
+    const value = document.createElement("span");
+    value.className = "row__value";
+    value.textContent = cell.text;
+    if (cell.detail) {
+      const detail = document.createElement("small");
+      detail.textContent = ` ${cell.detail}`;
+      value.append(detail);
+    }
+    wrap.append(value);
+    if (cell.pct !== undefined) wrap.append(createBar(cell.pct));
+    if (cell.rank != null && (other.rank == null || cell.rank > other.rank)) wrap.dataset.lead = "";
+    return wrap;
+  };
+  const title = document.createElement("span");
+  title.className = "row__label";
+  title.textContent = label;
+  item.append(side(a, b), title, side(b, a));
+  return item;
+}
+
+function createHead(player) {
+  const head = document.createElement("div");
+  head.className = "head";
+  const avatar = createAvatar(player, { className: "head__avatar" });
+  const text = document.createElement("div");
+  const name = document.createElement("h2");
+  name.className = "head__name";
+  name.textContent = player.name;
+  const sub = document.createElement("p");
+  sub.className = "head__sub";
+  sub.textContent = [player.pos, player.number != null ? `#${player.number}` : null].filter(Boolean).join(" · ");
+  text.append(name, sub);
+  head.append(avatar, text);
+  return head;
+}
+
+function gameSeries(player) {
+  return state.trends?.players?.[String(player.id)] || [];
+}
+
+function gradeCell(grade) {
+  if (!grade || grade.pct == null) return { text: "—", pct: null, rank: null };
+  return {
+    text: grade.letter || `${grade.pct}%`,
+    detail: grade.letter ? `${grade.pct}%` : grade.detail,
+    pct: grade.pct,
+    rank: grade.pct,
+  };
+}
+
+function averageGrade(series) {
+  if (!series.length) return null;
+  const pct = Math.round(series.reduce((sum, point) => sum + point.pct, 0) / series.length);
+  return { pct, detail: `over ${series.length} game${series.length === 1 ? "" : "s"}` };
+}
+
+// roster_plus.json `recruiting` (scripts/build_recruiting.js). The bar is the
+// composite rating's percentile among rated teammates.
+function recruitingCell(player) {
+  const recruit = state.recruiting.get(String(player.id));
+  if (!recruit || recruit.rating == null) return { text: "—", pct: null, rank: null };
+  const pool = [...state.recruiting.values()].map((other) => other.rating).filter((rating) => rating != null);
+  const below = pool.filter((rating) => rating <= recruit.rating).length;
+  const stars = Number(recruit.stars) > 0 ? "★".repeat(recruit.stars) : null;
+  return {
+    text: stars || recruit.rating.toFixed(4),
+    detail: [
+      stars ? recruit.rating.toFixed(4) : null,
+      recruit.national_rank != null ? `No. ${recruit.national_rank}` : null,
+      recruit.class != null ? `'${String(recruit.class).slice(-2)}` : null,
+    ].filter(Boolean).join(" · ") || null,
+    pct: Math.round((below / pool.length) * 100),
+    rank: recruit.rating,
+  };
+}
+
+function renderGrades(a, b) {
+  const seasonOf = (player) => state.trends?.season_grades?.[String(player.id)] || null;
+  const rows = [
+    ["Season grade", seasonOf(a), seasonOf(b)],
+    ["Last game", gameSeries(a).at(-1), gameSeries(b).at(-1)],
+    ["Game average", averageGrade(gameSeries(a)), averageGrade(gameSeries(b))],
+  ];
+  const items = rows.map(([label, left, right]) => createRow(label, gradeCell(left), gradeCell(right)));
+  const recruited = [a, b].some((player) => state.recruiting.has(String(player.id)));
+  if (recruited) items.push(createRow("Recruiting", recruitingCell(a), recruitingCell(b)));
+  dom.grades.replaceChildren(...items);
+  const graded = rows.some(([, left, right]) => left || right);
+  show(dom.gradesPanel, graded || recruited);
+}
+
+function statCell(player, stat) {
+  const value = statValue(player, stat.key);
+  if (value == null) return { text: "—", pct: null, rank: null };
+  const perGame = state.teamGames ? (value / state.teamGames).toFixed(1) : null;
+  const pct = teamPercentile(player, stat);
+  return {
+    text: String(value),
+    detail: perGame ? `${perGame}/g` : null,
+    pct,
+    rank: stat.better === "lower" ? -value : value,
+  };
+}
+
+function renderSeason(a, b) {
+  const stats = STATS.filter((stat) => statValue(a, stat.key) || statValue(b, stat.key));
+  dom.season.replaceChildren(...stats.map((stat) => createRow(stat.label, statCell(a, stat), statCell(b, stat))));
+  dom.seasonNote.textContent = stats.length
+    ? `Bars show the team percentile among players with that stat${state.teamGames ? `; per-game over ${state.teamGames} team games` : ""}.`
+    : "No season stats recorded for either player yet.";
+  show(dom.seasonPanel, true);
+}
+
+function gameCell(point) {
+  const cell = document.createElement("td");
+  if (!point) {
+    cell.textContent = "—";
+    return cell;
+  }
+  cell.textContent = `${point.letter || "—"} · ${point.pct}%`;
+  if (point.statline) {
+    const line = document.createElement("small");
+    line.textContent = point.statline;
+    cell.append(line);
+  }
+  return cell;
+}
+
+// Weeks either player was graded in, aligned on one row per game.
+function renderGames(a, b) {
+  const left = new Map(gameSeries(a).map((point) => [point.week, point]));
+  const right = new Map(gameSeries(b).map((point) => [point.week, point]));
+  const weeks = [...new Set([...left.keys(), ...right.keys()])].sort((x, y) => x - y);
+  dom.gameHeadA.textContent = a.name;
+  dom.gameHeadB.textContent = b.name;
+  dom.games.replaceChildren(
+    ...weeks.map((week) => {
+      const row = document.createElement("tr");
+      const game = document.createElement("td");
+      const opponent = (left.get(week) || right.get(week)).opponent;
+      game.textContent = `Wk ${week}${opponent ? ` · ${opponent}` : ""}`;
+      row.append(game, gameCell(left.get(week)), gameCell(right.get(week)));
+      return row;
+    })
+  );
+  show(dom.gamesPanel, weeks.length > 0);
+}
+
+function selected() {
+  return [state.byId.get(dom.pickA.value), state.byId.get(dom.pickB.value)];
+}
+
+function syncUrl() {
+  const url = new URL(window.location.href);
+  for (const [param, select] of [["a", dom.pickA], ["b", dom.pickB]]) {
+    if (select.value) url.searchParams.set(param, select.value);
+    else url.searchParams.delete(param);
+  }
+  window.history.replaceState(null, "", url);
+}
+
+function render() {
+  syncUrl();
+  const [a, b] = selected();
+  const ready = Boolean(a && b);
+  show(dom.empty, !ready);
+  show(dom.share, ready);
+  show(dom.heads, ready);
+  if (!ready) {
+    [dom.gradesPanel, dom.seasonPanel, dom.gamesPanel].forEach((panel) => show(panel, false));
+    return;
+  }
+  dom.heads.replaceChildren(createHead(a), createHead(b));
+  renderGrades(a, b);
+  renderSeason(a, b);
+  renderGames(a, b);
+  document.title = `${a.name} vs ${b.name} — Compare Players | Hashmark Chronicles`;
+}
+
+function fillPicker(select, chosen) {
+  const placeholder = new Option("Choose a player…", "");
+  const options = state.roster.map((player) => {
+    const label = [player.name, player.pos, player.number != null ? `#${player.number}` : null].filter(Boolean).join(" · ");
+    return new Option(label, String(player.id));
+  });
+  select.replaceChildren(placeholder, ...options);
+  select.value = state.byId.has(chosen) ? chosen : "";
+  select.addEventListener("change", render);
+}
+
+async function copyLink() {
+  try {
+    await navigator.clipboard.writeText(window.location.href);
+    dom.share.textContent = "Link copied";
+  } catch (err) {
+    console.warn("Clipboard unavailable", err);
+    dom.share.textContent = "Copy the address bar";
+  }
+  setTimeout(() => {
+    dom.share.textContent = "Copy link";
+  }, 2000);
+}
+
+async function init() {
+  const [roster, trends, teamSeason, rosterPlus] = await Promise.all([
+    fetchJson("/data/team/roster.json"),
+    fetchJson("/data/spotlight_trends.json"),
+    fetchJson("/data/team_season.json"),
+    fetchJson("/data/team/roster_plus.json"),
+  ]);
+  state.roster = (Array.isArray(roster) ? roster : [])
+    .filter((player) => player?.id != null && player.name)
+    .sort((x, y) => x.name.localeCompare(y.name));
+  state.byId = new Map(state.roster.map((player) => [String(player.id), player]));
+  state.trends = trends;
+  state.teamGames = Number(teamSeason?.games) > 0 ? Number(teamSeason.games) : null;
+  state.recruiting = new Map(
+    Object.entries(rosterPlus?.byId || {})
+      .filter(([id, player]) => player?.recruiting && state.byId.has(id))
+      .map(([id, player]) => [id, player.recruiting])
+  );
+
+  const params = new URLSearchParams(window.location.search);
+  fillPicker(dom.pickA, params.get("a"));
+  fillPicker(dom.pickB, params.get("b"));
+  dom.share.addEventListener("click", copyLink);
+  if (!state.roster.length) dom.empty.textContent = "The roster hasn't loaded yet — try again shortly.";
+  render();
+}
+
+init();
@@ -1,72 +1,41 @@
 import fs from 'fs/promises';
+import path from 'path';
+import { resolveTeam, teamDataDir, teamRosterDir } from './lib/teams.js';
+import { buildRosterPlus } from './lib/player.js';
+import { readJSON } from './lib/stability.js';
+import { runProviderChain } from './lib/providers/index.js';
+import { recordDataset, recordFallback } from './lib/report.js';
 
-// Robust CSV fetch with retry and year fallback
-async function fetchRosterCSV(year) {
-  const base = `https://raw.githubusercontent.com/cfbfastR/data/master/rosters/rosters_${year}.csv`;
-  const headers = { 'cache-control': 'no-cache', 'user-agent': 'hashmark-bot' };
-  let r = await fetch(base, { headers });
-  if (!r.ok) {
-    r = await fetch(`${base}?plain=1`, { headers });
-    if (!r.ok) throw new Error(`CSV ${r.status}`);
-  }
-  const text = await r.text();
-  const lines = text.trim().split(/\r?\n/);
-  const headersRow = lines[0].split(',');
-  const rows = lines.slice(1).map((row) => {
-    const cols = row.split(',');
-    const obj = {};
-    headersRow.forEach((h, i) => {
-      obj[h] = cols[i];
-    });
-    return obj;
-  });
-  return rows;
-}
-
-async function safeRosterCSV(year) {
-  for (const y of [year, year - 1, year - 2]) {
-    try {
-      return { rows: await fetchRosterCSV(y), y };
-    } catch (e) {
-      // continue trying previous seasons
-    }
-  }
-  throw new Error('CSV roster not found for last 3 seasons');
-}
-
+// Canonical roster from the cfbfastR CSV provider (falls back up to two seasons)
 export async function cfbRosterPlus(teamName, year) {
-  const { rows, y } = await safeRosterCSV(year);
-  const want = String(teamName).toLowerCase();
-  const out = rows
-    .filter((r) => (r.team || '').toLowerCase().includes(want))
-    .map((r) => ({
-      athleteId: r.athlete_id ? Number(r.athlete_id) : null,
-      name: r.name || '',
-      firstName: r.first_name || null,
-      lastName: r.last_name || null,
-      position: (r.position || '').toUpperCase(),
-      jersey: r.jersey || null,
-      headshot: null,
-      side: ['QB', 'RB', 'WR', 'TE', 'FB', 'HB', 'TB', 'SB', 'OT', 'OG', 'C', 'OL'].includes((r.position || '').toUpperCase())
-        ? 'offense'
-        : 'defense',
-      stats: { season: null, lastGame: null },
-    }));
-  await fs.mkdir('data/team', { recursive: true });
-  await fs.writeFile('data/team/roster_plus.json', JSON.stringify(out, null, 2));
-  console.log('[fallback-cfbfastR] year used:', y, 'roster:', out.length);
+  const team = resolveTeam({ TEAM: teamName });
+  const chain = await runProviderChain(['cfbfastr'], { team, season: year });
+  if (!chain.players.length) throw new Error(chain.attempts[0]?.error || 'cfbfastR roster unavailable');
+  const out = chain.players;
+  await fs.mkdir(teamRosterDir(team), { recursive: true });
+  const plusPath = path.join(teamRosterDir(team), 'roster_plus.json');
+  await fs.writeFile(plusPath, JSON.stringify(buildRosterPlus(out, readJSON(plusPath, null)), null, 2));
+  if (chain.detectedSeason !== year) recordFallback('roster_plus', `cfbfastR had no ${year} roster; used ${chain.detectedSeason}`);
+  recordDataset('roster_plus', { file: 'team/roster_plus.json', provider: chain.provider, rows: out.length, status: 'written' });
+  console.log('[fallback-cfbfastR] year used:', chain.detectedSeason, 'roster:', out.length);
   return out;
 }
 
 export async function buildSpotlightFromCFBfastR(teamName, year) {
   const roster = await cfbRosterPlus(teamName, year);
+  const dataDir = teamDataDir(resolveTeam({ TEAM: teamName }));
   const offS = roster.filter((p) => p.side === 'offense');
   const defS = roster.filter((p) => p.side === 'defense');
   const take = (n, a) => (Array.isArray(a) ? a : []).slice(0, n);
-  await fs.writeFile('data/spotlight_offense_season.json', JSON.stringify(take(50, offS), null, 2));
-  await fs.writeFile('data/spotlight_defense_season.json', JSON.stringify(take(50, defS), null, 2));
-  await fs.writeFile('data/spotlight_offense_last.json', JSON.stringify(take(50, offS), null, 2)); // static fallback
-  await fs.writeFile('data/spotlight_defense_last.json', JSON.stringify(take(50, defS), null, 2));
-  await fs.writeFile('data/spotlight_featured.json', JSON.stringify(take(6, roster), null, 2));
+  const write = (file, rows) => fs.writeFile(path.join(dataDir, file), JSON.stringify(rows, null, 2));
+  await write('spotlight_offense_season.json', take(50, offS));
+  await write('spotlight_defense_season.json', take(50, defS));
+  await write('spotlight_offense_last.json', take(50, offS)); // static fallback
+  await write('spotlight_defense_last.json', take(50, defS));
+  await write('spotlight_featured.json', take(6, roster));
+  for (const [name, rows] of [['spotlight_offense', offS], ['spotlight_defense', defS]]) {
+    recordDataset(name, { provider: 'cfbfastr', rows: Math.min(50, rows.length), status: 'written', note: 'roster order, no grades' });
+  }
+  recordFallback('spotlight', 'built from the cfbfastR roster instead of graded CFBD stats');
   console.log('[fallback-cfbfastR] roster:', roster.length, 'off:', offS.length, 'def:', defS.length);
 }
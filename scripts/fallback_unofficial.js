@@ -1,63 +1,34 @@
 import fs from 'fs/promises';
-async function getJSON(url) {
-  const r = await fetch(url, { headers: { 'cache-control': 'no-cache' } });
-  const ct = r.headers.get('content-type') || '';
-  if (!r.ok || !ct.includes('application/json')) throw new Error(`NON_JSON ${r.status} ${ct}`);
-  return r.json();
-}
-
-export async function espnFindTeamId(teamName) {
-  const want = String(teamName).toLowerCase();
-  let page = 1;
-  while (page <= 5) {
-    const url = `https://site.api.espn.com/apis/site/v2/sports/football/college-football/teams?page=${page}`;
-    const data = await getJSON(url);
-    const all = (data?.sports?.[0]?.leagues?.[0]?.teams || []).map((t) => t.team);
-    const hit = all.find(
-      (t) => (t.displayName || '').toLowerCase().includes(want) || (t.nickname || '').toLowerCase().includes(want),
-    );
-    if (hit) return String(hit.id);
-    const hasNext = !!(data?.sports?.[0]?.leagues?.[0]?.teams?.length);
-    if (!hasNext) break;
-    page++;
-  }
-  return null;
-}
+import path from 'path';
+import { resolveTeam, teamDataDir, teamRosterDir } from './lib/teams.js';
+import { buildRosterPlus } from './lib/player.js';
+import { readJSON } from './lib/stability.js';
+import { runProviderChain } from './lib/providers/index.js';
+import { requestJSON } from './lib/http.js';
+import { recordDataset, recordFallback } from './lib/report.js';
 
-export async function espnRosterPlus(teamId) {
-  const url = `https://site.api.espn.com/apis/site/v2/sports/football/college-football/teams/${teamId}`;
-  const data = await getJSON(url);
-  const athletes = (data?.team?.athletes || []).flatMap((g) => g.items || []);
-  const out = athletes.map((a) => ({
-    athleteId: a.id ? Number(a.id) : null,
-    name: a.displayName || '',
-    firstName: a.firstName || null,
-    lastName: a.lastName || null,
-    position: (a.position?.abbreviation || a.position?.name || '').toUpperCase(),
-    jersey: a.jersey ? Number(a.jersey) : null,
-    headshot: a.headshot?.href || a.links?.headshot?.href || null,
-    side: ['QB', 'RB', 'WR', 'TE', 'FB', 'HB', 'TB', 'SB', 'OT', 'OG', 'C', 'OL'].includes(
-      (a.position?.abbreviation || '').toUpperCase(),
-    )
-      ? 'offense'
-      : 'defense',
-    stats: { season: null, lastGame: null },
-  }));
-  await fs.mkdir('data/team', { recursive: true });
-  await fs.writeFile('data/team/roster_plus.json', JSON.stringify(out, null, 2));
+// Canonical roster from the ESPN providers (site API first, roster page second)
+export async function espnRosterPlus(team) {
+  const chain = await runProviderChain(['espn-api', 'espn-page'], { team, season: null });
+  if (!chain.players.length) throw new Error(chain.attempts.map((a) => a.error).join(' | '));
+  const out = chain.players;
+  await fs.mkdir(teamRosterDir(team), { recursive: true });
+  const plusPath = path.join(teamRosterDir(team), 'roster_plus.json');
+  await fs.writeFile(plusPath, JSON.stringify(buildRosterPlus(out, readJSON(plusPath, null)), null, 2));
+  recordDataset('roster_plus', { file: 'team/roster_plus.json', provider: chain.provider, rows: out.length, status: 'written' });
   return out;
 }
 
 export async function espnLastGamePlayers(teamId) {
   const schedURL = `https://site.api.espn.com/apis/site/v2/sports/football/college-football/teams/${teamId}/schedule`;
-  const sched = await getJSON(schedURL);
+  const sched = await requestJSON(schedURL);
   const events = (sched?.events || []).filter((e) => e.status?.type?.completed);
   if (!events.length) return [];
   const latest = events.sort((a, b) => new Date(b.date) - new Date(a.date))[0];
   const eventId = latest.id;
 
   const boxURL = `https://site.api.espn.com/apis/site/v2/sports/football/college-football/boxscore?event=${eventId}`;
-  const box = await getJSON(boxURL);
+  const box = await requestJSON(boxURL);
 
   const teams = box?.boxscore?.players || [];
   const ours = teams.find((t) => String(t.team?.id) === String(teamId));
@@ -85,21 +56,25 @@ export async function espnLastGamePlayers(teamId) {
 }
 
 export async function buildSpotlightFromESPN(teamName) {
-  const teamId = await espnFindTeamId(teamName);
-  if (!teamId) throw new Error('ESPN teamId not found for ' + teamName);
-  const roster = await espnRosterPlus(teamId);
+  const team = resolveTeam({ TEAM: teamName });
+  const teamId = team.espnId;
+  const roster = await espnRosterPlus(team);
   const last = await espnLastGamePlayers(teamId);
   // Split & write spotlight files
-  const offSet = new Set(['QB', 'RB', 'WR', 'TE', 'FB', 'HB', 'TB', 'SB', 'OT', 'OG', 'C', 'OL']);
-  const offS = roster.filter((p) => offSet.has(p.position));
-  const defS = roster.filter((p) => !offSet.has(p.position));
+  const offS = roster.filter((p) => p.side === 'offense');
+  const defS = roster.filter((p) => p.side === 'defense');
   const offL = last.length ? last.filter((p) => p.side === 'offense') : offS;
   const defL = last.length ? last.filter((p) => p.side === 'defense') : defS;
   const take = (n, a) => (Array.isArray(a) ? a : []).slice(0, n);
-  await fs.writeFile('data/spotlight_offense_season.json', JSON.stringify(take(50, offS), null, 2));
-  await fs.writeFile('data/spotlight_defense_season.json', JSON.stringify(take(50, defS), null, 2));
-  await fs.writeFile('data/spotlight_offense_last.json', JSON.stringify(take(50, offL), null, 2));
-  await fs.writeFile('data/spotlight_defense_last.json', JSON.stringify(take(50, defL), null, 2));
-  await fs.writeFile('data/spotlight_featured.json', JSON.stringify(take(6, roster), null, 2));
+  const dataDir = teamDataDir(team);
+  const write = (file, rows) => fs.writeFile(path.join(dataDir, file), JSON.stringify(rows, null, 2));
+  await write('spotlight_offense_season.json', take(50, offS));
+  await write('spotlight_defense_season.json', take(50, defS));
+  await write('spotlight_offense_last.json', take(50, offL));
+  await write('spotlight_defense_last.json', take(50, defL));
+  await write('spotlight_featured.json', take(6, roster));
+  recordDataset('spotlight_offense', { provider: 'espn', rows: Math.min(50, offL.length), status: 'written', note: last.length ? 'ESPN box score' : 'roster order' });
+  recordDataset('spotlight_defense', { provider: 'espn', rows: Math.min(50, defL.length), status: 'written', note: last.length ? 'ESPN box score' : 'roster order' });
+  recordFallback('spotlight', 'built from ESPN instead of graded CFBD stats');
   console.log('[fallback] ESPN teamId:', teamId, 'roster:', roster.length, 'lastGame:', last.length);
 }
@@ -0,0 +1,273 @@
+// Game flow (game.html): the drive chart and win-probability line for one
+// game from /data/games/<id>.json (scripts/build_game.js). The game lives in
+// the URL (?id=<gameId>); without one the latest game in games/index.json is
+// shown.
+
+const dom = {
+  title: document.querySelector('[data-game-title]'),
+  sub: document.querySelector('[data-game-sub]'),
+  pickerWrap: document.querySelector('[data-game-picker-wrap]'),
+  picker: document.querySelector('[data-game-picker]'),
+  empty: document.querySelector('[data-game-empty]'),
+  wpPanel: document.querySelector('[data-wp-panel]'),
+  wp: document.querySelector('[data-wp]'),
+  drivesPanel: document.querySelector('[data-drives-panel]'),
+  legend: document.querySelector('[data-legend]'),
+  drives: document.querySelector('[data-drives]'),
+};
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+const GAME_SECONDS = 3600;
+// Chart box for the win-probability line, in SVG user units.
+const WP = { width: 600, height: 200, left: 30, right: 8, top: 10, bottom: 20 };
+
+function show(el, visible) {
+  if (!el) return;
+  el.hidden = !visible;
+}
+
+async function fetchJson(url) {
+  try {
+    const res = await fetch(url, { cache: "no-cache" });
+    if (!res.ok) throw new Error(`${url} -> ${res.status}`);
+    return await res.json();
+  } catch (err) {
+    console.warn("Failed to load", url, err);
+    return null;
+  }
+}
+
+function svg(tag, attrs = {}) {
+  const el = document.createElementNS(SVG_NS, tag);
+  for (const [key, value] of Object.entries(attrs)) el.setAttribute(key, value);
+  return el;
+}
+
+function clockText(seconds) {
+  if (!Number.isFinite(seconds)) return "—";
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+}
+
+function periodText(period) {
+  if (!Number.isFinite(period)) return "";
+  return period > 4 ? `OT${period > 5 ? period - 4 : ""}` : `Q${period}`;
+}
+
+/** "Own 25" / "Opp 40" / "50" from the offense's yards to goal. */
+function fieldText(yardsToGoal) {
+  if (!Number.isFinite(yardsToGoal)) return "—";
+  if (yardsToGoal === 50) return "50";
+  return yardsToGoal > 50 ? `Own ${100 - yardsToGoal}` : `Opp ${yardsToGoal}`;
+}
+
+function downText(play) {
+  if (!play.down) return "";
+  const suffix = ["th", "st", "nd", "rd"][play.down] || "th";
+  return `${play.down}${suffix} & ${play.yards_to_goal != null && play.distance >= play.yards_to_goal ? "Goal" : play.distance ?? "—"}`;
+}
+
+/**
+ * Distance from our own goal line (0-100) for an offense's yards to goal, so
+ * both teams' drives share one field with us going left to right.
+ */
+function fieldX(drive, yardsToGoal) {
+  return drive.ours ? 100 - yardsToGoal : yardsToGoal;
+}
+
+function renderHeader(game) {
+  // Neutral-site games can list us as either team, so go by the opponent.
+  const teamName = game.opponent === game.home ? game.away : game.home;
+  dom.title.textContent = `${teamName} ${game.site === "away" ? "at" : "vs"} ${game.opponent}`;
+  const when = game.start_date ? new Date(game.start_date).toLocaleDateString(undefined, { month: "short", day: "numeric", year: "numeric" }) : null;
+  dom.sub.textContent = [game.result, game.week != null ? `Week ${game.week}` : null, game.site === "neutral" ? "Neutral site" : null, when]
+    .filter(Boolean)
+    .join(" · ");
+  document.title = `${teamName} vs ${game.opponent} — Game Flow | Hashmark Chronicles`;
+  dom.legend.replaceChildren(createSwatch(teamName, "--hc-blue-700"), createSwatch(game.opponent, "--hc-opponent"));
+}
+
+function createSwatch(label, colorVar) {
+  const swatch = document.createElement("span");
+  swatch.textContent = label;
+  swatch.style.setProperty("--swatch", `var(${colorVar})`);
+  return swatch;
+}
+
+function renderWinProbability(series, drives) {
+  const points = (series || []).filter((point) => Number.isFinite(point.team_wp));
+  show(dom.wpPanel, points.length > 1);
+  if (points.length < 2) return;
+
+  const innerWidth = WP.width - WP.left - WP.right;
+  const innerHeight = WP.height - WP.top - WP.bottom;
+  // Game clock when CFBD gives one, otherwise play order.
+  const timed = points.every((point) => Number.isFinite(point.seconds_left));
+  const x = (point, index) => WP.left + innerWidth * (timed
+    ? Math.min(1, Math.max(0, 1 - point.seconds_left / GAME_SECONDS))
+    : index / (points.length - 1));
+  const y = (wp) => WP.top + innerHeight * (1 - wp);
+
+  const chart = svg("svg", { class: "wp", viewBox: `0 0 ${WP.width} ${WP.height}`, role: "img" });
+  const last = points.at(-1);
+  chart.append(svg("title"));
+  chart.lastChild.textContent = `Win probability by play; finished at ${Math.round(last.team_wp * 100)}%`;
+  for (const wp of [0, 0.5, 1]) {
+    chart.append(svg("line", { class: wp === 0.5 ? "wp__mid" : "wp__quarter", x1: WP.left, x2: WP.width - WP.right, y1: y(wp), y2: y(wp) }));
+    const label = svg("text", { class: "wp__label", x: WP.left - 4, y: y(wp) + 3, "text-anchor": "end" });
+    label.textContent = `${wp * 100}%`;
+    chart.append(label);
+  }
+  if (timed) {
+    for (let quarter = 1; quarter <= 4; quarter += 1) {
+      const qx = WP.left + (innerWidth * quarter) / 4;
+      if (quarter < 4) chart.append(svg("line", { class: "wp__quarter", x1: qx, x2: qx, y1: WP.top, y2: WP.top + innerHeight }));
+      const label = svg("text", { class: "wp__label", x: qx - innerWidth / 8, y: WP.height - 6, "text-anchor": "middle" });
+      label.textContent = `Q${quarter}`;
+      chart.append(label);
+    }
+  }
+  const path = points.map((point, index) => `${index ? "L" : "M"}${x(point, index).toFixed(1)},${y(point.team_wp).toFixed(1)}`).join(" ");
+  chart.append(svg("path", { class: "wp__line", d: path }));
+
+  // Dot where each scoring drive ended, matched through its last play.
+  const byPlay = new Map(points.map((point, index) => [String(point.play_id), [point, index]]));
+  for (const drive of drives) {
+    if (!drive.scoring) continue;
+    const hit = byPlay.get(String(drive.play_list.at(-1)?.id));
+    if (!hit) continue;
+    const dot = svg("circle", { class: "wp__marker", cx: x(...hit).toFixed(1), cy: y(hit[0].team_wp).toFixed(1), r: 3.5 });
+    dot.append(svg("title"));
+    dot.lastChild.textContent = `${drive.offense} ${drive.result || "score"} (${Math.round(hit[0].team_wp * 100)}%)`;
+    chart.append(dot);
+  }
+  dom.wp.replaceChildren(chart);
+}
+
+function createPlays(drive) {
+  const wrap = document.createElement("div");
+  wrap.className = "plays";
+  wrap.id = `drive-${drive.id}-plays`;
+  wrap.hidden = true;
+  if (!drive.play_list.length) {
+    wrap.append(Object.assign(document.createElement("p"), { className: "empty", textContent: "No play-by-play for this drive." }));
+    return wrap;
+  }
+  const table = document.createElement("table");
+  table.innerHTML = "<thead><tr><th>Clock</th><th>Down</th><th>Play</th><th>Yds</th></tr></thead>";
+  const body = document.createElement("tbody");
+  for (const play of drive.play_list) {
+    const row = document.createElement("tr");
+    if (play.scoring) row.dataset.scoring = "";
+    const cells = [
+      `${periodText(play.period)} ${clockText(play.clock)}`.trim(),
+      [downText(play), fieldText(play.yards_to_goal)].filter(Boolean).join(" at "),
+      play.text || play.type || "—",
+      play.yards ?? "—",
+    ];
+    for (const text of cells) row.append(Object.assign(document.createElement("td"), { textContent: String(text) }));
+    body.append(row);
+  }
+  table.append(body);
+  wrap.append(table);
+  return wrap;
+}
+
+function createDrive(drive) {
+  const item = document.createElement("li");
+  item.className = "drive";
+  if (drive.ours) item.dataset.ours = "";
+  if (drive.scoring) item.dataset.scoring = "";
+
+  const toggle = document.createElement("button");
+  toggle.type = "button";
+  toggle.className = "drive__toggle";
+  toggle.setAttribute("aria-expanded", "false");
+  toggle.setAttribute("aria-controls", `drive-${drive.id}-plays`);
+
+  const who = document.createElement("span");
+  who.className = "drive__who";
+  who.textContent = drive.offense;
+  who.append(Object.assign(document.createElement("small"), {
+    textContent: `${periodText(drive.start.period)} ${clockText(drive.start.clock)} · ${fieldText(drive.start.yards_to_goal)}`.trim(),
+  }));
+
+  const field = document.createElement("span");
+  field.className = "field";
+  const from = fieldX(drive, drive.start.yards_to_goal);
+  const to = fieldX(drive, drive.end.yards_to_goal ?? drive.start.yards_to_goal);
+  if (Number.isFinite(from) && Number.isFinite(to)) {
+    const bar = document.createElement("span");
+    bar.className = "field__bar";
+    bar.style.left = `${Math.min(from, to)}%`;
+    bar.style.width = `${Math.max(1, Math.abs(to - from))}%`;
+    field.append(bar);
+  }
+  field.title = `${fieldText(drive.start.yards_to_goal)} to ${fieldText(drive.end.yards_to_goal)}`;
+
+  const result = document.createElement("span");
+  result.className = "drive__result";
+  result.textContent = drive.result || "—";
+  const score = drive.score ? ` · ${drive.score.team}-${drive.score.opponent}` : "";
+  result.append(Object.assign(document.createElement("small"), {
+    textContent: `${drive.plays ?? "—"} pl, ${drive.yards ?? "—"} yds, ${clockText(drive.time)}${score}`,
+  }));
+
+  toggle.append(who, field, result);
+  const plays = createPlays(drive);
+  toggle.addEventListener("click", () => {
+    const open = toggle.getAttribute("aria-expanded") !== "true";
+    toggle.setAttribute("aria-expanded", String(open));
+    plays.hidden = !open;
+  });
+  item.append(toggle, plays);
+  return item;
+}
+
+function renderDrives(drives) {
+  show(dom.drivesPanel, drives.length > 0);
+  dom.drives.replaceChildren(...drives.map(createDrive));
+}
+
+async function load(id) {
+  const payload = await fetchJson(`/data/games/${encodeURIComponent(id)}.json`);
+  if (!payload?.game) {
+    dom.empty.textContent = "This game's drive chart isn't available yet.";
+    [dom.wpPanel, dom.drivesPanel].forEach((panel) => show(panel, false));
+    show(dom.empty, true);
+    return;
+  }
+  const drives = Array.isArray(payload.drives) ? payload.drives : [];
+  show(dom.empty, false);
+  renderHeader(payload.game);
+  renderWinProbability(payload.win_probability, drives);
+  renderDrives(drives);
+  const url = new URL(window.location.href);
+  url.searchParams.set("id", String(payload.game.id));
+  window.history.replaceState(null, "", url);
+}
+
+function fillPicker(games, chosen) {
+  const options = [...games].reverse().map((game) => {
+    const label = [game.week != null ? `Week ${game.week}` : null, `${game.site === "away" ? "at" : "vs"} ${game.opponent}`, game.result].filter(Boolean).join(" · ");
+    return new Option(label, String(game.id));
+  });
+  dom.picker.replaceChildren(...options);
+  dom.picker.value = chosen;
+  dom.picker.addEventListener("change", () => load(dom.picker.value));
+  show(dom.pickerWrap, games.length > 1);
+}
+
+async function init() {
+  const index = await fetchJson("/data/games/index.json");
+  const games = Array.isArray(index?.games) ? index.games : [];
+  const params = new URLSearchParams(window.location.search);
+  const id = params.get("id") || (index?.latest != null ? String(index.latest) : null);
+  if (!id) {
+    dom.empty.textContent = "No game has been charted yet — check back after kickoff.";
+    return;
+  }
+  fillPicker(games, id);
+  await load(id);
+}
+
+init();
@@ -0,0 +1,98 @@
+import fs from 'fs';
+import path from 'path';
+import { ROOT } from './teams.js';
+
+/**
+ * Player availability (injuries, suspensions), published as
+ * team/availability.json by build_availability.js:
+ *
+ *   out           will not play; left out of featured picks and backfills
+ *   doubtful      unlikely to play
+ *   questionable  game-time decision
+ *   probable      expected to play
+ *
+ * Healthy players have no entry. In config/availability.json a status of
+ * `available` clears whatever the provider reports for that player.
+ */
+export const AVAILABILITY_PATH = path.join(ROOT, 'config', 'availability.json');
+export const AVAILABILITY_STATUSES = ['out', 'doubtful', 'questionable', 'probable'];
+export const CLEARED = 'available';
+
+// ESPN's injury status text -> ours. Checked in order.
+const ESPN_STATUSES = [
+  [/out|reserve|suspend|season/i, 'out'],
+  [/doubtful/i, 'doubtful'],
+  [/questionable|day[- ]to[- ]day|game[- ]time/i, 'questionable'],
+  [/probable/i, 'probable'],
+  [/active|available|healthy/i, CLEARED]
+];
+
+export function normalizeStatus(value) {
+  const status = String(value ?? '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+  if (AVAILABILITY_STATUSES.includes(status) || status === CLEARED) return status;
+  return null;
+}
+
+export function isOut(entry) {
+  return entry?.status === 'out';
+}
+
+const text = (value) => (value == null || String(value).trim() === '' ? null : String(value).trim());
+
+/**
+ * Hand-maintained entries: `{ "<slug>": { "<player name or ESPN id>": { status,
+ * body_part?, expected_return?, note?, updated_at? } } }`. Throws on a status
+ * outside AVAILABILITY_STATUSES + `available`, so a typo can't publish.
+ */
+export function loadManualAvailability(team, file = AVAILABILITY_PATH) {
+  let all = {};
+  try {
+    all = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw new Error(`${path.basename(file)}: ${error.message}`);
+  }
+  return Object.entries(all?.[team?.slug] || {}).map(([key, entry]) => {
+    const status = normalizeStatus(entry?.status);
+    if (!status) throw new Error(`${path.basename(file)}: "${key}" has unknown status "${entry?.status}" (use ${[...AVAILABILITY_STATUSES, CLEARED].join(', ')})`);
+    return {
+      key,
+      id: /^\d+$/.test(key) ? Number(key) : null,
+      name: /^\d+$/.test(key) ? null : key,
+      status,
+      body_part: text(entry.body_part),
+      expected_return: text(entry.expected_return),
+      note: text(entry.note),
+      updated_at: text(entry.updated_at)
+    };
+  });
+}
+
+/**
+ * Injury entries from an ESPN team roster payload (athletes grouped by unit,
+ * each with an `injuries` list, most recent first).
+ */
+export function espnInjuries(payload) {
+  const groups = payload?.athletes || payload?.team?.athletes || [];
+  const out = [];
+  for (const group of groups) {
+    for (const item of group?.items || group?.athletes || [group]) {
+      const athlete = item?.athlete || item;
+      const injury = (athlete?.injuries || [])[0];
+      if (!athlete?.id || !injury) continue;
+      const raw = injury.status ?? injury.type?.description ?? injury.type?.name ?? '';
+      const status = ESPN_STATUSES.find(([pattern]) => pattern.test(raw))?.[1];
+      if (!status || status === CLEARED) continue;
+      const details = injury.details || {};
+      out.push({
+        id: Number(athlete.id),
+        name: athlete.fullName || athlete.displayName || null,
+        status,
+        body_part: text(details.type ?? details.location),
+        expected_return: text(details.returnDate),
+        note: text(injury.shortComment ?? injury.longComment ?? details.detail),
+        updated_at: text(injury.date)
+      });
+    }
+  }
+  return out;
+}
@@ -0,0 +1,160 @@
+import { withReplay, replayOptionsFromEnv } from './replay.js';
+import { requestJSON } from './http.js';
+
+export const CFBD_BASE = 'https://api.collegefootballdata.com';
+
+/**
+ * CFBD client used by the spotlight-style builders. Honors CFBD_RECORD /
+ * CFBD_REPLAY (see replay.js); `context` is stored in a capture's manifest.
+ */
+export function createCfbdClient(context = {}, replay = replayOptionsFromEnv()) {
+  return withReplay({
+    base: CFBD_BASE,
+    key: process.env.CFBD_KEY || null,
+    async get(route, qs = {}) {
+      const url = new URL(this.base + route);
+      Object.entries(qs).forEach(([k, v]) => url.searchParams.set(k, v));
+      const headers = this.key ? { Authorization: `Bearer ${this.key}` } : {};
+      return requestJSON(url, { headers });
+    },
+  }, replay, context);
+}
+
+// CFBD has shipped both snake_case and camelCase game payloads.
+export function gameFields(game) {
+  return {
+    id: game.id ?? game.game_id ?? null,
+    week: game.week ?? null,
+    seasonType: game.season_type ?? game.seasonType ?? null,
+    startDate: game.start_date ?? game.startDate ?? null,
+    completed: Boolean(game.completed || (game.home_points != null && game.away_points != null)),
+    homeTeam: game.home_team ?? game.homeTeam ?? null,
+    awayTeam: game.away_team ?? game.awayTeam ?? null,
+    homePoints: game.home_points ?? game.homePoints ?? null,
+    awayPoints: game.away_points ?? game.awayPoints ?? null,
+    venue: game.venue ?? null,
+    neutralSite: Boolean(game.neutral_site ?? game.neutralSite),
+  };
+}
+
+// Per-game box score rows from /games/players.
+export function normalizeGamePlayerRows(payload) {
+  return (payload?.[0]?.players || []).map(row => ({
+    id: row.id ?? row.athleteId ?? row.playerId ?? null, // CFBD athlete ids are ESPN ids for most FBS players
+    name: row.player || row.name,
+    pos: row.position || row.pos || '',
+    // offense
+    passingYards: row.passingYards,
+    passingTDs: row.passingTDs,
+    interceptions: row.interceptions, // offensive (QB throws)
+    cmpAtt: row.completions != null && row.attempts != null ? `${row.completions}/${row.attempts}` : undefined,
+    passAttempts: row.attempts ?? row.passAttempts,
+    rushingYards: row.rushingYards,
+    rushingTDs: row.rushingTDs,
+    rushingAttempts: row.carries ?? row.rushingAttempts,
+    receptions: row.receptions,
+    receivingYards: row.receivingYards,
+    receivingTDs: row.receivingTDs,
+    // defense (map defensive ints into interceptionsDef if available)
+    tackles: row.tackles,
+    soloTackles: row.soloTackles,
+    sacks: row.sacks,
+    tfl: row.tacklesForLoss ?? row.tfl,
+    passesDefended: row.passesDefended ?? row.passesDefensed,
+    interceptionsDef: row.interceptionsDef ?? row.defensiveInterceptions ?? 0,
+    forcedFumbles: row.fumblesForced,
+    fumblesRecovered: row.fumblesRecovered,
+  }));
+}
+
+// Season rows from /stats/player/season.
+export function normalizeSeasonPlayerRows(payload) {
+  return (payload || []).map(r => ({
+    id: r.playerId ?? r.athleteId ?? r.id ?? null,
+    name: r.player ?? r.name,
+    pos: r.position ?? r.pos ?? '',
+    passingYards: r.passingYards,
+    passingTDs: r.passingTDs,
+    interceptions: r.interceptions,  // QB thrown
+    passAttempts: r.passingAttempts ?? r.attempts,
+    rushingYards: r.rushingYards,
+    rushingTDs: r.rushingTDs,
+    rushingAttempts: r.rushingAttempts ?? r.carries,
+    receptions: r.receptions,
+    receivingYards: r.receivingYards,
+    receivingTDs: r.receivingTDs,
+    tackles: r.tackles,
+    soloTackles: r.soloTackles,
+    sacks: r.sacks,
+    tfl: r.tacklesForLoss ?? r.tfl,
+    passesDefended: r.passesDefended,
+    interceptionsDef: r.interceptionsDef ?? r.defensiveInterceptions ?? 0,
+    forcedFumbles: r.fumblesForced,
+    fumblesRecovered: r.fumblesRecovered,
+  }));
+}
+
+// { minutes, seconds } -> seconds; null when CFBD left the clock out.
+function clockSeconds(clock) {
+  if (!clock || (clock.minutes == null && clock.seconds == null)) return null;
+  return (Number(clock.minutes) || 0) * 60 + (Number(clock.seconds) || 0);
+}
+
+// Drives from /drives. Ids stay strings: CFBD drive and play ids overflow
+// a JS number.
+export function driveFields(drive) {
+  return {
+    id: String(drive.id ?? drive.drive_id),
+    gameId: drive.gameId ?? drive.game_id ?? null,
+    number: drive.driveNumber ?? drive.drive_number ?? null,
+    offense: drive.offense ?? null,
+    defense: drive.defense ?? null,
+    scoring: Boolean(drive.scoring),
+    result: drive.driveResult ?? drive.drive_result ?? null,
+    startPeriod: drive.startPeriod ?? drive.start_period ?? null,
+    startClock: clockSeconds(drive.startTime ?? drive.start_time),
+    startYardsToGoal: drive.startYardsToGoal ?? drive.start_yards_to_goal ?? null,
+    endPeriod: drive.endPeriod ?? drive.end_period ?? null,
+    endClock: clockSeconds(drive.endTime ?? drive.end_time),
+    endYardsToGoal: drive.endYardsToGoal ?? drive.end_yards_to_goal ?? null,
+    elapsed: clockSeconds(drive.elapsed),
+    plays: drive.plays ?? null,
+    yards: drive.yards ?? null,
+    isHomeOffense: drive.isHomeOffense ?? drive.is_home_offense ?? null,
+    endOffenseScore: drive.endOffenseScore ?? drive.end_offense_score ?? null,
+    endDefenseScore: drive.endDefenseScore ?? drive.end_defense_score ?? null,
+  };
+}
+
+// Plays from /plays.
+export function playFields(play) {
+  return {
+    id: String(play.id),
+    gameId: play.gameId ?? play.game_id ?? null,
+    driveId: play.driveId ?? play.drive_id ?? null,
+    number: play.playNumber ?? play.play_number ?? null,
+    offense: play.offense ?? null,
+    period: play.period ?? null,
+    clock: clockSeconds(play.clock),
+    down: play.down ?? null,
+    distance: play.distance ?? null,
+    yardsToGoal: play.yardsToGoal ?? play.yards_to_goal ?? null,
+    yardsGained: play.yardsGained ?? play.yards_gained ?? null,
+    type: play.playType ?? play.play_type ?? null,
+    text: play.playText ?? play.play_text ?? null,
+    scoring: Boolean(play.scoring),
+  };
+}
+
+// Win probability rows from /metrics/wp (one per play).
+export function winProbabilityFields(row) {
+  return {
+    playId: row.playId ?? row.play_id ?? null,
+    playNumber: row.playNumber ?? row.play_number ?? null,
+    homeWinProbability: row.homeWinProbability ?? row.home_win_prob ?? row.home_win_probability ?? null,
+    homeScore: row.homeScore ?? row.home_score ?? null,
+    awayScore: row.awayScore ?? row.away_score ?? null,
+    timeRemaining: row.timeRemaining ?? row.time_remaining ?? null,
+    homeBall: row.homeBall ?? row.home_ball ?? null,
+  };
+}
@@ -0,0 +1,107 @@
+import { withReplay, replayOptionsFromEnv } from './replay.js';
+import { requestJSON } from './http.js';
+
+export const ESPN_SITE_API = 'https://site.api.espn.com/apis/site/v2/sports/football/college-football';
+
+/**
+ * ESPN site API client for game data (schedule, summary). Honors
+ * ESPN_RECORD / ESPN_REPLAY the way the CFBD client honors CFBD_*.
+ */
+export function createEspnClient(context = {}, replay = replayOptionsFromEnv(process.env, 'ESPN')) {
+  return withReplay({
+    base: ESPN_SITE_API,
+    async get(route, qs = {}) {
+      const url = new URL(this.base + route);
+      Object.entries(qs).forEach(([k, v]) => url.searchParams.set(k, v));
+      return requestJSON(url);
+    },
+  }, replay, context);
+}
+
+// Scores are strings in summaries and { value, displayValue } in schedules.
+function scoreOf(competitor) {
+  const raw = competitor?.score;
+  const value = raw && typeof raw === 'object' ? raw.value ?? raw.displayValue : raw;
+  const num = Number(value);
+  return value == null || value === '' || !Number.isFinite(num) ? null : num;
+}
+
+/**
+ * One game from a schedule event or a summary header:
+ * { id, date, week, state: 'pre' | 'in' | 'post', completed, period, clock,
+ *   detail, neutralSite, competitors: [{ id, name, homeAway, score, possession }] }
+ */
+export function eventFields(event) {
+  const competition = event?.competitions?.[0] || {};
+  const status = competition.status || event?.status || {};
+  return {
+    id: event?.id != null ? Number(event.id) : null,
+    date: competition.date ?? event?.date ?? null,
+    week: event?.week?.number ?? event?.week ?? null,
+    state: status.type?.state ?? null,
+    completed: Boolean(status.type?.completed),
+    period: status.period ?? null,
+    clock: status.displayClock ?? null,
+    detail: status.type?.shortDetail ?? status.type?.detail ?? null,
+    neutralSite: Boolean(competition.neutralSite),
+    competitors: (competition.competitors || []).map((competitor) => ({
+      id: competitor.team?.id != null ? Number(competitor.team.id) : competitor.id != null ? Number(competitor.id) : null,
+      name: competitor.team?.location ?? competitor.team?.displayName ?? null,
+      homeAway: competitor.homeAway ?? null,
+      score: scoreOf(competitor),
+      possession: Boolean(competitor.possession),
+    })),
+  };
+}
+
+// Box score stat keys -> the stat row fields lib/cfbd.js normalizes CFBD rows to.
+const STAT_FIELDS = {
+  passing: { passingYards: 'passingYards', passingTouchdowns: 'passingTDs', interceptions: 'interceptions' },
+  rushing: { rushingAttempts: 'rushingAttempts', rushingYards: 'rushingYards', rushingTouchdowns: 'rushingTDs' },
+  receiving: { receptions: 'receptions', receivingYards: 'receivingYards', receivingTouchdowns: 'receivingTDs' },
+  defensive: { totalTackles: 'tackles', soloTackles: 'soloTackles', sacks: 'sacks', tacklesForLoss: 'tfl', passesDefended: 'passesDefended' },
+  interceptions: { interceptions: 'interceptionsDef' },
+  fumbles: { fumblesRecovered: 'fumblesRecovered' },
+};
+
+/**
+ * Player stat rows for `teamId` from a summary/boxscore payload, in the same
+ * shape as normalizeGamePlayerRows, so the grading model and statline
+ * formatters apply. Ids are ESPN athlete ids.
+ */
+export function boxscorePlayerRows(payload, teamId) {
+  const ours = (payload?.boxscore?.players || []).find((entry) => String(entry.team?.id) === String(teamId));
+  const rows = new Map();
+  for (const category of ours?.statistics || []) {
+    const fields = STAT_FIELDS[category.name] || {};
+    const keys = category.keys || [];
+    for (const line of category.athletes || []) {
+      const athlete = line.athlete || {};
+      if (!athlete.displayName) continue;
+      const key = athlete.id ?? athlete.displayName;
+      const row = rows.get(key) || {
+        id: athlete.id != null ? Number(athlete.id) : null,
+        name: athlete.displayName,
+        pos: athlete.position?.abbreviation || '',
+      };
+      keys.forEach((statKey, index) => {
+        const value = line.stats?.[index];
+        if (statKey === 'completions/passingAttempts' && typeof value === 'string') {
+          row.cmpAtt = value;
+          row.passAttempts = Number(value.split('/')[1]) || 0;
+        } else if (fields[statKey]) {
+          const num = Number(value);
+          if (Number.isFinite(num)) row[fields[statKey]] = num;
+        }
+      });
+      rows.set(key, row);
+    }
+  }
+  return [...rows.values()];
+}
+
+/** Team box score stats for `teamId`: Map of stat name -> displayValue. */
+export function boxscoreTeamStats(payload, teamId) {
+  const ours = (payload?.boxscore?.teams || []).find((entry) => String(entry.team?.id) === String(teamId));
+  return new Map((ours?.statistics || []).map((stat) => [stat.name, stat.displayValue]));
+}
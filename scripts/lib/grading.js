@@ -0,0 +1,170 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { readJSON } from './stability.js';
+import { rowSide } from './usage.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const DEFAULT_MODEL_PATH = path.join(__dirname, '..', '..', 'config', 'grading_model.json');
+
+const SIDES = ['offense', 'defense'];
+const WINDOWS = ['last', 'season'];
+// Smallest group pool graded on its own when the model doesn't set `min_pool`.
+const DEFAULT_MIN_POOL = 4;
+
+const clamp = (x, lo, hi) => Math.max(lo, Math.min(hi, x));
+const safeNum = (x) => (isFinite(+x) ? +x : 0);
+
+export function loadGradingModel(filePath = process.env.GRADING_MODEL || DEFAULT_MODEL_PATH) {
+  const model = readJSON(filePath, null);
+  if (!model || typeof model !== 'object') {
+    throw new Error(`grading model missing or unreadable: ${filePath}`);
+  }
+  if (!model.version) throw new Error('grading model must declare a version');
+  if (!Array.isArray(model.letters) || !model.letters.length) {
+    throw new Error('grading model must define letter cut-offs');
+  }
+  const groups = Object.entries(model.groups || {});
+  for (const side of SIDES) {
+    if (!groups.some(([, group]) => group.side === side && !group.positions?.length)) {
+      throw new Error(`grading model needs a catch-all ${side} group (empty positions)`);
+    }
+  }
+  for (const [key, group] of groups) {
+    if (!SIDES.includes(group.side)) throw new Error(`group ${key}: side must be offense or defense`);
+    if (!group.weights || !Object.keys(group.weights).length) throw new Error(`group ${key}: weights missing`);
+  }
+  if (model.min_pool != null && !(Number.isInteger(model.min_pool) && model.min_pool >= 1)) {
+    throw new Error('grading model min_pool must be a positive integer');
+  }
+  return {
+    ...model,
+    min_pool: model.min_pool ?? DEFAULT_MIN_POOL,
+    letters: [...model.letters].sort((a, b) => b.min - a.min),
+  };
+}
+
+// A known position belongs to exactly one group; unknown positions are scored
+// against both catch-all groups, as the old blended scores were.
+export function groupsFor(model, pos) {
+  const want = String(pos || '').toUpperCase();
+  const entries = Object.entries(model.groups);
+  const hit = want && entries.find(([, group]) => group.positions?.includes(want));
+  if (hit) return [hit[0]];
+  return entries.filter(([, group]) => !group.positions?.length).map(([key]) => key);
+}
+
+export function meetsMinimums(model, groupKey, stats, window) {
+  const minimums = model.groups[groupKey]?.minimums?.[window] || {};
+  return Object.entries(minimums).every(([stat, min]) => {
+    if (stats[stat] == null) return true;
+    return safeNum(stats[stat]) >= min;
+  });
+}
+
+export function scoreStats(model, groupKey, stats, window) {
+  const group = model.groups[groupKey];
+  const caps = group.caps?.[window] || {};
+  let score = 0;
+  for (const [stat, weight] of Object.entries(group.weights)) {
+    const raw = safeNum(stats[stat]);
+    const value = caps[stat] != null ? Math.min(raw, caps[stat]) : raw;
+    score += weight * value;
+  }
+  return score;
+}
+
+export function percentileRank(values, x) {
+  if (!values.length) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const idx = sorted.findIndex(v => v > x);
+  const rank = (idx < 0 ? sorted.length : idx) / sorted.length;
+  return clamp(Math.round(rank * 100), 0, 100);
+}
+
+export function letterFor(model, pct) {
+  const p = clamp(pct, 0, 100);
+  const cut = model.letters.find((entry) => p >= entry.min);
+  return cut ? cut.letter : model.letters[model.letters.length - 1].letter;
+}
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+/**
+ * Score normalized stat rows (`{ pos, ...stats }`) for one window and grade
+ * each against the other qualified players in its position group. A group
+ * with fewer than `model.min_pool` qualifiers (the lone QB in a game) is
+ * graded against every qualifier on its side instead, so being the only one
+ * is never an automatic A+. Each entry's `pool` names the pool it was graded
+ * in (the group key, or the side).
+ * Returns `{ offense, defense }`, each sorted best-first: by percentile, then
+ * by `lead` (score over its pool's median), which compares across groups
+ * where raw scores from different weights don't.
+ */
+export function gradeRows(model, rows, window) {
+  if (!WINDOWS.includes(window)) throw new Error(`unknown grading window: ${window}`);
+  const pools = new Map();
+  for (const row of rows) {
+    for (const groupKey of groupsFor(model, row.pos)) {
+      if (!meetsMinimums(model, groupKey, row, window)) continue;
+      const score = scoreStats(model, groupKey, row, window);
+      if (score <= 0) continue;
+      if (!pools.has(groupKey)) pools.set(groupKey, []);
+      pools.get(groupKey).push({ row, group: groupKey, side: model.groups[groupKey].side, score });
+    }
+  }
+
+  // A row with an unknown position is graded in every catch-all group but
+  // counts once toward the side pools, on the side its stats point to.
+  const sideScores = { offense: [], defense: [] };
+  const counted = new Set();
+  for (const entries of pools.values()) {
+    for (const entry of entries) {
+      const catchAll = !model.groups[entry.group].positions?.length;
+      if (counted.has(entry.row) || (catchAll && entry.side !== rowSide(entry.row))) continue;
+      counted.add(entry.row);
+      sideScores[entry.side].push(entry.score);
+    }
+  }
+
+  const out = { offense: [], defense: [] };
+  for (const [groupKey, entries] of pools) {
+    const thin = entries.length < model.min_pool;
+    const scores = thin ? sideScores[model.groups[groupKey].side] : entries.map((entry) => entry.score);
+    const mid = median(scores);
+    for (const entry of entries) {
+      entry.pool = thin ? entry.side : groupKey;
+      entry.pct = percentileRank(scores, entry.score);
+      entry.letter = letterFor(model, entry.pct);
+      entry.lead = mid > 0 ? entry.score / mid : 0;
+      out[entry.side].push(entry);
+    }
+  }
+  const byGrade = (a, b) => (b.pct - a.pct) || (b.lead - a.lead);
+  out.offense.sort(byGrade);
+  out.defense.sort(byGrade);
+  return out;
+}
+
+export function formatOffStatline(s) {
+  const parts = [];
+  if (safeNum(s.passingYards) || safeNum(s.passingTDs) || safeNum(s.interceptions)) {
+    parts.push(`CMP-ATT ${s.cmpAtt ?? ''}`, `YDS ${safeNum(s.passingYards)}`, `TD ${safeNum(s.passingTDs)}`, `INT ${safeNum(s.interceptions)}`);
+  }
+  if (safeNum(s.rushingYards) || safeNum(s.rushingTDs)) {
+    parts.push(`RUSH ${safeNum(s.rushingYards)} YDS`, `TD ${safeNum(s.rushingTDs)}`);
+  }
+  if (safeNum(s.receivingYards) || safeNum(s.receivingTDs)) {
+    parts.push(`REC ${safeNum(s.receivingYards)} YDS`, `TD ${safeNum(s.receivingTDs)}`);
+  }
+  return parts.filter(Boolean).join(' • ');
+}
+
+export function formatDefStatline(s) {
+  const parts = [];
+  parts.push(`T ${safeNum(s.tackles)}`, `S ${safeNum(s.sacks)}`, `TFL ${safeNum(s.tfl)}`, `PD ${safeNum(s.passesDefended)}`, `INT ${safeNum(s.interceptionsDef)}`);
+  return parts.join(' • ');
+}
@@ -0,0 +1,190 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { ROOT } from './teams.js';
+import { LOG } from './stability.js';
+import { recordHttp } from './report.js';
+
+/**
+ * The one HTTP client every builder and provider goes through.
+ * - Per-host rate limits (HOST_LIMITS). CFBD's is persisted in .cfbd_last_call,
+ *   so back-to-back builders in one job share it
+ * - Conditional GETs: ETag / Last-Modified are kept in an on-disk cache
+ *   (.cache/http/) and a 304 is answered from it
+ * - Retries only network errors, timeouts and RETRYABLE statuses, honoring
+ *   Retry-After; any other 4xx fails at once
+ * - Per-attempt timeout; every attempt is logged to the run report and, with
+ *   LOG_LEVEL=debug, to the console
+ *
+ * Env: HTTP_TIMEOUT (ms, default 15000), HTTP_RETRIES (default 3),
+ *      HTTP_CACHE=off to skip the conditional-request cache
+ */
+
+export const USER_AGENT = 'hashmark-chronicles/1.0 (+https://hashmarkchronicles.com)';
+export const CACHE_DIR = path.join(ROOT, '.cache', 'http');
+
+const TIMEOUT = Number(process.env.HTTP_TIMEOUT || 15000);
+const RETRIES = Number(process.env.HTTP_RETRIES ?? 3);
+const CACHE_ENABLED = (process.env.HTTP_CACHE || 'on').toLowerCase() !== 'off';
+const RETRYABLE = new Set([408, 425, 429, 500, 502, 503, 504]);
+const BACKOFF_MS = 400;
+const MAX_RETRY_AFTER_MS = 60000;
+
+// Minimum gap between requests to one host, in ms.
+const HOST_LIMITS = {
+  'api.collegefootballdata.com': { interval: 1000, stateFile: path.join(ROOT, '.cfbd_last_call') },
+  'site.api.espn.com': { interval: 250 },
+  'site.web.api.espn.com': { interval: 250 },
+  'www.espn.com': { interval: 500 },
+  'raw.githubusercontent.com': { interval: 100 }
+};
+
+export class HttpError extends Error {
+  constructor(message, { url, status = null, retryable = false } = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.url = url;
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+export function isRetryableStatus(status) {
+  return RETRYABLE.has(status);
+}
+
+/** Retry-After is either delta-seconds or an HTTP date. Returns ms or null. */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value == null || value === '') return null;
+  const secs = Number(value);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(0, at - now);
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// ----------- per-host throttle
+const lastCall = new Map();
+
+function readLastCall(limit) {
+  if (!limit.stateFile) return 0;
+  try {
+    return Number(fs.readFileSync(limit.stateFile, 'utf8')) || 0;
+  } catch {
+    return 0;
+  }
+}
+
+async function throttle(host) {
+  const limit = HOST_LIMITS[host];
+  if (!limit) return;
+  const previous = Math.max(lastCall.get(host) || 0, readLastCall(limit));
+  const wait = previous + limit.interval - Date.now();
+  if (wait > 0) await sleep(wait);
+  const now = Date.now();
+  lastCall.set(host, now);
+  if (limit.stateFile) {
+    try {
+      fs.writeFileSync(limit.stateFile, String(now));
+    } catch {
+      // best effort; the in-process limit still applies
+    }
+  }
+}
+
+// ----------- conditional-request cache
+function cachePath(url) {
+  return path.join(CACHE_DIR, `${crypto.createHash('sha1').update(url).digest('hex')}.json`);
+}
+
+function readCache(url) {
+  try {
+    const entry = JSON.parse(fs.readFileSync(cachePath(url), 'utf8'));
+    return entry.url === url ? entry : null;
+  } catch {
+    return null;
+  }
+}
+
+function writeCache(url, response, body) {
+  const etag = response.headers.get('etag');
+  const lastModified = response.headers.get('last-modified');
+  if (!etag && !lastModified) return;
+  try {
+    fs.mkdirSync(CACHE_DIR, { recursive: true });
+    fs.writeFileSync(cachePath(url), JSON.stringify({ url, etag, lastModified, fetched_at: new Date().toISOString(), body }));
+  } catch {
+    // cache is an optimization only
+  }
+}
+
+function debug(message) {
+  if (LOG === 'debug') console.log(`[http] ${message}`);
+}
+
+/**
+ * GET (or other method) `url` and return the body as text. Options:
+ * headers, accept, method, timeout, retries, cache (conditional GET, default on).
+ */
+export async function requestText(url, { method = 'GET', headers = {}, accept = '*/*', timeout = TIMEOUT, retries = RETRIES, cache = true } = {}) {
+  const target = String(url);
+  const host = new URL(target).host;
+  const useCache = CACHE_ENABLED && cache && method === 'GET';
+  const cached = useCache ? readCache(target) : null;
+  const conditional = {};
+  if (cached?.etag) conditional['If-None-Match'] = cached.etag;
+  if (cached?.lastModified) conditional['If-Modified-Since'] = cached.lastModified;
+
+  for (let attempt = 1; ; attempt += 1) {
+    await throttle(host);
+    const started = performance.now();
+    let response;
+    try {
+      response = await fetch(target, {
+        method,
+        headers: { 'User-Agent': USER_AGENT, Accept: accept, ...conditional, ...headers },
+        signal: AbortSignal.timeout(timeout)
+      });
+    } catch (error) {
+      const ms = performance.now() - started;
+      const reason = error.name === 'TimeoutError' ? `timed out after ${timeout} ms` : error.message;
+      recordHttp({ method, url: target, ms, attempt, error: reason });
+      debug(`${method} ${target} -> ${reason} (attempt ${attempt})`);
+      if (attempt > retries) throw new HttpError(`${method} ${target} failed: ${reason}`, { url: target, retryable: true });
+      await sleep(BACKOFF_MS * 2 ** (attempt - 1) + Math.random() * 150);
+      continue;
+    }
+
+    const ms = performance.now() - started;
+    if (response.status === 304 && cached) {
+      recordHttp({ method, url: target, status: 304, ms, attempt, cache: 'revalidated' });
+      debug(`${method} ${target} -> 304 (cached ${cached.fetched_at})`);
+      return cached.body;
+    }
+    recordHttp({ method, url: target, status: response.status, ms, attempt });
+    debug(`${method} ${target} -> ${response.status} in ${Math.round(ms)} ms (attempt ${attempt})`);
+
+    if (response.ok) {
+      const body = await response.text();
+      if (useCache) writeCache(target, response, body);
+      return body;
+    }
+
+    const retryable = isRetryableStatus(response.status);
+    if (!retryable || attempt > retries) {
+      throw new HttpError(`${method} ${target} responded with status ${response.status}`, { url: target, status: response.status, retryable });
+    }
+    const retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+    await sleep(Math.min(retryAfter ?? BACKOFF_MS * 2 ** (attempt - 1) + Math.random() * 150, MAX_RETRY_AFTER_MS));
+  }
+}
+
+export async function requestJSON(url, options = {}) {
+  const body = await requestText(url, { accept: 'application/json', ...options });
+  try {
+    return JSON.parse(body);
+  } catch (error) {
+    throw new HttpError(`${url} did not return JSON (${error.message})`, { url: String(url) });
+  }
+}
@@ -0,0 +1,158 @@
+/**
+ * Canonical player record shared by every roster provider and builder:
+ *
+ *   { id, name, pos, number, class, height, weight, side, profile_url, headshot, page }
+ *
+ * `id` is the numeric ESPN athlete id (CFBD and cfbfastR reuse ESPN ids) and is
+ * required; rows without one are dropped rather than given a made-up id.
+ * `page` is the player's profile page (/players/<slug>.html, built by
+ * build_player_pages.js); the slug depends on the whole roster, so
+ * canonicalizeRoster() sets it and the site reads it rather than re-deriving it.
+ * Builders that join season stats add an optional `stats` object.
+ */
+
+const OFFENSE = new Set(['QB', 'RB', 'HB', 'TB', 'FB', 'WR', 'SB', 'TE', 'OL', 'OT', 'OG', 'G', 'T', 'C', 'IOL']);
+const SPECIAL = new Set(['PK', 'K', 'P', 'LS', 'KR', 'PR']);
+
+export function headshotUrl(id) {
+  return `https://a.espncdn.com/i/headshots/college-football/players/full/${id}.png`;
+}
+
+export function slugify(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Unique page slug per player: the name slug, with the ESPN id appended for
+ * players whose names collide. Returns a Map of id -> slug.
+ */
+export function playerSlugs(players) {
+  const counts = new Map();
+  for (const player of players) {
+    const slug = slugify(player.name);
+    counts.set(slug, (counts.get(slug) || 0) + 1);
+  }
+  const slugs = new Map();
+  for (const player of players) {
+    const slug = slugify(player.name);
+    slugs.set(player.id, counts.get(slug) > 1 ? `${slug}-${player.id}` : slug);
+  }
+  return slugs;
+}
+
+export function sideForPosition(pos) {
+  const want = String(pos || '').toUpperCase();
+  if (!want) return null;
+  if (OFFENSE.has(want)) return 'offense';
+  if (SPECIAL.has(want)) return 'special';
+  return 'defense';
+}
+
+function numberOrNull(value) {
+  if (value == null || value === '') return null;
+  const num = Number(value);
+  return Number.isFinite(num) ? num : null;
+}
+
+// ESPN reports -1 for players without an assigned jersey.
+function jerseyOrNull(value) {
+  const num = numberOrNull(value);
+  return num != null && num >= 0 ? num : null;
+}
+
+function parseHeight(value) {
+  if (!value) return null;
+  if (typeof value === 'string' && value.includes('-')) {
+    return value;
+  }
+  if (typeof value === 'string' && /^\d+$/.test(value.trim())) {
+    return parseHeight(Number(value));
+  }
+  if (typeof value === 'string') {
+    // ESPN display height: 6' 5"
+    const match = value.match(/(\d+)'\s*(\d+)/);
+    if (match) return `${match[1]}-${match[2]}`;
+  }
+  if (typeof value === 'number') {
+    // CFBD / cfbfastR report inches
+    return value > 12 ? `${Math.floor(value / 12)}-${value % 12}` : value.toString();
+  }
+  return String(value);
+}
+
+function positionOf(player) {
+  const pos = player.position;
+  if (pos && typeof pos === 'object') return pos.abbreviation || pos.displayName || pos.name || null;
+  return pos || player.pos || null;
+}
+
+function classOf(player) {
+  const value = player.class ?? player.experienceClass ?? player.experience?.abbreviation ?? player.year ?? null;
+  return value == null || value === '' ? null : String(value);
+}
+
+/**
+ * Map any provider row (ESPN API/page athlete, CFBD roster row, cfbfastR CSV
+ * row, fixture or already-canonical row) onto the canonical record.
+ * Returns null when the row has no usable id or name.
+ */
+export function toCanonicalPlayer(player) {
+  if (!player || typeof player !== 'object') return null;
+  const id = numberOrNull(player.id ?? player.athleteId ?? player.athlete_id ?? player.athlete?.id ?? player.playerId);
+  if (id == null || id <= 0) return null;
+  const first = player.firstName ?? player.first_name ?? null;
+  const last = player.lastName ?? player.last_name ?? null;
+  const name = player.displayName || player.fullName || player.name || [first, last].filter(Boolean).join(' ');
+  if (!name) return null;
+
+  const pos = positionOf(player);
+  const number = jerseyOrNull(player.jersey ?? player.uniform ?? player.number);
+  const weight = numberOrNull(player.displayWeight ? parseFloat(player.displayWeight) : player.weight ?? player.wt);
+  const profileUrl = player.links?.find?.((link) => /player\//.test(link.href))?.href || player.profileUrl || player.profile_url || null;
+
+  return {
+    id,
+    name: String(name).trim(),
+    pos: pos ? String(pos).toUpperCase() : null,
+    number,
+    class: classOf(player),
+    height: parseHeight(player.displayHeight || player.height || player.ht || null),
+    weight,
+    side: sideForPosition(pos),
+    profile_url: profileUrl,
+    headshot: headshotUrl(id)
+  };
+}
+
+export function canonicalizeRoster(players) {
+  const seen = new Map();
+  for (const player of players || []) {
+    const canonical = toCanonicalPlayer(player);
+    if (canonical && !seen.has(canonical.id)) {
+      seen.set(canonical.id, canonical);
+    }
+  }
+  const canonical = Array.from(seen.values()).sort((a, b) => a.name.localeCompare(b.name));
+  const slugs = playerSlugs(canonical);
+  return canonical.map((player) => ({ ...player, page: `/players/${slugs.get(player.id)}.html` }));
+}
+
+/**
+ * `previous` is the published roster_plus.json: recruiting records written by
+ * build_recruiting.js are carried over for players still on the roster.
+ */
+export function buildRosterPlus(players, previous = null) {
+  const byId = {};
+  const byName = {};
+  for (const player of players) {
+    const recruiting = previous?.byId?.[player.id]?.recruiting;
+    byId[player.id] = recruiting ? { ...player, recruiting } : player;
+    byName[player.name.toLowerCase()] = player.id;
+  }
+  const out = { byId, byName, count: players.length };
+  if (previous?.recruiting_meta) out.recruiting_meta = previous.recruiting_meta;
+  return out;
+}
@@ -0,0 +1,21 @@
+import { createCfbdClient } from '../cfbd.js';
+
+/**
+ * CFBD /roster. Rows carry `id` as the ESPN athlete id plus firstName/lastName,
+ * position, jersey, height (inches), weight and year.
+ */
+export default {
+  name: 'cfbd',
+  source: 'cfbd',
+  async load({ team, season }) {
+    if (!process.env.CFBD_KEY && !process.env.CFBD_REPLAY) {
+      throw new Error('CFBD_KEY not set');
+    }
+    const client = createCfbdClient({ team: team.cfbdName, year: season });
+    const rows = await client.get('/roster', { team: team.cfbdName, year: season });
+    if (!Array.isArray(rows) || !rows.length) {
+      throw new Error(`CFBD returned no roster for ${team.cfbdName} ${season}`);
+    }
+    return { players: rows, detectedSeason: season };
+  }
+};
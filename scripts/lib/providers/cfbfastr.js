@@ -0,0 +1,66 @@
+import { requestText } from '../http.js';
+
+const CSV_BASE = 'https://raw.githubusercontent.com/cfbfastR/data/master/rosters';
+
+/**
+ * cfbfastR season roster CSVs (athlete_id is the ESPN id). Falls back up to two
+ * seasons when the target season has not been published yet.
+ */
+export default {
+  name: 'cfbfastr',
+  source: 'cfbfastr',
+  async load({ team, season }) {
+    const want = team.cfbdName.toLowerCase();
+    for (const year of [season, season - 1, season - 2]) {
+      let text;
+      try {
+        text = await requestText(`${CSV_BASE}/rosters_${year}.csv`, { accept: 'text/csv' });
+      } catch (error) {
+        continue;
+      }
+      const players = parseCsv(text).filter((row) => (row.team || '').toLowerCase() === want);
+      if (players.length) {
+        return { players, detectedSeason: year };
+      }
+    }
+    throw new Error(`cfbfastR roster not found for ${team.cfbdName} in the last 3 seasons`);
+  }
+};
+
+export function parseCsv(text) {
+  const lines = text.trim().split(/\r?\n/);
+  const header = splitCsvLine(lines[0] || '');
+  return lines.slice(1).map((line) => {
+    const cols = splitCsvLine(line);
+    const row = {};
+    header.forEach((key, index) => {
+      const value = cols[index];
+      row[key] = value === '' || value === 'NA' ? null : value;
+    });
+    return row;
+  });
+}
+
+function splitCsvLine(line) {
+  const out = [];
+  let current = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i += 1) {
+    const char = line[i];
+    if (char === '"') {
+      if (quoted && line[i + 1] === '"') {
+        current += '"';
+        i += 1;
+      } else {
+        quoted = !quoted;
+      }
+    } else if (char === ',' && !quoted) {
+      out.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  out.push(current);
+  return out;
+}
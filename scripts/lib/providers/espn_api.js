@@ -0,0 +1,52 @@
+import { requestJSON } from '../http.js';
+
+/** ESPN site API: teams/<id>?enable=roster, grouped athlete lists. */
+export default {
+  name: 'espn-api',
+  source: 'espn',
+  async load({ team }) {
+    const url = `https://site.web.api.espn.com/apis/site/v2/sports/football/college-football/teams/${team.espnId}?enable=roster`;
+    const payload = await requestJSON(url);
+
+    const groups = payload?.team?.athletes || payload?.athletes || [];
+    const players = [];
+    for (const group of groups) {
+      const items = group?.items || group?.athletes || [];
+      for (const player of items) {
+        if (player) players.push(player.athlete || player);
+      }
+    }
+    if (!players.length) {
+      throw new Error('API payload missing athlete list');
+    }
+    return { players, detectedSeason: extractSeasonFromApi(payload) };
+  }
+};
+
+function extractSeasonFromApi(payload) {
+  const candidates = [
+    payload?.team?.season?.year,
+    payload?.team?.record?.season?.year,
+    payload?.season?.year,
+    payload?.team?.nextEvent?.season?.year,
+    payload?.team?.previousEvent?.season?.year
+  ];
+  for (const candidate of candidates) {
+    const value = Number(candidate);
+    if (Number.isFinite(value) && value > 1900) {
+      return value;
+    }
+  }
+  const groups = payload?.team?.athletes || [];
+  for (const group of groups) {
+    const items = group?.items || group?.athletes || [];
+    for (const player of items) {
+      const season = player?.athlete?.season?.year || player?.season?.year;
+      const value = Number(season);
+      if (Number.isFinite(value) && value > 1900) {
+        return value;
+      }
+    }
+  }
+  return null;
+}
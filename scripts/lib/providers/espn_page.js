@@ -0,0 +1,116 @@
+import { requestText } from '../http.js';
+
+/** ESPN roster web page: scrapes the embedded JSON payloads. */
+export default {
+  name: 'espn-page',
+  source: 'espn',
+  async load({ team }) {
+    const url = `https://www.espn.com/college-football/team/roster/_/id/${team.espnId}/${team.espnSlug || team.slug}`;
+    const html = await requestText(url, { accept: 'text/html' });
+
+    let detectedSeason = detectSeasonFromHtml(html);
+    for (const candidate of extractJsonCandidates(html)) {
+      let parsed;
+      try {
+        parsed = JSON.parse(candidate);
+      } catch (error) {
+        continue;
+      }
+      const nodes = Array.isArray(parsed) ? parsed : [parsed];
+      for (const node of nodes) {
+        if (!detectedSeason) {
+          const fromNode = findSeasonInNode(node);
+          if (Number.isFinite(fromNode)) {
+            detectedSeason = Number(fromNode);
+          }
+        }
+        const rosterNodes = findAllRosterNodes(node);
+        if (rosterNodes.length) {
+          return { players: rosterNodes, detectedSeason };
+        }
+      }
+    }
+    throw new Error('Unable to parse roster JSON from page');
+  }
+};
+
+function extractJsonCandidates(html) {
+  const candidates = [];
+  const nuxtMatch = html.match(/window\["__NUXT_DATA__"\]\s*=\s*(\{.*?\});/s);
+  if (nuxtMatch) {
+    candidates.push(nuxtMatch[1]);
+  }
+  const scriptMatches = [...html.matchAll(/<script[^>]*type="application\/json"[^>]*>([^<]+)<\/script>/g)];
+  for (const [, json] of scriptMatches) {
+    candidates.push(json);
+  }
+  return candidates;
+}
+
+function detectSeasonFromHtml(html) {
+  const headingMatch = html.match(/<h[12][^>]*>\s*(\d{4})[^<]*Roster/iu);
+  if (headingMatch) {
+    const value = Number(headingMatch[1]);
+    if (Number.isFinite(value)) {
+      return value;
+    }
+  }
+  return null;
+}
+
+function findSeasonInNode(node) {
+  const seen = new Set();
+  const stack = [node];
+  while (stack.length) {
+    const current = stack.pop();
+    if (!current || typeof current !== 'object') continue;
+    if (seen.has(current)) continue;
+    seen.add(current);
+    const candidates = [];
+    if (typeof current.season === 'object' && current.season) {
+      candidates.push(current.season.year, current.season.season, current.season.displayYear);
+    }
+    candidates.push(current.season, current.year, current.seasonYear);
+    if (typeof current.header === 'object' && current.header) {
+      candidates.push(current.header.season, current.header.seasonYear);
+      if (typeof current.header.season === 'object') {
+        candidates.push(current.header.season.year);
+      }
+    }
+    for (const candidate of candidates) {
+      const value = Number(candidate);
+      if (Number.isFinite(value) && value > 1900) {
+        return value;
+      }
+    }
+    for (const value of Object.values(current)) {
+      if (value && typeof value === 'object') {
+        stack.push(value);
+      }
+    }
+  }
+  return null;
+}
+
+function findAllRosterNodes(node) {
+  const results = [];
+  if (!node || typeof node !== 'object') return results;
+  if (Array.isArray(node)) {
+    for (const item of node) {
+      results.push(...findAllRosterNodes(item));
+    }
+    return results;
+  }
+  if (node.items && Array.isArray(node.items) && node.items.every((item) => item?.athlete || item?.id)) {
+    for (const item of node.items) {
+      const athlete = item?.athlete || item;
+      if (athlete?.id) {
+        results.push(athlete);
+      }
+    }
+  }
+  for (const value of Object.values(node)) {
+    results.push(...findAllRosterNodes(value));
+  }
+  return results;
+}
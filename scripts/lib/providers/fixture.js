@@ -0,0 +1,21 @@
+import path from 'path';
+import { readJSON } from '../stability.js';
+import { ROOT } from '../teams.js';
+
+export function fixtureDir(team) {
+  return team.primary ? path.join(ROOT, 'fixtures') : path.join(ROOT, 'fixtures', 'teams', team.slug);
+}
+
+/** Checked-in roster snapshot: fixtures/[teams/<slug>/]roster_<season>.json. */
+export default {
+  name: 'fixture',
+  source: 'cache',
+  async load({ team, season }) {
+    const fixturePath = path.join(fixtureDir(team), `roster_${season}.json`);
+    const players = readJSON(fixturePath, null);
+    if (!Array.isArray(players) || !players.length) {
+      throw new Error(`no fixture at ${path.relative(ROOT, fixturePath)}`);
+    }
+    return { players, detectedSeason: season };
+  }
+};
@@ -0,0 +1,66 @@
+import { canonicalizeRoster } from '../player.js';
+import espnApi from './espn_api.js';
+import espnPage from './espn_page.js';
+import cfbd from './cfbd.js';
+import cfbfastr from './cfbfastr.js';
+import fixture from './fixture.js';
+
+/**
+ * Roster providers share one interface:
+ *
+ *   { name, source, load({ team, season }) -> { players, detectedSeason } }
+ *
+ * `players` are raw provider rows; the chain maps them onto the canonical
+ * player record (lib/player.js) before deciding whether a provider won.
+ * `source` is the coarse label written to roster_meta.json.
+ */
+export const PROVIDERS = {
+  [espnApi.name]: espnApi,
+  [espnPage.name]: espnPage,
+  [cfbd.name]: cfbd,
+  [cfbfastr.name]: cfbfastr,
+  [fixture.name]: fixture
+};
+
+export const DEFAULT_CHAIN = ['espn-api', 'espn-page', 'cfbd', 'cfbfastr'];
+
+/** ROSTER_PROVIDERS=espn-api,cfbd overrides the default order. */
+export function chainFromEnv(env = process.env) {
+  if (!env.ROSTER_PROVIDERS) return DEFAULT_CHAIN;
+  const names = env.ROSTER_PROVIDERS.split(',').map((name) => name.trim()).filter(Boolean);
+  const unknown = names.filter((name) => !PROVIDERS[name]);
+  if (unknown.length) {
+    throw new Error(`Unknown roster provider(s): ${unknown.join(', ')} (known: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  return names;
+}
+
+/**
+ * Try each provider in order and return the first non-empty canonical roster.
+ * Every attempt is recorded so callers can publish why a provider lost.
+ */
+export async function runProviderChain(names, context, { minPlayers = 1 } = {}) {
+  const attempts = [];
+  for (const name of names) {
+    const provider = PROVIDERS[name];
+    try {
+      const { players, detectedSeason } = await provider.load(context);
+      const canonical = canonicalizeRoster(players);
+      if (canonical.length < minPlayers) {
+        attempts.push({ provider: name, ok: false, error: `only ${canonical.length} usable players` });
+        continue;
+      }
+      attempts.push({ provider: name, ok: true, count: canonical.length });
+      return {
+        players: canonical,
+        detectedSeason: Number.isFinite(Number(detectedSeason)) ? Number(detectedSeason) : null,
+        provider: name,
+        source: provider.source,
+        attempts
+      };
+    } catch (error) {
+      attempts.push({ provider: name, ok: false, error: error?.message || String(error) });
+    }
+  }
+  return { players: [], detectedSeason: null, provider: null, source: null, attempts };
+}
@@ -0,0 +1,249 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { ROOT } from './teams.js';
+import { schemaFor, loadSchema, validate, formatErrors } from './schema.js';
+
+/**
+ * Staged, all-or-nothing publishing for builders that write several files.
+ *
+ *   openStage     copies the files a builder owns into <dataDir>/.staging/
+ *   validateStage schema-checks everything staged (see data/.schema)
+ *   publishStage  writes .staging/publish.json (the commit point), then renames
+ *                 each staged file over the published one
+ *
+ * A run that dies before publish.json exists leaves data/ untouched and its
+ * stage is discarded; one that dies mid-rename is finished by the next
+ * openStage. Published sets are kept as snapshots under
+ * .cache/spotlight/<team>/<timestamp>/ so rollback_spotlight.js can restore them.
+ */
+
+export const SNAPSHOT_ROOT = path.join(ROOT, '.cache', 'spotlight');
+export const SNAPSHOT_KEEP = Number(process.env.SNAPSHOT_KEEP || 10);
+
+// Everything build_spotlight.js writes, relative to the team's data dir.
+export const SPOTLIGHT_OWNED = [
+  'roster.json',
+  'spotlight_offense_last.json',
+  'spotlight_defense_last.json',
+  'spotlight_offense_season.json',
+  'spotlight_defense_season.json',
+  'spotlight_featured.json',
+  'spotlight_history.json',
+  'spotlight_trends.json',
+  // Only the weekly archive: archive/<season>/ also holds rollover_season.js's
+  // season copies, which a spotlight publish or rollback must not touch.
+  'archive/index.json',
+  'archive/*/week-*.json'
+];
+
+const STAGE = '.staging';
+const JOURNAL = 'publish.json';
+
+export function stageDir(dataDir) {
+  return path.join(dataDir, STAGE);
+}
+
+async function exists(target) {
+  return fs.access(target).then(() => true, () => false);
+}
+
+async function listFiles(dir, prefix = '') {
+  const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+  const out = [];
+  for (const entry of entries) {
+    const relative = path.join(prefix, entry.name);
+    if (entry.isDirectory()) out.push(...(await listFiles(path.join(dir, entry.name), relative)));
+    else out.push(relative);
+  }
+  return out.sort();
+}
+
+// `*` matches within one path segment: `archive/*/week-*.json`.
+function ownedPattern(entry) {
+  const source = entry.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^/]*');
+  return new RegExp(`^${source}$`);
+}
+
+/** Published files matching `owned` (files, directories or `*` patterns), relative to dataDir. */
+async function ownedFiles(dataDir, owned) {
+  const out = [];
+  for (const entry of owned) {
+    if (entry.includes('*')) {
+      const base = entry.slice(0, entry.indexOf('*')).replace(/[^/]*$/, '');
+      const pattern = ownedPattern(entry);
+      const files = (await listFiles(path.join(dataDir, base))).map((file) => path.join(base, file));
+      out.push(...files.filter((file) => pattern.test(file.split(path.sep).join('/'))));
+      continue;
+    }
+    const target = path.join(dataDir, entry);
+    const stat = await fs.stat(target).catch(() => null);
+    if (stat?.isDirectory()) out.push(...(await listFiles(target)).map((file) => path.join(entry, file)));
+    else if (stat) out.push(entry);
+  }
+  return out;
+}
+
+async function writeFileAtomic(filePath, contents) {
+  const tmp = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, contents, 'utf8');
+  await fs.rename(tmp, filePath);
+}
+
+async function moveIntoPlace(stage, dataDir, { files, removed = [] }) {
+  for (const file of files) {
+    const from = path.join(stage, file);
+    // Already moved by the run that was interrupted.
+    if (!(await exists(from))) continue;
+    const to = path.join(dataDir, file);
+    await fs.mkdir(path.dirname(to), { recursive: true });
+    await fs.rename(from, to);
+  }
+  for (const file of removed) {
+    await fs.rm(path.join(dataDir, file), { force: true });
+  }
+  await fs.rm(stage, { recursive: true, force: true });
+}
+
+/**
+ * Start a staged build. `owned` lists the files, directories and `*` patterns
+ * (relative to dataDir) the builder writes; current copies are seeded into the stage so
+ * the builder can read what it published last time.
+ */
+export async function openStage(dataDir, owned) {
+  const stage = stageDir(dataDir);
+  const journal = await readJournal(stage);
+  if (journal) {
+    console.warn(`⚠️  finishing interrupted publish from ${journal.created_at} (${journal.files.length} files)`);
+    await moveIntoPlace(stage, dataDir, journal);
+  }
+  await fs.rm(stage, { recursive: true, force: true });
+  await fs.mkdir(stage, { recursive: true });
+  for (const file of await ownedFiles(dataDir, owned)) {
+    await fs.mkdir(path.dirname(path.join(stage, file)), { recursive: true });
+    await fs.copyFile(path.join(dataDir, file), path.join(stage, file));
+  }
+  return stage;
+}
+
+async function readJournal(stage) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(stage, JOURNAL), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/** Schema errors for every staged JSON file, formatted one per line. */
+export async function validateStage(stage) {
+  const problems = [];
+  for (const file of await listFiles(stage)) {
+    if (!file.endsWith('.json')) continue;
+    const raw = await fs.readFile(path.join(stage, file), 'utf8');
+    let payload;
+    try {
+      payload = JSON.parse(raw);
+    } catch (error) {
+      problems.push(`${file}: invalid JSON (${error.message})`);
+      continue;
+    }
+    const schemaName = schemaFor(file);
+    if (schemaName) problems.push(...formatErrors(file, validate(loadSchema(schemaName), payload)));
+  }
+  return problems;
+}
+
+/**
+ * Swap the stage into dataDir. Published files under `owned` that are not in
+ * the stage are removed, so dataDir ends up holding exactly the staged set.
+ * Returns the published file list.
+ */
+export async function publishStage(stage, dataDir, owned) {
+  const files = await listFiles(stage);
+  const staged = new Set(files);
+  const removed = (await ownedFiles(dataDir, owned)).filter((file) => !staged.has(file));
+  const journal = { created_at: new Date().toISOString(), files, removed };
+  await writeFileAtomic(path.join(stage, JOURNAL), `${JSON.stringify(journal, null, 2)}\n`);
+  await moveIntoPlace(stage, dataDir, journal);
+  return files;
+}
+
+export async function discardStage(dataDir) {
+  await fs.rm(stageDir(dataDir), { recursive: true, force: true });
+}
+
+// ----------- snapshots: .cache/spotlight/<team>/<timestamp>/{manifest.json, ...files}
+
+export function snapshotRoot(team) {
+  return path.join(SNAPSHOT_ROOT, team.slug);
+}
+
+// ISO time without ":" or milliseconds, so it is a portable directory name.
+export function snapshotId(date = new Date()) {
+  return date.toISOString().replace(/\.\d+Z$/, 'Z').replace(/:/g, '-');
+}
+
+async function sha256(filePath) {
+  return crypto.createHash('sha256').update(await fs.readFile(filePath)).digest('hex');
+}
+
+/** Copy a published set into a new snapshot and prune to the newest `keep`. */
+export async function snapshotFiles(team, dataDir, files, { keep = SNAPSHOT_KEEP } = {}) {
+  const id = snapshotId();
+  const dir = path.join(snapshotRoot(team), id);
+  const entries = [];
+  for (const file of files) {
+    const from = path.join(dataDir, file);
+    if (!(await exists(from))) continue;
+    await fs.mkdir(path.dirname(path.join(dir, file)), { recursive: true });
+    await fs.copyFile(from, path.join(dir, file));
+    const { size } = await fs.stat(from);
+    entries.push({ path: file.split(path.sep).join('/'), bytes: size, sha256: await sha256(from) });
+  }
+  await fs.writeFile(
+    path.join(dir, 'manifest.json'),
+    `${JSON.stringify({ id, team: team.slug, created_at: new Date().toISOString(), files: entries }, null, 2)}\n`,
+    'utf8'
+  );
+  const all = await listSnapshots(team);
+  for (const stale of all.slice(keep)) {
+    await fs.rm(path.join(snapshotRoot(team), stale.id), { recursive: true, force: true });
+  }
+  return { id, dir, files: entries };
+}
+
+/** Snapshot manifests for a team, newest first. */
+export async function listSnapshots(team) {
+  const root = snapshotRoot(team);
+  const dirs = await fs.readdir(root).catch(() => []);
+  const manifests = [];
+  for (const dir of dirs) {
+    try {
+      manifests.push(JSON.parse(await fs.readFile(path.join(root, dir, 'manifest.json'), 'utf8')));
+    } catch {
+      // half-written snapshot (no manifest yet); not restorable
+    }
+  }
+  return manifests.sort((a, b) => b.id.localeCompare(a.id));
+}
+
+/**
+ * Restore a snapshot through the same stage/publish path a build uses, after
+ * checking every file against its manifest hash.
+ */
+export async function restoreSnapshot(team, dataDir, id, owned) {
+  const manifest = (await listSnapshots(team)).find((entry) => entry.id === id);
+  if (!manifest) throw new Error(`no snapshot ${id} for ${team.slug}`);
+  const dir = path.join(snapshotRoot(team), id);
+  const stage = await openStage(dataDir, []);
+  for (const file of manifest.files) {
+    const from = path.join(dir, file.path);
+    if ((await sha256(from)) !== file.sha256) {
+      await discardStage(dataDir);
+      throw new Error(`snapshot ${id}: ${file.path} does not match its manifest hash`);
+    }
+    await fs.mkdir(path.dirname(path.join(stage, file.path)), { recursive: true });
+    await fs.copyFile(from, path.join(stage, file.path));
+  }
+  return publishStage(stage, dataDir, owned);
+}
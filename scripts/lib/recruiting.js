@@ -0,0 +1,120 @@
+/**
+ * Recruiting records for roster players, from CFBD /recruiting/players:
+ *
+ *   { class, stars, rating, national_rank, position_rank, position,
+ *     hometown, high_school, committed_to, transfer }
+ *
+ * `rating` is the 247Sports composite (0-1) and `national_rank` the composite
+ * rank within the class. CFBD has no position rank, so it is computed from the
+ * class list: the recruit's place among that class's recruits at the same
+ * recruiting position, by national rank. `transfer` marks players who signed
+ * somewhere else out of high school.
+ *
+ * build_recruiting.js writes them to roster_plus.json as each player's
+ * `recruiting`; buildRosterPlus() carries them across roster rebuilds.
+ */
+
+// Season grade percentile points a player must clear their recruiting
+// percentile by to be called out as outperforming it.
+export const OUTPERFORM_MARGIN = 25;
+// Fewer rated teammates in a grading group than this make the recruiting
+// percentile meaningless.
+const MIN_PEERS = 4;
+
+// Recruiting-service positions that differ from roster positions. ATH
+// (athlete) says nothing about where the player ended up.
+const POSITION_ALIASES = { APB: 'RB', DUAL: 'QB', PRO: 'QB', OLB: 'LB', ILB: 'LB', SDE: 'DL', WDE: 'DL', ATH: null };
+
+const numberOrNull = (value) => (value != null && value !== '' && Number.isFinite(Number(value)) ? Number(value) : null);
+
+function hometown(row) {
+  const country = row.country && !/^(USA|United States)$/i.test(row.country) ? row.country : null;
+  return [row.city, row.stateProvince ?? row.state_province, country].filter(Boolean).join(', ') || null;
+}
+
+/** The roster position a recruiting position corresponds to, or null. */
+export function rosterPosition(position) {
+  const pos = String(position || '').toUpperCase();
+  if (!pos) return null;
+  return pos in POSITION_ALIASES ? POSITION_ALIASES[pos] : pos;
+}
+
+/** Position rank per CFBD recruit id, within one class list. */
+export function positionRanks(recruits) {
+  const byPosition = new Map();
+  for (const row of recruits || []) {
+    const pos = String(row.position || '').toUpperCase();
+    if (!pos || numberOrNull(row.ranking) == null) continue;
+    if (!byPosition.has(pos)) byPosition.set(pos, []);
+    byPosition.get(pos).push(row);
+  }
+  const ranks = new Map();
+  for (const rows of byPosition.values()) {
+    rows.sort((a, b) => Number(a.ranking) - Number(b.ranking));
+    rows.forEach((row, idx) => ranks.set(row.id, idx + 1));
+  }
+  return ranks;
+}
+
+/** One CFBD recruit row as the record stored on the player. */
+export function recruitRecord(row, team, positionRank = null) {
+  const committedTo = row.committedTo ?? row.committed_to ?? null;
+  return {
+    class: numberOrNull(row.year),
+    stars: numberOrNull(row.stars),
+    rating: numberOrNull(row.rating),
+    national_rank: numberOrNull(row.ranking),
+    position_rank: positionRank,
+    position: row.position ? String(row.position).toUpperCase() : null,
+    hometown: hometown(row),
+    high_school: row.school || null,
+    committed_to: committedTo,
+    transfer: committedTo != null && committedTo !== team
+  };
+}
+
+/**
+ * Players whose season grade beats their recruiting standing by
+ * OUTPERFORM_MARGIN points or more. The recruiting standing is the share of
+ * rated teammates in the same grading group with a lower composite rating.
+ * `byId` is roster_plus.byId; `seasonGrades` is spotlight_trends.season_grades.
+ * Returns Map of id -> { group, grade_pct, recruit_pct, margin }.
+ */
+export function outperformers(byId, seasonGrades, margin = OUTPERFORM_MARGIN) {
+  const groups = new Map();
+  for (const [id, grade] of Object.entries(seasonGrades || {})) {
+    const rating = byId?.[id]?.recruiting?.rating;
+    if (rating == null || grade?.pct == null || !grade.group) continue;
+    if (!groups.has(grade.group)) groups.set(grade.group, []);
+    groups.get(grade.group).push({ id: Number(id), rating, grade });
+  }
+  const out = new Map();
+  for (const [group, peers] of groups) {
+    if (peers.length < MIN_PEERS) continue;
+    for (const peer of peers) {
+      const below = peers.filter((other) => other.rating < peer.rating).length;
+      const recruitPct = Math.round((below / (peers.length - 1)) * 100);
+      const gap = peer.grade.pct - recruitPct;
+      if (gap >= margin) out.set(peer.id, { group, grade_pct: peer.grade.pct, recruit_pct: recruitPct, margin: gap });
+    }
+  }
+  return out;
+}
+
+export function starsText(stars) {
+  const count = Math.max(0, Math.min(5, Number(stars) || 0));
+  return count ? `${'★'.repeat(count)}${'☆'.repeat(5 - count)}` : null;
+}
+
+/** "★★★★☆ · 0.9345 · No. 212 nationally · No. 18 WR · Class of 2023" */
+export function recruitingLine(recruiting) {
+  if (!recruiting) return null;
+  const parts = [
+    starsText(recruiting.stars),
+    recruiting.rating != null ? recruiting.rating.toFixed(4) : null,
+    recruiting.national_rank != null ? `No. ${recruiting.national_rank} nationally` : null,
+    recruiting.position_rank != null && recruiting.position ? `No. ${recruiting.position_rank} ${recruiting.position}` : null,
+    recruiting.class != null ? `Class of ${recruiting.class}` : null
+  ].filter(Boolean);
+  return parts.length ? parts.join(' · ') : null;
+}
@@ -0,0 +1,81 @@
+import fs from 'fs';
+import path from 'path';
+import { readJSON } from './stability.js';
+
+const MANIFEST = 'manifest.json';
+
+// CFBD_RECORD=<dir> captures every response the builder sees; CFBD_REPLAY=<dir>
+// serves them back without touching the network (and without a key).
+// Other sources use their own prefix (ESPN_RECORD / ESPN_REPLAY).
+export function replayOptionsFromEnv(env = process.env, prefix = 'CFBD') {
+  if (env[`${prefix}_REPLAY`]) return { mode: 'replay', dir: path.resolve(env[`${prefix}_REPLAY`]) };
+  if (env[`${prefix}_RECORD`]) return { mode: 'record', dir: path.resolve(env[`${prefix}_RECORD`]) };
+  return { mode: 'live', dir: null };
+}
+
+export function captureName(route, qs = {}) {
+  const base = route.replace(/^\/+/, '').replace(/[^a-z0-9]+/gi, '_') || 'root';
+  const params = Object.keys(qs)
+    .sort()
+    .map((key) => `${key}-${qs[key]}`.replace(/[^a-z0-9.-]+/gi, '_'))
+    .join('_');
+  return `${base}${params ? `__${params}` : ''}.json`;
+}
+
+export function readManifest(dir) {
+  return readJSON(path.join(dir, MANIFEST), null);
+}
+
+/**
+ * Wrap a `{ get(route, qs) }` client so responses are recorded to, or replayed
+ * from, one JSON file per request under `options.dir`.
+ */
+export function withReplay(client, options = {}, context = {}) {
+  const { mode = 'live', dir = null } = options;
+  if (mode === 'live' || !dir) return client;
+
+  if (mode === 'replay') {
+    if (!fs.existsSync(dir)) {
+      throw new Error(`replay directory not found: ${dir}`);
+    }
+    return {
+      ...client,
+      mode,
+      dir,
+      async get(route, qs = {}) {
+        const file = path.join(dir, captureName(route, qs));
+        if (!fs.existsSync(file)) {
+          throw new Error(`${route} -> no capture (${path.basename(file)})`);
+        }
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+      },
+    };
+  }
+
+  fs.mkdirSync(dir, { recursive: true });
+  const manifest = {
+    ...context,
+    recorded_at: new Date().toISOString(),
+    captures: [],
+  };
+  const writeManifest = () => {
+    fs.writeFileSync(path.join(dir, MANIFEST), `${JSON.stringify(manifest, null, 2)}\n`);
+  };
+  writeManifest();
+
+  return {
+    ...client,
+    mode,
+    dir,
+    async get(route, qs = {}) {
+      const payload = await client.get.call(this, route, qs);
+      const name = captureName(route, qs);
+      fs.writeFileSync(path.join(dir, name), `${JSON.stringify(payload, null, 2)}\n`);
+      if (!manifest.captures.some((entry) => entry.file === name)) {
+        manifest.captures.push({ route, qs, file: name });
+        writeManifest();
+      }
+      return payload;
+    },
+  };
+}
@@ -0,0 +1,89 @@
+import fs from 'fs';
+import path from 'path';
+import { ROOT } from './teams.js';
+
+/**
+ * Structured run report for one builder process: which provider fed each
+ * dataset, every HTTP call (status, duration, retry attempt), fallbacks taken,
+ * row counts, the validation outcome and the run's duration.
+ *
+ * Builders call startRun() once, then the record* helpers; lib code (HTTP
+ * clients) records into whichever run is active and is a no-op otherwise.
+ * The report is written to artifacts/status/run-<timestamp>.json when the
+ * process exits, so early exits and failures are reported too.
+ * scripts/render_run_report.js prints reports as Markdown.
+ */
+
+export const STATUS_DIR = path.join(ROOT, 'artifacts', 'status');
+
+let current = null;
+
+export function startRun(builder, { team = null, season = null } = {}) {
+  const startedAt = new Date();
+  current = {
+    builder,
+    team: team?.slug ?? team,
+    season,
+    started_at: startedAt.toISOString(),
+    finished_at: null,
+    duration_ms: null,
+    ok: null,
+    error: null,
+    datasets: {},
+    http: [],
+    fallbacks: [],
+    validation: null
+  };
+  const run = current;
+  process.once('exit', (code) => writeReport(run, startedAt, code));
+  return run;
+}
+
+/** `info`: { file, provider, rows, status: 'written' | 'kept' | 'skipped', note } */
+export function recordDataset(name, info) {
+  if (!current) return;
+  current.datasets[name] = { ...current.datasets[name], ...info };
+}
+
+/**
+ * One HTTP attempt. `status` is null when the request never got a response;
+ * `cache: 'revalidated'` marks a 304 answered from the conditional-request cache.
+ */
+export function recordHttp({ method = 'GET', url, status = null, ms = null, attempt = 1, error = null, cache = null }) {
+  if (!current) return;
+  current.http.push({ method, url: String(url), status, ms: ms == null ? null : Math.round(ms), attempt, ...(error ? { error } : {}), ...(cache ? { cache } : {}) });
+}
+
+export function recordFallback(dataset, message) {
+  if (!current) return;
+  current.fallbacks.push({ dataset, message });
+}
+
+export function recordValidation(ok, problems = []) {
+  if (!current) return;
+  current.validation = { ok, problems: problems.slice(0, 50) };
+}
+
+export function recordError(error) {
+  if (!current) return;
+  current.error = error?.message || String(error);
+}
+
+export function reportFileName(date) {
+  return `run-${date.toISOString().replace(/[:.]/g, '-')}.json`;
+}
+
+function writeReport(run, startedAt, code) {
+  const finishedAt = new Date();
+  run.finished_at = finishedAt.toISOString();
+  run.duration_ms = finishedAt - startedAt;
+  const exitCode = code ?? process.exitCode ?? 0;
+  run.ok = exitCode === 0 && !run.error && run.validation?.ok !== false;
+  run.exit_code = exitCode;
+  try {
+    fs.mkdirSync(STATUS_DIR, { recursive: true });
+    fs.writeFileSync(path.join(STATUS_DIR, reportFileName(startedAt)), `${JSON.stringify(run, null, 2)}\n`);
+  } catch (error) {
+    console.warn(`⚠️  run report not written: ${error.message}`);
+  }
+}
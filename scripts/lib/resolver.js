@@ -0,0 +1,243 @@
+import fs from 'fs';
+import path from 'path';
+import { ROOT } from './teams.js';
+import { sideForPosition } from './player.js';
+
+/**
+ * Resolves provider rows (CFBD stat lines, legacy roster rows, ...) to ESPN
+ * athlete ids on a canonical roster. Tiers, strongest first:
+ *
+ *   override  config/id_overrides.json, keyed by team slug then player name
+ *   id        the row's own id is on the roster and the last names agree
+ *   exact     normalized name ("Martels Carter Jr." == "Jr. Martels Carter")
+ *   nickname  first name mapped through NICKNAMES ("Mike" == "Michael")
+ *   jersey    same last name and jersey number
+ *   initial   same last name and first initial, unique on the row's side
+ *
+ * Several candidates in one tier are narrowed by jersey, then position, then
+ * side. Anything still ambiguous is reported and left unresolved: the resolver
+ * never invents an id.
+ */
+
+export const OVERRIDES_PATH = path.join(ROOT, 'config', 'id_overrides.json');
+
+const SUFFIXES = new Set(['jr', 'sr', 'ii', 'iii', 'iv', 'v']);
+
+// Short form -> formal first name. Both sides of a match go through this.
+const NICKNAMES = {
+  alex: 'alexander',
+  andy: 'andrew',
+  drew: 'andrew',
+  ben: 'benjamin',
+  bill: 'william',
+  will: 'william',
+  bob: 'robert',
+  bobby: 'robert',
+  rob: 'robert',
+  cam: 'cameron',
+  chris: 'christopher',
+  dan: 'daniel',
+  danny: 'daniel',
+  dave: 'david',
+  ed: 'edward',
+  eddie: 'edward',
+  greg: 'gregory',
+  jake: 'jacob',
+  jim: 'james',
+  jimmy: 'james',
+  jamie: 'james',
+  joe: 'joseph',
+  joey: 'joseph',
+  jon: 'jonathan',
+  josh: 'joshua',
+  ken: 'kenneth',
+  kenny: 'kenneth',
+  matt: 'matthew',
+  mike: 'michael',
+  nate: 'nathaniel',
+  nick: 'nicholas',
+  sam: 'samuel',
+  steve: 'steven',
+  tom: 'thomas',
+  tommy: 'thomas',
+  tony: 'anthony',
+  zach: 'zachary',
+  zack: 'zachary'
+};
+
+export function normalizeName(value) {
+  return String(value || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['’.]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter((token) => token && !SUFFIXES.has(token))
+    .join(' ');
+}
+
+function nicknameKey(normalized) {
+  const [first, ...rest] = normalized.split(' ');
+  return [NICKNAMES[first] || first, ...rest].join(' ');
+}
+
+function lastName(normalized) {
+  return normalized.split(' ').at(-1) || '';
+}
+
+function jerseyOf(value) {
+  const num = Number(value);
+  return value != null && value !== '' && Number.isInteger(num) && num >= 0 ? num : null;
+}
+
+function groupBy(players, keyOf) {
+  const map = new Map();
+  for (const player of players) {
+    const key = keyOf(player);
+    if (!key) continue;
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(player);
+  }
+  return map;
+}
+
+/**
+ * Per-team overrides: `{ "<slug>": { "<provider name>": <espn id> | null } }`.
+ * `null` pins a name as "not on this roster" so fuzzy tiers can't claim it.
+ */
+export function loadIdOverrides(team, file = OVERRIDES_PATH) {
+  let all = {};
+  try {
+    all = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw new Error(`${path.basename(file)}: ${error.message}`);
+  }
+  const entries = Object.entries(all?.[team?.slug] || {});
+  return new Map(entries.map(([name, id]) => [normalizeName(name), id == null ? null : Number(id)]));
+}
+
+/**
+ * `players` are canonical roster rows ({ id, name, pos, number }). Returns
+ * `{ resolve(row), report() }`; `resolve` gives the roster player or null.
+ * `loose: false` drops the jersey and initial tiers, for sources (recruiting
+ * lists) that span many teams and carry no jersey.
+ */
+export function createIdResolver(players, { overrides = new Map(), loose = true } = {}) {
+  const roster = (players || []).filter((player) => player?.name && Number.isFinite(Number(player.id)));
+  const entries = roster.map((player) => {
+    const normalized = normalizeName(player.name);
+    return { player, normalized, nickname: nicknameKey(normalized), last: lastName(normalized) };
+  });
+  const byId = new Map(entries.map((entry) => [Number(entry.player.id), entry]));
+  const byExact = groupBy(entries, (entry) => entry.normalized);
+  const byNickname = groupBy(entries, (entry) => entry.nickname);
+  const byLast = groupBy(entries, (entry) => entry.last);
+
+  const memo = new Map();
+  const counts = {};
+  const ambiguous = [];
+  const unresolved = [];
+
+  function narrow(candidates, row) {
+    if (candidates.length <= 1) return candidates;
+    const filters = [
+      (entry) => row.number != null && jerseyOf(entry.player.number) === row.number,
+      (entry) => row.pos && String(entry.player.pos || '').toUpperCase() === row.pos,
+      (entry) => row.side && sideForPosition(entry.player.pos) === row.side
+    ];
+    let pool = candidates;
+    for (const keep of filters) {
+      const next = pool.filter(keep);
+      if (next.length === 1) return next;
+      if (next.length > 1) pool = next;
+    }
+    return pool;
+  }
+
+  function lookup(row) {
+    if (overrides.has(row.normalized)) {
+      const id = overrides.get(row.normalized);
+      if (id == null) return { method: 'override', candidates: [], reason: 'pinned off the roster by override' };
+      return { method: 'override', candidates: byId.has(id) ? [byId.get(id)] : [], reason: `override id ${id} is not on the roster` };
+    }
+    const own = byId.get(Number(row.id));
+    if (own && own.last === lastName(row.normalized)) return { method: 'id', candidates: [own] };
+
+    const tiers = [
+      ['exact', () => byExact.get(row.normalized) || []],
+      ['nickname', () => byNickname.get(nicknameKey(row.normalized)) || []]
+    ];
+    if (loose) tiers.push(
+      ['jersey', () => (row.number == null ? [] : (byLast.get(lastName(row.normalized)) || []).filter((entry) => jerseyOf(entry.player.number) === row.number))],
+      ['initial', () => {
+        const initial = row.normalized[0];
+        return (byLast.get(lastName(row.normalized)) || []).filter((entry) =>
+          entry.normalized[0] === initial && (!row.side || sideForPosition(entry.player.pos) === row.side));
+      }]
+    );
+    // A tier whose only candidates play the other side of the ball is kept as
+    // a fallback in case no later tier finds someone on the right side.
+    let fallback = null;
+    for (const [method, find] of tiers) {
+      const candidates = find();
+      if (!candidates.length) continue;
+      const result = { method, candidates: narrow(candidates, row) };
+      const sameSide = !row.side || candidates.some((entry) => sideForPosition(entry.player.pos) === row.side);
+      if (sameSide) return result;
+      fallback ||= result;
+    }
+    return fallback || { method: null, candidates: [] };
+  }
+
+  function resolve(source) {
+    if (!source?.name) return null;
+    const pos = source.pos ? String(source.pos).toUpperCase() : null;
+    const row = {
+      id: source.id ?? null,
+      name: source.name,
+      normalized: normalizeName(source.name),
+      number: jerseyOf(source.number ?? source.jersey),
+      pos,
+      side: source.side || sideForPosition(pos)
+    };
+    // Everything lookup() reads: an id or side can pick a different player for the same name.
+    const key = [row.normalized, row.number, row.pos, row.id, row.side].join('|');
+    if (memo.has(key)) return memo.get(key);
+
+    const { method, candidates, reason } = lookup(row);
+    let player = null;
+    const query = { name: row.name, pos: row.pos, number: row.number };
+    if (candidates.length === 1) {
+      player = candidates[0].player;
+      counts[method] = (counts[method] || 0) + 1;
+    } else if (candidates.length > 1) {
+      ambiguous.push({
+        ...query,
+        method,
+        candidates: candidates.map(({ player: p }) => ({ id: Number(p.id), name: p.name, pos: p.pos ?? null, number: p.number ?? null }))
+      });
+    } else {
+      unresolved.push(reason ? { ...query, reason } : query);
+    }
+    memo.set(key, player);
+    return player;
+  }
+
+  function report() {
+    return { resolved: { ...counts }, ambiguous: [...ambiguous], unresolved: [...unresolved] };
+  }
+
+  return { resolve, report };
+}
+
+/** One-line summary plus a line per ambiguous match, for builder logs. */
+export function describeResolution(report) {
+  const resolved = Object.entries(report.resolved).map(([method, count]) => `${method} ${count}`).join(', ') || 'none';
+  const lines = [`id resolution: ${resolved}; ${report.ambiguous.length} ambiguous, ${report.unresolved.length} unresolved`];
+  for (const entry of report.ambiguous) {
+    const options = entry.candidates.map((c) => `${c.name} #${c.number ?? '?'} ${c.pos ?? '?'} (${c.id})`).join(' | ');
+    lines.push(`ambiguous ${entry.name} (${entry.pos ?? '?'}) by ${entry.method}: ${options}`);
+  }
+  return lines;
+}
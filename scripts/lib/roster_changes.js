@@ -0,0 +1,108 @@
+import path from 'path';
+import { readJSON, writeJSON } from './stability.js';
+
+/**
+ * Roster moves between two builds, matched by ESPN id:
+ *
+ *   added     on the new roster only
+ *   departed  on the old roster only (transfer, graduation, dismissal…)
+ *   position  `pos` changed; `from` / `to` hold the old and new position
+ *   number    jersey `number` changed; `from` / `to` hold the old and new number
+ *
+ * A position or number that was missing on either side is a data gap, not a
+ * move, so it is not recorded. Every roster builder calls updateRosterChanges()
+ * just before it overwrites team/roster.json.
+ */
+export const ROSTER_CHANGES_FILE = 'roster_changes.json';
+export const ROSTER_CHANGES_KEEP = 200;
+
+// More departures than this share of the old roster is a partial provider
+// response, not a week of roster moves.
+const MAX_DEPARTED_SHARE = 0.5;
+
+const TYPE_ORDER = ['departed', 'added', 'position', 'number'];
+
+const playerId = (player) => {
+  const id = Number(player?.id);
+  return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+function byId(players) {
+  const out = new Map();
+  for (const player of Array.isArray(players) ? players : []) {
+    const id = playerId(player);
+    if (id != null && !out.has(id)) out.set(id, player);
+  }
+  return out;
+}
+
+const present = (value) => value != null && value !== '';
+const samePos = (a, b) => String(a).trim().toUpperCase() === String(b).trim().toUpperCase();
+
+/** Changes from `previous` to `next` (canonical roster rows), departures first. */
+export function diffRosters(previous, next) {
+  const before = byId(previous);
+  const after = byId(next);
+  const changes = [];
+  const entry = (type, player, extra = {}) => ({
+    type,
+    id: playerId(player),
+    name: player.name || null,
+    pos: player.pos ?? null,
+    number: player.number ?? null,
+    ...extra
+  });
+
+  for (const [id, player] of after) {
+    const old = before.get(id);
+    if (!old) {
+      changes.push(entry('added', player));
+      continue;
+    }
+    if (present(old.pos) && present(player.pos) && !samePos(old.pos, player.pos)) {
+      changes.push(entry('position', player, { from: old.pos, to: player.pos }));
+    }
+    if (present(old.number) && present(player.number) && Number(old.number) !== Number(player.number)) {
+      changes.push(entry('number', player, { from: Number(old.number), to: Number(player.number) }));
+    }
+  }
+  for (const [id, player] of before) {
+    if (!after.has(id)) changes.push(entry('departed', player));
+  }
+  return changes.sort((a, b) => TYPE_ORDER.indexOf(a.type) - TYPE_ORDER.indexOf(b.type) || String(a.name).localeCompare(String(b.name)));
+}
+
+/**
+ * Diff the published team/roster.json against `next` and prepend the moves to
+ * team/roster_changes.json (newest first, capped at ROSTER_CHANGES_KEEP).
+ * `team` is the team slug. Returns `{ changes, skipped }`; `skipped` says why
+ * nothing was recorded.
+ */
+export function updateRosterChanges(teamDir, next, { team, season, date = new Date().toISOString() } = {}) {
+  const previous = readJSON(path.join(teamDir, 'roster.json'), []);
+  if (!Array.isArray(previous) || !previous.length) return { changes: [], skipped: 'no previous roster' };
+
+  const changes = diffRosters(previous, next);
+  const departed = changes.filter((change) => change.type === 'departed').length;
+  if (departed > byId(previous).size * MAX_DEPARTED_SHARE) {
+    return { changes: [], skipped: `${departed} of ${previous.length} players would depart; looks like a partial roster` };
+  }
+
+  const filePath = path.join(teamDir, ROSTER_CHANGES_FILE);
+  const existing = readJSON(filePath, null);
+  if (!changes.length && existing) return { changes, skipped: null };
+
+  const stamped = changes.map((change) => ({ date, season, ...change }));
+  writeJSON(filePath, {
+    team: team ?? existing?.team ?? null,
+    updated_at: date,
+    changes: stamped.concat(existing?.changes || []).slice(0, ROSTER_CHANGES_KEEP)
+  });
+  return { changes: stamped, skipped: null };
+}
+
+export function describeRosterChanges({ changes, skipped }) {
+  if (skipped) return [`roster moves: not recorded (${skipped})`];
+  const counts = TYPE_ORDER.map((type) => [type, changes.filter((change) => change.type === type).length]).filter(([, count]) => count);
+  return [`roster moves: ${counts.map(([type, count]) => `${type} ${count}`).join(', ') || 'none'}`];
+}
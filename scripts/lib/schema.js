@@ -0,0 +1,200 @@
+import fs from 'fs';
+import path from 'path';
+import { DATA_DIR } from './teams.js';
+
+/**
+ * Minimal JSON Schema (draft-07 subset) validator for the published datasets.
+ * Supports: type (incl. "integer" and type lists), enum, const, required,
+ * properties, additionalProperties, patternProperties, propertyNames, items,
+ * minItems, maxItems, uniqueItems, minimum, maximum, minLength, pattern,
+ * format "date-time" / "uri", anyOf, oneOf and "$ref" (local or sibling schema file).
+ *
+ * Errors are `{ path, message }` with JSONPath-style paths (`$[3].id`).
+ */
+
+export const SCHEMA_DIR = path.join(DATA_DIR, '.schema');
+
+// Every published file under a team's data dir, by path relative to that dir.
+export const DATASET_SCHEMAS = [
+  [/^team\/roster\.json$/, 'roster'],
+  [/^team\/roster_plus\.json$/, 'roster_plus'],
+  [/^team\/roster_meta\.json$/, 'roster_meta'],
+  [/^team\/depth_chart\.json$/, 'depth_chart'],
+  [/^team\/usage\.json$/, 'usage'],
+  [/^team\/roster_changes\.json$/, 'roster_changes'],
+  [/^team\/availability\.json$/, 'availability'],
+  [/^roster\.json$/, 'roster_legacy'],
+  [/^meta\.json$/, 'meta'],
+  [/^ticker\.json$/, 'ticker'],
+  [/^live\.json$/, 'live'],
+  [/^espn_map\.json$/, 'espn_map'],
+  [/^blacklist_names\.json$/, 'blacklist_names'],
+  [/^spotlight_(offense|defense)_(last|season)\.json$/, 'spotlight'],
+  [/^spotlight_featured\.json$/, 'spotlight_featured'],
+  [/^spotlight_history\.json$/, 'spotlight_history'],
+  [/^spotlight_trends\.json$/, 'spotlight_trends'],
+  [/^scouting_next\.json$/, 'scouting_next'],
+  [/^team_season\.json$/, 'team_season'],
+  [/^games\/index\.json$/, 'games_index'],
+  [/^games\/\d+\.json$/, 'game'],
+  [/^archive\/index\.json$/, 'archive_index'],
+  [/^archive\/\d{4}\/week-\d+\.json$/, 'archive_week']
+];
+
+// A finished season's datasets, copied to archive/<season>/ by
+// rollover_season.js, validate against the same schemas as the live ones.
+const ARCHIVED_DATASET = /^archive\/\d{4}\/(?!week-\d+\.json$)(?!archive\/)(.+)$/;
+
+export function schemaFor(relativePath) {
+  const normalized = relativePath.split(path.sep).join('/');
+  const dataset = normalized.match(ARCHIVED_DATASET)?.[1] || normalized;
+  return DATASET_SCHEMAS.find(([pattern]) => pattern.test(dataset))?.[1] || null;
+}
+
+const cache = new Map();
+
+export function loadSchema(name, dir = SCHEMA_DIR) {
+  const file = path.join(dir, name.endsWith('.json') ? name : `${name}.schema.json`);
+  if (!cache.has(file)) {
+    cache.set(file, JSON.parse(fs.readFileSync(file, 'utf8')));
+  }
+  return cache.get(file);
+}
+
+export function validate(schema, data) {
+  const errors = [];
+  check(schema, data, '$', schema, errors);
+  return errors;
+}
+
+export function formatErrors(file, errors, limit = 10) {
+  const lines = errors.slice(0, limit).map((error) => `${file}: ${error.path} ${error.message}`);
+  if (errors.length > limit) lines.push(`${file}: … ${errors.length - limit} more`);
+  return lines;
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+// "#/definitions/x" resolves in the current schema; "spotlight.schema.json#/definitions/row"
+// loads a sibling schema file. Returns [schema, root].
+function resolveRef(ref, root) {
+  const [file, pointer = ''] = ref.split('#');
+  const base = file ? loadSchema(file) : root;
+  const target = pointer
+    .split('/')
+    .filter(Boolean)
+    .reduce((node, key) => node?.[key], base);
+  if (target === undefined) throw new Error(`unresolved $ref ${ref}`);
+  return [target, base];
+}
+
+function childPath(base, key) {
+  return typeof key === 'number' ? `${base}[${key}]` : /^[A-Za-z_$][\w$]*$/.test(key) ? `${base}.${key}` : `${base}[${JSON.stringify(key)}]`;
+}
+
+function describe(value) {
+  const json = JSON.stringify(value);
+  return json && json.length > 40 ? `${json.slice(0, 37)}…` : json;
+}
+
+function check(schema, value, at, root, errors) {
+  if (schema === true || schema == null) return;
+  if (schema === false) {
+    errors.push({ path: at, message: 'is not allowed' });
+    return;
+  }
+  if (schema.$ref) {
+    const [target, targetRoot] = resolveRef(schema.$ref, root);
+    check(target, value, at, targetRoot, errors);
+    return;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      errors.push({ path: at, message: `must be ${types.join(' or ')} (got ${typeOf(value)})` });
+      return;
+    }
+  }
+  if (schema.enum && !schema.enum.some((option) => option === value)) {
+    errors.push({ path: at, message: `must be one of ${schema.enum.map(describe).join(', ')} (got ${describe(value)})` });
+  }
+  if ('const' in schema && schema.const !== value) {
+    errors.push({ path: at, message: `must equal ${describe(schema.const)} (got ${describe(value)})` });
+  }
+
+  if (schema.anyOf && !schema.anyOf.some((option) => validateAt(option, value, at, root).length === 0)) {
+    errors.push({ path: at, message: 'does not match any allowed shape' });
+  }
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter((option) => validateAt(option, value, at, root).length === 0).length;
+    if (matches !== 1) errors.push({ path: at, message: `must match exactly one allowed shape (matched ${matches})` });
+  }
+
+  const type = typeOf(value);
+  if (type === 'number' || type === 'integer') {
+    if (schema.minimum != null && value < schema.minimum) errors.push({ path: at, message: `must be >= ${schema.minimum} (got ${value})` });
+    if (schema.maximum != null && value > schema.maximum) errors.push({ path: at, message: `must be <= ${schema.maximum} (got ${value})` });
+  }
+  if (type === 'string') {
+    if (schema.minLength != null && value.length < schema.minLength) errors.push({ path: at, message: `must be at least ${schema.minLength} characters` });
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push({ path: at, message: `must match /${schema.pattern}/ (got ${describe(value)})` });
+    if (schema.format === 'date-time' && (!/^\d{4}-\d{2}-\d{2}T/.test(value) || Number.isNaN(Date.parse(value)))) {
+      errors.push({ path: at, message: `must be an ISO date-time (got ${describe(value)})` });
+    }
+    if (schema.format === 'uri' && !/^https?:\/\//.test(value)) errors.push({ path: at, message: `must be an http(s) URL (got ${describe(value)})` });
+  }
+  if (type === 'array') {
+    if (schema.minItems != null && value.length < schema.minItems) errors.push({ path: at, message: `must have at least ${schema.minItems} items (got ${value.length})` });
+    if (schema.maxItems != null && value.length > schema.maxItems) errors.push({ path: at, message: `must have at most ${schema.maxItems} items (got ${value.length})` });
+    if (schema.uniqueItems) {
+      const seen = new Set();
+      value.forEach((item, idx) => {
+        const key = JSON.stringify(item);
+        if (seen.has(key)) errors.push({ path: childPath(at, idx), message: 'duplicates an earlier item' });
+        seen.add(key);
+      });
+    }
+    if (schema.items) value.forEach((item, idx) => check(schema.items, item, childPath(at, idx), root, errors));
+  }
+  if (type === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push({ path: at, message: `is missing required property "${key}"` });
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const where = childPath(at, key);
+      if (schema.propertyNames) check(schema.propertyNames, key, `${where} (key)`, root, errors);
+      let matched = false;
+      if (schema.properties && key in schema.properties) {
+        matched = true;
+        check(schema.properties[key], child, where, root, errors);
+      }
+      for (const [pattern, sub] of Object.entries(schema.patternProperties || {})) {
+        if (new RegExp(pattern).test(key)) {
+          matched = true;
+          check(sub, child, where, root, errors);
+        }
+      }
+      if (!matched && schema.additionalProperties !== undefined) {
+        check(schema.additionalProperties, child, where, root, errors);
+      }
+    }
+  }
+}
+
+function validateAt(schema, value, at, root) {
+  const errors = [];
+  check(schema, value, at, root, errors);
+  return errors;
+}
@@ -0,0 +1,78 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Season calendar: which season the site is on and which phase it is in.
+ *
+ *   offseason  February 1 until fall camp (the finished season stays active)
+ *   fall_camp  August 1 until week 0
+ *   regular    week 0 (the Saturday nine days before Labor Day) through
+ *              conference championship Saturday (the first one in December)
+ *   bowl       the day after championship Saturday through January 31
+ *
+ * A season runs from its fall camp to the next fall camp, so builders keep
+ * publishing the finished season through the offseason and switch when camp
+ * opens. That is when scripts/rollover_season.js archives the old season.
+ * Dates are UTC; a few hours either side of midnight doesn't matter at
+ * these boundaries.
+ */
+export const PHASES = ['offseason', 'fall_camp', 'regular', 'bowl'];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function utc(year, month, day) {
+  return new Date(Date.UTC(year, month, day));
+}
+
+// First `weekday` (0 = Sunday) on or after the 1st of the month.
+function firstWeekday(year, month, weekday) {
+  const first = utc(year, month, 1);
+  return new Date(first.getTime() + ((weekday - first.getUTCDay() + 7) % 7) * DAY);
+}
+
+/** Phase boundaries for `season`; each date is the first day of that phase. */
+export function seasonCalendar(season) {
+  const laborDay = firstWeekday(season, 8, 1);
+  const championship = firstWeekday(season, 11, 6);
+  return {
+    season,
+    fall_camp: utc(season, 7, 1),
+    regular: new Date(laborDay.getTime() - 9 * DAY),
+    bowl: new Date(championship.getTime() + DAY),
+    offseason: utc(season + 1, 1, 1)
+  };
+}
+
+/** `{ season, phase }` on `date`. */
+export function seasonPhase(date = new Date()) {
+  const year = date.getUTCFullYear();
+  const season = date < seasonCalendar(year).fall_camp ? year - 1 : year;
+  const calendar = seasonCalendar(season);
+  let phase = 'offseason';
+  if (date < calendar.regular) phase = 'fall_camp';
+  else if (date < calendar.bowl) phase = 'regular';
+  else if (date < calendar.offseason) phase = 'bowl';
+  return { season, phase };
+}
+
+/** The season builders and validators default to when SEASON / YEAR is unset. */
+export function activeSeason(date = new Date()) {
+  return seasonPhase(date).season;
+}
+
+/**
+ * The season a team's published data is on: `meta.json`, else
+ * `team/roster_meta.json`. Validators check against this rather than the
+ * calendar, so a committed tree passes or fails the same way on any date.
+ */
+export function publishedSeason(dataDir) {
+  for (const file of ['meta.json', path.join('team', 'roster_meta.json')]) {
+    try {
+      const season = Number(JSON.parse(fs.readFileSync(path.join(dataDir, file), 'utf8')).season);
+      if (Number.isInteger(season)) return season;
+    } catch {
+      // Missing or unreadable: try the next manifest.
+    }
+  }
+  return null;
+}
@@ -13,19 +13,12 @@ export function writeJSON(filePath, data) {
   fs.writeFileSync(filePath, `${JSON.stringify(data, null, 2)}\n`);
 }
 
-export async function retry(fn, backoff = [200, 500, 900]) {
-  let lastError;
-  for (const baseDelay of backoff) {
-    try {
-      return await fn();
-    } catch (error) {
-      lastError = error;
-      const jitter = Math.random() * 150;
-      const waitFor = baseDelay + jitter;
-      await new Promise((resolve) => setTimeout(resolve, waitFor));
-    }
-  }
-  throw lastError;
+// A rebuild that only moved the timestamp isn't news: builders keep the
+// previous file so the scheduled workflows have nothing to commit.
+export function unchanged(previous, next, stamp = 'generated_at') {
+  if (!previous) return false;
+  const strip = ({ [stamp]: _stamp, ...rest }) => JSON.stringify(rest);
+  return strip(previous) === strip(next);
 }
 
 export function readJSON(filePath, fallback = null) {
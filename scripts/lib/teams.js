@@ -0,0 +1,64 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { readJSON } from './stability.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const ROOT = path.join(__dirname, '..', '..');
+export const DATA_DIR = path.join(ROOT, 'data');
+export const TEAMS_CONFIG_PATH = path.join(ROOT, 'config', 'teams.json');
+
+export function loadTeams(filePath = TEAMS_CONFIG_PATH) {
+  const config = readJSON(filePath, null);
+  if (!config || !Array.isArray(config.teams) || !config.teams.length) {
+    throw new Error(`teams config missing or empty: ${filePath}`);
+  }
+  const slugs = new Set();
+  for (const team of config.teams) {
+    if (!team.slug || !team.cfbdName || !Number.isFinite(Number(team.espnId))) {
+      throw new Error(`team entry needs slug, cfbdName and espnId: ${JSON.stringify(team)}`);
+    }
+    if (slugs.has(team.slug)) throw new Error(`duplicate team slug: ${team.slug}`);
+    slugs.add(team.slug);
+  }
+  if (!slugs.has(config.primary)) throw new Error(`primary team ${config.primary} not in teams list`);
+  return config.teams.map((team) => ({
+    ...team,
+    espnId: Number(team.espnId),
+    primary: team.slug === config.primary,
+  }));
+}
+
+export function primaryTeam(teams = loadTeams()) {
+  return teams.find((team) => team.primary);
+}
+
+/**
+ * Pick the team a builder runs for: TEAM_SLUG, then TEAM_ID (ESPN id), then
+ * TEAM (CFBD name or slug), else the primary team.
+ */
+export function resolveTeam(env = process.env, teams = loadTeams()) {
+  const lower = (value) => String(value || '').trim().toLowerCase();
+  let hit = null;
+  if (env.TEAM_SLUG) {
+    hit = teams.find((team) => team.slug === lower(env.TEAM_SLUG));
+    if (!hit) throw new Error(`unknown TEAM_SLUG: ${env.TEAM_SLUG}`);
+  } else if (env.TEAM_ID) {
+    hit = teams.find((team) => team.espnId === Number(env.TEAM_ID));
+    if (!hit) throw new Error(`unknown TEAM_ID: ${env.TEAM_ID}`);
+  } else if (env.TEAM) {
+    const want = lower(env.TEAM);
+    hit = teams.find((team) => lower(team.cfbdName) === want || team.slug === want || lower(team.name) === want);
+    if (!hit) throw new Error(`unknown TEAM: ${env.TEAM} (add it to config/teams.json)`);
+  }
+  return hit || primaryTeam(teams);
+}
+
+// The primary team publishes at the top of data/ (what the site reads);
+// every other followed team gets its own tree under data/teams/<slug>/.
+export function teamDataDir(team, dataDir = DATA_DIR) {
+  return team.primary ? dataDir : path.join(dataDir, 'teams', team.slug);
+}
+
+export function teamRosterDir(team, dataDir = DATA_DIR) {
+  return path.join(teamDataDir(team, dataDir), 'team');
+}
@@ -0,0 +1,121 @@
+import fs from 'fs';
+import path from 'path';
+import { sideForPosition } from './player.js';
+import { ROOT } from './teams.js';
+
+/**
+ * Player usage (volume) per game, shared by build_usage.js and the spotlight
+ * grader:
+ *
+ *   { snaps, pass_attempts, carries, targets, receptions, routes,
+ *     pass_rushes, defensive_plays, opportunities }
+ *
+ * Attempts, carries, receptions and defensive plays come from the box score;
+ * targets are counted from play-by-play text. No free feed publishes snaps,
+ * routes or pass-rush attempts: snaps come from config/snap_counts.json when
+ * someone has entered them, the other two stay null until a provider has them.
+ *
+ * `opportunities` is the volume every player has: snaps when known, else the
+ * touches and targets we can see (offense) or plays made (defense).
+ */
+export const USAGE_STATS = ['snaps', 'pass_attempts', 'carries', 'targets', 'receptions', 'routes', 'pass_rushes', 'defensive_plays', 'opportunities'];
+export const SNAP_COUNTS_PATH = path.join(ROOT, 'config', 'snap_counts.json');
+
+/**
+ * Hand-entered snap counts for `team`: `{ "<week>": { "Player Name": 62 } }`
+ * from `{ "<slug>": { ... } }`; postseason games are keyed `post-<week>`.
+ */
+export function loadSnapCounts(team, file = SNAP_COUNTS_PATH) {
+  let all = {};
+  try {
+    all = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw new Error(`${path.basename(file)}: ${error.message}`);
+  }
+  return all?.[team?.slug] || {};
+}
+
+/** A game's key in the snap counts (gameFields shape). */
+export function snapKey(game) {
+  return game.seasonType === 'postseason' ? `post-${game.week}` : String(game.week);
+}
+
+const n = (value) => (Number.isFinite(Number(value)) ? Number(value) : 0);
+const known = (value) => value != null && Number.isFinite(Number(value));
+
+// The box score has no position for some rows; fall back on what they did.
+export function rowSide(row) {
+  const side = sideForPosition(row.pos);
+  if (side === 'offense' || side === 'defense') return side;
+  if (side === 'special') return null;
+  return n(row.tackles) || n(row.sacks) || n(row.interceptionsDef) ? 'defense' : 'offense';
+}
+
+/** Usage for one box-score row (lib/cfbd.js shape); `extra` carries targets/snaps. */
+export function usageFromRow(row, side, { targets = null, snaps = null } = {}) {
+  const usage = {
+    snaps: known(snaps) ? Number(snaps) : null,
+    pass_attempts: n(row.passAttempts),
+    carries: n(row.rushingAttempts),
+    targets: known(targets) ? Number(targets) : null,
+    receptions: n(row.receptions),
+    routes: null,
+    pass_rushes: null,
+    defensive_plays: n(row.tackles) + n(row.passesDefended) + n(row.interceptionsDef)
+  };
+  usage.opportunities = opportunitiesOf(side, usage);
+  return usage;
+}
+
+export function opportunitiesOf(side, usage) {
+  if (known(usage.snaps)) return Number(usage.snaps);
+  if (side === 'defense') return n(usage.defensive_plays);
+  if (side !== 'offense') return null;
+  const targets = known(usage.targets) ? Number(usage.targets) : n(usage.receptions);
+  return n(usage.pass_attempts) + n(usage.carries) + targets;
+}
+
+/** Season totals; a stat stays null when no game reported it. */
+export function sumUsage(games) {
+  const total = { games: games.length };
+  for (const key of USAGE_STATS) {
+    const values = games.map((game) => game[key]).filter(known);
+    total[key] = values.length ? values.reduce((sum, value) => sum + Number(value), 0) : null;
+  }
+  return total;
+}
+
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Per-snap and per-opportunity rates for a graded row: grade score, plus
+ * yards (offense) or plays made (defense). Rates are null without the volume.
+ */
+export function usageRates(row, side, score) {
+  const volume = side === 'offense'
+    ? { yards: n(row.passingYards) + n(row.rushingYards) + n(row.receivingYards) }
+    : { plays: n(row.tackles) + n(row.passesDefended) + n(row.interceptionsDef) };
+  const per = (count) => {
+    if (!known(count) || Number(count) <= 0) return null;
+    const rates = { score: round(score / count, 3) };
+    for (const [key, value] of Object.entries(volume)) rates[key] = round(value / count, 2);
+    return rates;
+  };
+  return { per_snap: per(row.snaps), per_opportunity: per(row.opportunities) };
+}
+
+// "Cutter Boley pass complete to Dane Key for 12 yds", "... pass incomplete to Dane Key"
+const TARGET_TEXT = /pass (?:complete|incomplete) to ([A-Z][\w.'-]*(?: [A-Z][\w.'-]*)*)/;
+
+/** Map of receiver name (as written in the play text) -> targets, for `team`'s offense. */
+export function targetsFromPlays(plays, team) {
+  const targets = new Map();
+  for (const play of plays || []) {
+    if (play.offense !== team) continue;
+    const match = String(play.play_text ?? play.playText ?? '').match(TARGET_TEXT);
+    if (!match) continue;
+    const name = match[1].trim();
+    targets.set(name, (targets.get(name) || 0) + 1);
+  }
+  return targets;
+}
@@ -1,12 +1,12 @@
 #!/usr/bin/env node
 import path from 'path';
-import { fileURLToPath } from 'url';
 import { writeJSON, readJSON } from './lib/stability.js';
+import { resolveTeam, teamDataDir } from './lib/teams.js';
+import { slugify } from './lib/player.js';
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const ROOT = path.join(__dirname, '..');
-const ROSTER_PATH = path.join(ROOT, 'data', 'team', 'roster.json');
-const MAP_PATH = path.join(ROOT, 'data', 'espn_map.json');
+const TEAM = resolveTeam();
+const ROSTER_PATH = path.join(teamDataDir(TEAM), 'team', 'roster.json');
+const MAP_PATH = path.join(teamDataDir(TEAM), 'espn_map.json');
 
 function main() {
   const roster = readJSON(ROSTER_PATH, []);
@@ -28,11 +28,4 @@ function main() {
   console.log(`✅ rebuilt espn_map.json with ${Object.keys(map).length} entries`);
 }
 
-function slugify(value) {
-  return value
-    .toLowerCase()
-    .replace(/[^a-z0-9]+/g, '-')
-    .replace(/^-+|-+$/g, '');
-}
-
 main();
@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+/**
+ * Render builder run reports (lib/report.js) as Markdown, e.g. for the
+ * Actions job summary:
+ *
+ *   node scripts/render_run_report.js >> "$GITHUB_STEP_SUMMARY"
+ *   node scripts/render_run_report.js --latest
+ *   node scripts/render_run_report.js artifacts/status/run-2025-10-18T23-30-04-123Z.json
+ *
+ * With no file arguments it renders every report in artifacts/status, oldest first.
+ */
+import fs from 'fs';
+import path from 'path';
+import { readJSON } from './lib/stability.js';
+import { STATUS_DIR } from './lib/report.js';
+
+const argv = process.argv.slice(2);
+const latestOnly = argv.includes('--latest');
+const files = argv.filter((arg) => !arg.startsWith('--'));
+
+function reportFiles() {
+  if (files.length) return files;
+  const all = fs.existsSync(STATUS_DIR)
+    ? fs.readdirSync(STATUS_DIR).filter((file) => /^run-.*\.json$/.test(file)).sort().map((file) => path.join(STATUS_DIR, file))
+    : [];
+  return latestOnly ? all.slice(-1) : all;
+}
+
+function cell(value) {
+  return String(value ?? '—').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+function seconds(ms) {
+  return ms == null ? '?' : `${(ms / 1000).toFixed(1)} s`;
+}
+
+function host(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return url;
+  }
+}
+
+function renderHttp(calls) {
+  if (!calls.length) return ['No HTTP calls.'];
+  const byHost = new Map();
+  for (const call of calls) {
+    const key = host(call.url);
+    const entry = byHost.get(key) || { calls: 0, retries: 0, revalidated: 0, statuses: new Map(), ms: 0 };
+    entry.calls += 1;
+    if (call.attempt > 1) entry.retries += 1;
+    if (call.cache === 'revalidated') entry.revalidated += 1;
+    const status = call.status ?? 'network error';
+    entry.statuses.set(status, (entry.statuses.get(status) || 0) + 1);
+    entry.ms += call.ms || 0;
+    byHost.set(key, entry);
+  }
+  const lines = ['| Host | Calls | Retries | Cached (304) | Statuses | Time |', '| --- | ---: | ---: | ---: | --- | ---: |'];
+  for (const [name, entry] of byHost) {
+    const statuses = [...entry.statuses].map(([status, count]) => `${status} ×${count}`).join(', ');
+    lines.push(`| ${cell(name)} | ${entry.calls} | ${entry.retries} | ${entry.revalidated} | ${cell(statuses)} | ${seconds(entry.ms)} |`);
+  }
+  const failed = calls.filter((call) => call.status == null || call.status >= 400);
+  if (failed.length) {
+    lines.push('', '<details><summary>Failed calls</summary>', '');
+    for (const call of failed.slice(0, 20)) {
+      lines.push(`- \`${call.method} ${call.url}\` → ${call.status ?? call.error} (attempt ${call.attempt})`);
+    }
+    if (failed.length > 20) lines.push(`- … ${failed.length - 20} more`);
+    lines.push('', '</details>');
+  }
+  return lines;
+}
+
+export function renderReport(report) {
+  const icon = report.ok ? '✅' : '❌';
+  const lines = [`### ${icon} ${report.builder}${report.team ? ` · ${report.team}` : ''}${report.season ? ` ${report.season}` : ''}`, ''];
+  lines.push(`Started ${report.started_at}, took ${seconds(report.duration_ms)}${report.exit_code ? `, exit code ${report.exit_code}` : ''}.`);
+  if (report.error) lines.push('', `**Error:** ${cell(report.error)}`);
+
+  const datasets = Object.entries(report.datasets || {});
+  if (datasets.length) {
+    lines.push('', '| Dataset | Provider | Rows | Status | Notes |', '| --- | --- | ---: | --- | --- |');
+    for (const [name, info] of datasets) {
+      lines.push(`| ${cell(name)} | ${cell(info.provider)} | ${cell(info.rows)} | ${cell(info.status)} | ${cell(info.note ?? '')} |`);
+    }
+  }
+
+  if (report.fallbacks?.length) {
+    lines.push('', '**Fallbacks**', '');
+    for (const fallback of report.fallbacks) lines.push(`- ${fallback.dataset}: ${fallback.message}`);
+  }
+
+  if (report.validation) {
+    const { ok, problems } = report.validation;
+    lines.push('', `**Validation:** ${ok ? 'passed' : `failed (${problems.length} problem${problems.length === 1 ? '' : 's'})`}`);
+    for (const problem of problems.slice(0, 10)) lines.push(`- \`${problem}\``);
+  }
+
+  lines.push('', ...renderHttp(report.http || []), '');
+  return lines.join('\n');
+}
+
+function main() {
+  const paths = reportFiles();
+  if (!paths.length) {
+    console.log('_No run reports found._');
+    return;
+  }
+  const sections = [];
+  for (const file of paths) {
+    const report = readJSON(file, null);
+    if (!report) {
+      console.error(`⚠️  unreadable run report: ${file}`);
+      continue;
+    }
+    sections.push(renderReport(report));
+  }
+  console.log(['## Data build', '', ...sections].join('\n'));
+}
+
+main();
@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+/**
+ * Restore a published spotlight snapshot (see lib/publish.js).
+ *
+ *   node scripts/rollback_spotlight.js             list snapshots, newest first
+ *   node scripts/rollback_spotlight.js <timestamp> restore that snapshot
+ *   node scripts/rollback_spotlight.js previous    restore the one before the newest
+ *
+ * Timestamps are snapshot ids (2025-10-18T23-30-04Z) or any ISO time that
+ * names the same second (2025-10-18T23:30:04Z).
+ *
+ * Env: TEAM_SLUG / TEAM (default: primary team)
+ */
+import { resolveTeam, teamDataDir } from './lib/teams.js';
+import { SPOTLIGHT_OWNED, listSnapshots, restoreSnapshot, snapshotId } from './lib/publish.js';
+
+const TEAM = resolveTeam();
+const DATA_DIR = teamDataDir(TEAM);
+
+function toSnapshotId(value) {
+  if (/^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}Z$/.test(value)) return value;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : snapshotId(date);
+}
+
+async function main() {
+  const [target] = process.argv.slice(2);
+  const snapshots = await listSnapshots(TEAM);
+
+  if (!target) {
+    if (!snapshots.length) {
+      console.log(`ℹ️  no spotlight snapshots for ${TEAM.slug} yet`);
+      return;
+    }
+    for (const snapshot of snapshots) {
+      console.log(`${snapshot.id}  ${snapshot.files.length} files`);
+    }
+    return;
+  }
+
+  const id = target === 'previous' ? snapshots[1]?.id : toSnapshotId(target);
+  if (!id) {
+    console.error(`❌ ${target === 'previous' ? 'no earlier snapshot to restore' : `not a snapshot timestamp: ${target}`}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const files = await restoreSnapshot(TEAM, DATA_DIR, id, SPOTLIGHT_OWNED);
+  console.log(`✅ restored ${TEAM.slug} spotlight snapshot ${id} (${files.length} files)`);
+}
+
+main().catch((error) => {
+  console.error(`❌ rollback failed: ${error.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+/**
+ * Season rollover: archive the finished season and seed the next one.
+ * - Copies every published dataset to archive/<season>/ (same relative paths,
+ *   next to that season's spotlight weeks) so the finished season stays
+ *   browsable and validates against the same schemas
+ * - Removes the season's results from the top level (spotlight lists, trends,
+ *   ticker, team dashboard, scouting, depth chart, usage, availability, game
+ *   charts) so nothing from last season reads as current; the builders
+ *   publish fresh ones once games start
+ * - Carries the roster forward as the new season's starting point: meta.json
+ *   and team/roster_meta.json are restamped, the latter with `seeded_from` and
+ *   as a last-good reuse, until a roster build replaces it
+ * - Leaves espn_map.json, blacklist_names.json, live.json and
+ *   team/roster_changes.json (a rolling feed; entries carry their season) alone
+ * - Does nothing for a team already on the target season, so it is safe to
+ *   rerun; the weekly archive index is untouched (it lists every season)
+ *
+ * Usage: node scripts/rollover_season.js
+ * Env: TEAM_SLUG / TEAM (default: every team with published data), SEASON
+ *      (season to seed; default: the active season from lib/season.js),
+ *      DRY_RUN=true (print the plan, change nothing)
+ */
+import fs from 'fs';
+import path from 'path';
+import { DRY, readJSON, writeJSON } from './lib/stability.js';
+import { loadTeams, resolveTeam, teamDataDir } from './lib/teams.js';
+import { activeSeason, seasonPhase } from './lib/season.js';
+import { schemaFor } from './lib/schema.js';
+
+const TARGET_SEASON = Number(process.env.SEASON || activeSeason());
+
+// Kept at the top level through the rollover.
+const CARRIED = new Set(['meta.json', 'team/roster.json', 'team/roster_meta.json', 'team/roster_plus.json']);
+// Not tied to a season: neither archived nor cleared.
+const PERSISTENT = new Set(['espn_map.json', 'blacklist_names.json', 'live.json', 'team/roster_changes.json']);
+
+function main() {
+  if (!Number.isInteger(TARGET_SEASON)) fail(`SEASON must be a year (got ${process.env.SEASON})`);
+  const { season, phase } = seasonPhase();
+  console.log(`ℹ️  calendar: ${season} season, ${phase.replace('_', ' ')}; seeding ${TARGET_SEASON}`);
+
+  const teams = process.env.TEAM_SLUG || process.env.TEAM ? [resolveTeam()] : loadTeams();
+  for (const team of teams) rollover(team);
+}
+
+function rollover(team) {
+  const dataDir = teamDataDir(team);
+  const meta = readJSON(path.join(dataDir, 'meta.json'), null);
+  const rosterMeta = readJSON(path.join(dataDir, 'team', 'roster_meta.json'), null);
+  const published = Number(meta?.season ?? rosterMeta?.season);
+  if (!Number.isInteger(published)) {
+    // Followed teams publish nothing until their first build.
+    if (team.primary) console.log(`ℹ️  [${team.slug}] no published season; nothing to roll over`);
+    return;
+  }
+  if (published >= TARGET_SEASON) {
+    console.log(`ℹ️  [${team.slug}] already on ${published}; nothing to roll over`);
+    return;
+  }
+
+  const archiveDir = path.join(dataDir, 'archive', String(published));
+  const files = seasonFiles(dataDir, team.primary ? ['teams'] : []);
+  for (const relative of files) {
+    copy(path.join(dataDir, relative), path.join(archiveDir, relative));
+  }
+  const cleared = files.filter((relative) => !CARRIED.has(relative));
+  for (const relative of cleared) remove(path.join(dataDir, relative));
+
+  const now = new Date().toISOString();
+  const roster = readJSON(path.join(dataDir, 'team', 'roster.json'), []);
+  if (meta) {
+    writeJSON(path.join(dataDir, 'meta.json'), {
+      ...meta,
+      mode: 'cache',
+      season: TARGET_SEASON,
+      rosterCount: Array.isArray(roster) ? roster.length : 0,
+      generated_at: now
+    });
+  }
+  if (rosterMeta) {
+    writeJSON(path.join(dataDir, 'team', 'roster_meta.json'), {
+      ...rosterMeta,
+      season: TARGET_SEASON,
+      source: 'cache',
+      provider: 'cache',
+      providers: [],
+      lastGoodReuse: true,
+      seeded_from: published,
+      generated_at: now
+    });
+  }
+
+  console.log(`✅ [${team.slug}] archived ${files.length} file(s) to ${path.relative(dataDir, archiveDir)}/, cleared ${cleared.length}, seeded ${TARGET_SEASON}`);
+}
+
+// Published datasets (anything with a schema) outside the archive.
+function seasonFiles(dataDir, skipDirs, prefix = '') {
+  const out = [];
+  const dir = path.join(dataDir, prefix);
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.name.startsWith('.')) continue;
+    const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      if (!prefix && (entry.name === 'archive' || skipDirs.includes(entry.name))) continue;
+      out.push(...seasonFiles(dataDir, skipDirs, relative));
+    } else if (schemaFor(relative) && !PERSISTENT.has(relative)) {
+      out.push(relative);
+    }
+  }
+  return out.sort();
+}
+
+function copy(from, to) {
+  if (DRY) {
+    console.log(`DRY: ${from} -> ${to}`);
+    return;
+  }
+  fs.mkdirSync(path.dirname(to), { recursive: true });
+  fs.copyFileSync(from, to);
+}
+
+function remove(filePath) {
+  if (DRY) {
+    console.log(`DRY: remove ${filePath}`);
+    return;
+  }
+  fs.rmSync(filePath, { force: true });
+}
+
+function fail(message) {
+  console.error(`❌ ${message}`);
+  process.exit(1);
+}
+
+main();
@@ -1,3 +1,6 @@
+import { createAvatar } from "./avatar.js";
+import { createAvailabilityChip, isOut, loadAvailability } from "./availability.js";
+
 const dom = {
   season: document.querySelector('[data-meta-season]'),
   roster: document.querySelector('[data-meta-roster]'),
@@ -8,14 +11,43 @@ const dom = {
   featuredGrid: document.querySelector('[data-featured-grid]'),
   featuredEmpty: document.querySelector('[data-featured-empty]'),
   featuredSource: document.querySelector('[data-featured-source]'),
+  scouting: document.querySelector('[data-scouting]'),
+  scoutingEmpty: document.querySelector('[data-scouting-empty]'),
+  scoutingUpdated: document.querySelector('[data-scouting-updated]'),
+  dashboard: document.querySelector('[data-dashboard]'),
+  dashboardEmpty: document.querySelector('[data-dashboard-empty]'),
+  dashboardScope: document.querySelector('[data-dashboard-scope]'),
+  depth: document.querySelector('[data-depth]'),
+  depthEmpty: document.querySelector('[data-depth-empty]'),
+  depthUpdated: document.querySelector('[data-depth-updated]'),
+  rosterList: document.querySelector('[data-roster]'),
+  rosterEmpty: document.querySelector('[data-roster-empty]'),
+  rosterControls: document.querySelector('[data-roster-controls]'),
+  rosterToolbar: document.querySelector('[data-roster-toolbar]'),
+  rosterSort: document.querySelector('[data-roster-sort]'),
+  rosterCount: document.querySelector('[data-roster-count]'),
+  moves: document.querySelector('[data-moves]'),
+  movesEmpty: document.querySelector('[data-moves-empty]'),
+  movesUpdated: document.querySelector('[data-moves-updated]'),
   footerYear: document.querySelector('[data-year]'),
   footerUpdated: document.querySelector('[data-footer-updated]'),
 };
 
 const state = {
   meta: null,
+  live: false,
+  liveTimer: null,
+  livePolling: false,
+  teamSeason: null,
+  dashboardScope: "fbs",
+  roster: [],
+  rosterSort: { key: "name", dir: 1 },
+  availability: new Map(),
 };
 
+// Fallback interval when live.json doesn't say; the builder sets poll_seconds.
+const LIVE_POLL_SECONDS = 30;
+
 function setText(el, value) {
   if (!el) return;
   el.textContent = value;
@@ -102,16 +134,6 @@ function createTickerCard(item) {
   return card;
 }
 
-function initialsFromName(name = "") {
-  return name
-    .split(/\s+/)
-    .filter(Boolean)
-    .map((part) => part[0])
-    .join("")
-    .slice(0, 2)
-    .toUpperCase();
-}
-
 function gradeFromEntry(entry) {
   const letter =
     entry?.grade_letter ??
@@ -133,27 +155,22 @@ function gradeFromEntry(entry) {
   };
 }
 
+function availabilityOf(player) {
+  return player?.id != null ? state.availability.get(String(player.id)) || null : null;
+}
+
 function createFeaturedCard(entry) {
   const href = entry?.espn || entry?.link || null;
   const container = document.createElement(href ? "a" : "article");
   container.className = "featured-card";
+  if (entry?.id != null) container.dataset.playerId = String(entry.id);
   if (href) {
     container.href = href;
     container.target = "_blank";
     container.rel = "noopener";
   }
 
-  const avatar = document.createElement("div");
-  avatar.className = "featured-card__avatar";
-  if (entry?.headshot) {
-    const img = document.createElement("img");
-    img.src = entry.headshot;
-    img.alt = entry?.name || "Player headshot";
-    img.loading = "lazy";
-    avatar.append(img);
-  } else {
-    avatar.textContent = initialsFromName(entry?.name || "");
-  }
+  const avatar = createAvatar(entry, { className: "featured-card__avatar" });
 
   const meta = document.createElement("div");
   meta.className = "featured-card__meta";
@@ -168,6 +185,8 @@ function createFeaturedCard(entry) {
     pos.textContent = entry.pos || entry.position;
     name.append(pos);
   }
+  const chip = createAvailabilityChip(availabilityOf(entry), { className: "featured-card__status" });
+  if (chip) name.append(chip);
 
   const statline = document.createElement("p");
   statline.className = "featured-card__statline";
@@ -226,13 +245,16 @@ async function hydrateTicker() {
 }
 
 async function hydrateFeatured() {
-  const payload = await fetchJson("/data/spotlight_featured.json");
+  const [payload, availability] = await Promise.all([fetchJson("/data/spotlight_featured.json"), loadAvailability()]);
+  state.availability = availability;
   let list = [];
   if (Array.isArray(payload)) {
     list = payload.filter(Boolean);
   } else if (payload && typeof payload === "object") {
     list = [payload];
   }
+  // The spotlight build skips "out" players, but availability can change after it.
+  list = list.filter((entry) => !isOut(availabilityOf(entry)));
 
   if (dom.featuredGrid) {
     dom.featuredGrid.innerHTML = "";
@@ -251,6 +273,613 @@ async function hydrateFeatured() {
   }
 }
 
+function formatKickoff(iso) {
+  if (!iso) return null;
+  const date = new Date(iso);
+  if (Number.isNaN(date.getTime())) return null;
+  return date.toLocaleString(undefined, {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+  });
+}
+
+function createThreatList(title, threats) {
+  const wrap = document.createElement("div");
+
+  const heading = document.createElement("h3");
+  heading.className = "scouting__side-title";
+  heading.textContent = title;
+
+  const list = document.createElement("ol");
+  list.className = "scouting__list";
+  threats.forEach((threat) => {
+    const item = document.createElement("li");
+    item.className = "scouting__threat";
+
+    const name = document.createElement("span");
+    name.className = "scouting__threat-name";
+    name.textContent = threat?.name || "Unnamed";
+    if (threat?.pos) {
+      const pos = document.createElement("span");
+      pos.className = "scouting__threat-pos";
+      pos.textContent = threat.pos;
+      name.append(pos);
+    }
+
+    const grade = document.createElement("span");
+    grade.className = "scouting__threat-grade";
+    const info = gradeFromEntry(threat);
+    grade.textContent = info.letter || (info.pct != null ? `${info.pct}%` : "—");
+    if (threat?.group) grade.title = `${threat.group} percentile ${info.pct ?? "—"}%`;
+
+    item.append(name, grade);
+    if (threat?.statline) {
+      const stat = document.createElement("span");
+      stat.className = "scouting__threat-stat";
+      stat.textContent = threat.statline;
+      item.append(stat);
+    }
+    list.append(item);
+  });
+
+  wrap.append(heading, list);
+  return wrap;
+}
+
+function createScoutingReport(report) {
+  const frag = document.createDocumentFragment();
+
+  const matchup = document.createElement("div");
+  matchup.className = "scouting__matchup";
+
+  const opponent = document.createElement("p");
+  opponent.className = "scouting__opponent";
+  const prefix = report.game.site === "away" ? "at" : "vs";
+  opponent.textContent = `${prefix} ${report.opponent?.name || "TBD"}`;
+
+  const when = document.createElement("span");
+  when.className = "scouting__when";
+  when.textContent = [
+    report.game.week ? `Week ${report.game.week}` : null,
+    formatKickoff(report.game.start_date),
+    report.game.venue,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+
+  matchup.append(opponent, when);
+  frag.append(matchup);
+
+  const tendencies = Array.isArray(report.tendencies) ? report.tendencies : [];
+  if (tendencies.length) {
+    const list = document.createElement("dl");
+    list.className = "scouting__tendencies";
+    tendencies.forEach((item) => {
+      const cell = document.createElement("div");
+      cell.className = "scouting__tendency";
+      const label = document.createElement("dt");
+      label.textContent = item.label;
+      const value = document.createElement("dd");
+      value.textContent = item.value ?? "—";
+      cell.append(label, value);
+      list.append(cell);
+    });
+    frag.append(list);
+  }
+
+  const offense = report.threats?.offense || [];
+  const defense = report.threats?.defense || [];
+  if (offense.length || defense.length) {
+    const threats = document.createElement("div");
+    threats.className = "scouting__threats";
+    if (offense.length) threats.append(createThreatList("Offensive threats", offense));
+    if (defense.length) threats.append(createThreatList("Defensive threats", defense));
+    frag.append(threats);
+  }
+
+  return frag;
+}
+
+async function hydrateScouting() {
+  const report = await fetchJson("/data/scouting_next.json");
+  const hasReport = Boolean(report?.game);
+
+  if (dom.scouting) {
+    dom.scouting.innerHTML = "";
+    if (hasReport) {
+      const accent = report.opponent?.colors?.primary;
+      if (accent) dom.scouting.style.setProperty("--scouting-accent", accent);
+      dom.scouting.append(createScoutingReport(report));
+    }
+  }
+
+  show(dom.scouting, hasReport);
+  show(dom.scoutingEmpty, !hasReport);
+  if (dom.scoutingEmpty && report?.note) setText(dom.scoutingEmpty, report.note);
+  if (dom.scoutingUpdated && report?.generated_at) {
+    setText(dom.scoutingUpdated, `Scouted ${relativeTime(report.generated_at)}`);
+  }
+}
+
+function ordinal(n) {
+  const tail = n % 100;
+  if (tail >= 11 && tail <= 13) return `${n}th`;
+  return `${n}${["th", "st", "nd", "rd"][n % 10] || "th"}`;
+}
+
+// Top third of the pool is good, bottom third bad.
+function rankTier(rank, of) {
+  if (!rank || !of) return null;
+  const share = (rank - 1) / of;
+  if (share < 1 / 3) return "good";
+  if (share >= 2 / 3) return "bad";
+  return "warn";
+}
+
+function createDashboardMetric(metric, scope, poolLabel) {
+  const item = document.createElement("li");
+  item.className = "dashboard__metric";
+
+  const label = document.createElement("span");
+  label.className = "dashboard__label";
+  label.textContent = metric.label;
+
+  const value = document.createElement("span");
+  value.className = "dashboard__value";
+  value.textContent = metric.display;
+
+  const rank = metric.rank?.[scope] ?? null;
+  const of = metric.of?.[scope] ?? 0;
+  const bar = document.createElement("div");
+  bar.className = "dashboard__bar";
+  const fill = document.createElement("span");
+  // Full bar for 1st, empty for last.
+  fill.style.width = rank && of ? `${Math.round(((of - rank + 1) / of) * 100)}%` : "0%";
+  bar.append(fill);
+  const tier = rankTier(rank, of);
+  if (tier) bar.dataset.tier = tier;
+
+  const caption = document.createElement("span");
+  caption.className = "dashboard__rank";
+  caption.textContent = rank ? `${ordinal(rank)} of ${of} ${poolLabel}` : "Not ranked";
+
+  item.append(label, value, bar, caption);
+  return item;
+}
+
+function renderDashboard() {
+  const season = state.teamSeason;
+  if (!dom.dashboard || !season) return;
+  const scope = state.dashboardScope;
+  const poolLabel = scope === "fbs" ? "FBS" : season.conference || "conference";
+  dom.dashboard.innerHTML = "";
+  season.groups.forEach((group) => {
+    const wrap = document.createElement("div");
+    const heading = document.createElement("h3");
+    heading.className = "dashboard__group-title";
+    heading.textContent = group.label;
+    const list = document.createElement("ul");
+    list.className = "dashboard__list";
+    group.metrics.forEach((metric) => list.append(createDashboardMetric(metric, scope, poolLabel)));
+    wrap.append(heading, list);
+    dom.dashboard.append(wrap);
+  });
+  dom.dashboardScope?.querySelectorAll("[data-scope]").forEach((button) => {
+    button.setAttribute("aria-pressed", String(button.dataset.scope === scope));
+  });
+}
+
+async function hydrateDashboard() {
+  const season = await fetchJson("/data/team_season.json");
+  const hasData = Array.isArray(season?.groups) && season.groups.length > 0;
+  state.teamSeason = hasData ? season : null;
+
+  if (hasData && dom.dashboardScope) {
+    const conference = dom.dashboardScope.querySelector('[data-scope="conference"]');
+    if (conference && season.conference) conference.textContent = season.conference;
+    dom.dashboardScope.onclick = (event) => {
+      const scope = event.target.closest("[data-scope]")?.dataset.scope;
+      if (!scope || scope === state.dashboardScope) return;
+      state.dashboardScope = scope;
+      renderDashboard();
+    };
+  }
+
+  renderDashboard();
+  show(dom.dashboard, hasData);
+  show(dom.dashboardScope, hasData);
+  show(dom.dashboardEmpty, !hasData);
+}
+
+// Slots drawn per unit, front row first; each pos takes that position's
+// starters in depth order.
+const DEPTH_FORMATION = {
+  offense: [["WR", "TE", "WR"], ["OL", "OL", "OL", "OL", "OL"], ["WR", "QB"], ["RB"]],
+  defense: [["DL", "DL", "DL", "DL"], ["LB", "LB"], ["DB", "DB", "DB"], ["DB", "DB"]],
+  special_teams: [["PK", "P", "LS"]],
+};
+
+const DEPTH_UNIT_TITLES = {
+  offense: "Offense",
+  defense: "Defense",
+  special_teams: "Special teams",
+};
+
+function shortName(name = "") {
+  const parts = name.split(/\s+/).filter(Boolean);
+  if (parts.length < 2) return name;
+  return `${parts[0][0]}. ${parts.slice(1).join(" ")}`;
+}
+
+function createDepthSlot(pos, player, backups) {
+  const slot = document.createElement("div");
+  slot.className = "depth__slot";
+
+  const label = document.createElement("span");
+  label.className = "depth__pos";
+  label.textContent = pos;
+
+  const name = document.createElement("span");
+  name.className = "depth__name";
+  slot.append(label, name);
+
+  if (!player) {
+    slot.classList.add("depth__slot--empty");
+    name.textContent = "TBD";
+    return slot;
+  }
+
+  name.textContent = shortName(player.name);
+  slot.title = [player.name, backups.length ? `Behind: ${backups.map((p) => p.name).join(", ")}` : null]
+    .filter(Boolean)
+    .join("\n");
+  if (player.number != null) {
+    const number = document.createElement("span");
+    number.className = "depth__number";
+    number.textContent = `#${player.number}`;
+    slot.append(number);
+  }
+  return slot;
+}
+
+function createDepthUnit(unit, positions) {
+  const wrap = document.createElement("div");
+
+  const heading = document.createElement("h3");
+  heading.className = "depth__unit-title";
+  heading.textContent = DEPTH_UNIT_TITLES[unit];
+
+  const byPos = new Map(positions.map((position) => [position.pos, position.players || []]));
+  const taken = new Map();
+  const field = document.createElement("div");
+  field.className = "depth__field";
+  DEPTH_FORMATION[unit].forEach((slots) => {
+    const row = document.createElement("div");
+    row.className = "depth__row";
+    slots.forEach((pos) => {
+      const index = taken.get(pos) || 0;
+      taken.set(pos, index + 1);
+      const players = byPos.get(pos) || [];
+      const starter = players.filter((p) => p.starter)[index] || null;
+      row.append(createDepthSlot(pos, starter, players.filter((p) => !p.starter)));
+    });
+    field.append(row);
+  });
+
+  wrap.append(heading, field);
+
+  const backups = positions
+    .map((position) => ({ pos: position.pos, names: (position.players || []).filter((p) => !p.starter).map((p) => shortName(p.name)) }))
+    .filter((entry) => entry.names.length);
+  if (backups.length) {
+    const line = document.createElement("p");
+    line.className = "depth__backups";
+    backups.forEach((entry, i) => {
+      if (i) line.append(" · ");
+      const pos = document.createElement("strong");
+      pos.textContent = entry.pos;
+      line.append(pos, ` ${entry.names.join(", ")}`);
+    });
+    wrap.append(line);
+  }
+  return wrap;
+}
+
+async function hydrateDepthChart() {
+  const chart = await fetchJson("/data/team/depth_chart.json");
+  const units = Object.keys(DEPTH_FORMATION).filter((unit) =>
+    (chart?.[unit] || []).some((position) => position.players?.length)
+  );
+  const hasChart = units.length > 0;
+
+  if (dom.depth) {
+    dom.depth.innerHTML = "";
+    units.forEach((unit) => dom.depth.append(createDepthUnit(unit, chart[unit])));
+  }
+
+  show(dom.depth, hasChart);
+  show(dom.depthEmpty, !hasChart);
+  if (dom.depthUpdated && chart?.generated_at) {
+    const basis = chart.through_week ? `Through week ${chart.through_week}` : "Updated";
+    setText(dom.depthUpdated, `${basis} · ${relativeTime(chart.generated_at)}`);
+  }
+}
+
+// Roster browser position groups, in display order; positions not listed
+// here are their own group.
+const ROSTER_GROUPS = ["QB", "RB", "WR", "TE", "OL", "DL", "LB", "DB", "ST"];
+const ROSTER_GROUP_ALIASES = {
+  HB: "RB", TB: "RB", FB: "RB",
+  SB: "WR",
+  OT: "OL", OG: "OL", T: "OL", G: "OL", C: "OL", IOL: "OL",
+  DE: "DL", DT: "DL", NT: "DL", EDGE: "DL",
+  ILB: "LB", OLB: "LB", MLB: "LB",
+  CB: "DB", S: "DB", FS: "DB", SS: "DB", NB: "DB",
+  PK: "ST", K: "ST", P: "ST", LS: "ST", KR: "ST", PR: "ST",
+};
+// Same split as scripts/lib/player.js, for rows written before `side` existed.
+const OFFENSE_POSITIONS = new Set(["QB", "RB", "HB", "TB", "FB", "WR", "SB", "TE", "OL", "OT", "OG", "G", "T", "C", "IOL"]);
+
+function rosterGroup(pos) {
+  const want = String(pos || "").toUpperCase();
+  return ROSTER_GROUP_ALIASES[want] || want || null;
+}
+
+function rosterSide(player) {
+  if (player.side) return player.side;
+  const group = rosterGroup(player.pos);
+  if (!group) return null;
+  if (OFFENSE_POSITIONS.has(group)) return "offense";
+  return group === "ST" ? "special" : "defense";
+}
+
+// "6-5" -> 77
+function heightInches(height) {
+  const match = String(height || "").match(/^(\d+)-(\d+)$/);
+  return match ? Number(match[1]) * 12 + Number(match[2]) : null;
+}
+
+const ROSTER_SORT_VALUES = {
+  name: (player) => player.name,
+  number: (player) => player.number,
+  height: (player) => heightInches(player.height),
+  weight: (player) => player.weight,
+};
+
+function createRosterCard(player) {
+  const item = document.createElement("li");
+  const card = document.createElement(player.page ? "a" : "div");
+  card.className = "roster-card";
+  if (player.page) card.href = player.page;
+
+  const avatar = createAvatar(player, { className: "roster-card__avatar" });
+
+  const meta = document.createElement("div");
+  const name = document.createElement("p");
+  name.className = "roster-card__name";
+  name.textContent = player.name;
+  if (player.number != null) {
+    const number = document.createElement("span");
+    number.className = "roster-card__number";
+    number.textContent = `#${player.number}`;
+    name.append(number);
+  }
+  const chip = createAvailabilityChip(availabilityOf(player), { className: "roster-card__status" });
+  if (chip) name.append(chip);
+  const detail = document.createElement("p");
+  detail.className = "roster-card__detail";
+  detail.textContent = [player.pos, player.class, player.height, player.weight != null ? `${player.weight} lbs` : null]
+    .filter(Boolean)
+    .join(" · ");
+  meta.append(name, detail);
+
+  card.append(avatar, meta);
+  item.append(card);
+  return item;
+}
+
+function renderRoster() {
+  if (!dom.rosterList || !dom.rosterControls) return;
+  const form = dom.rosterControls.elements;
+  const query = form.q.value.trim().toLowerCase();
+  const { key, dir } = state.rosterSort;
+  const valueOf = ROSTER_SORT_VALUES[key];
+
+  const players = state.roster
+    .filter((player) => {
+      if (form.group.value && player.group !== form.group.value) return false;
+      if (form.class.value && player.class !== form.class.value) return false;
+      if (form.side.value && player.side !== form.side.value) return false;
+      if (!query) return true;
+      return player.name.toLowerCase().includes(query) || String(player.number ?? "") === query.replace(/^#/, "");
+    })
+    .sort((a, b) => {
+      const x = valueOf(a);
+      const y = valueOf(b);
+      // Missing values sink to the bottom whichever way the sort runs.
+      if (x == null || y == null) return x == null ? (y == null ? 0 : 1) : -1;
+      const order = typeof x === "string" ? x.localeCompare(y) : x - y;
+      return order * dir || a.name.localeCompare(b.name);
+    });
+
+  dom.rosterList.replaceChildren(...players.map(createRosterCard));
+  setText(dom.rosterCount, players.length === state.roster.length ? `${players.length} players` : `${players.length} of ${state.roster.length} players`);
+  dom.rosterSort?.querySelectorAll("[data-sort]").forEach((button) => {
+    const active = button.dataset.sort === key;
+    button.setAttribute("aria-pressed", String(active));
+    button.dataset.dir = active ? (dir > 0 ? "asc" : "desc") : "";
+    const label = button.textContent.replace(/ [↑↓]$/, "");
+    button.textContent = active ? `${label} ${dir > 0 ? "↑" : "↓"}` : label;
+  });
+}
+
+function fillRosterFilter(select, values) {
+  if (!select) return;
+  values.forEach((value) => select.append(new Option(value, value)));
+}
+
+async function hydrateRoster() {
+  const [roster, availability, pageIndex] = await Promise.all([
+    fetchJson("/data/team/roster.json"),
+    loadAvailability(),
+    fetchJson("/players/index.json"),
+  ]);
+  state.availability = availability;
+  const players = (Array.isArray(roster) ? roster : []).filter((player) => player?.name);
+  // The roster builders publish each player's page path (lib/player.js
+  // canonicalizeRoster); build_player_pages.js lists the pages it has written.
+  const published = new Set(Array.isArray(pageIndex?.pages) ? pageIndex.pages : []);
+  state.roster = players.map((player) => ({
+    ...player,
+    group: rosterGroup(player.pos),
+    side: rosterSide(player),
+    page: published.has(player.page) ? player.page : null,
+  }));
+  const hasRoster = state.roster.length > 0;
+
+  if (hasRoster && dom.rosterControls) {
+    const groups = new Set(state.roster.map((player) => player.group).filter(Boolean));
+    const ordered = ROSTER_GROUPS.filter((group) => groups.has(group)).concat([...groups].filter((group) => !ROSTER_GROUPS.includes(group)).sort());
+    fillRosterFilter(dom.rosterControls.elements.group, ordered);
+    const classes = [...new Set(state.roster.map((player) => player.class).filter(Boolean))].sort();
+    fillRosterFilter(dom.rosterControls.elements.class, classes);
+    // No class data yet (ESPN leaves it blank for some rosters): hide the empty filter.
+    show(dom.rosterControls.elements.class, classes.length > 0);
+
+    dom.rosterControls.addEventListener("input", renderRoster);
+    dom.rosterControls.addEventListener("submit", (event) => event.preventDefault());
+    dom.rosterSort?.addEventListener("click", (event) => {
+      const key = event.target.closest("[data-sort]")?.dataset.sort;
+      if (!key) return;
+      const { key: current, dir } = state.rosterSort;
+      // Numbers read best ascending; size reads best biggest first.
+      const initial = key === "height" || key === "weight" ? -1 : 1;
+      state.rosterSort = { key, dir: key === current ? -dir : initial };
+      renderRoster();
+    });
+    renderRoster();
+  }
+
+  show(dom.rosterList, hasRoster);
+  show(dom.rosterControls, hasRoster);
+  show(dom.rosterToolbar, hasRoster);
+  show(dom.rosterEmpty, !hasRoster);
+}
+
+// Newest moves shown on the homepage; roster_changes.json keeps more.
+const ROSTER_MOVES_SHOWN = 10;
+const MOVE_LABELS = { added: "In", departed: "Out", position: "Position", number: "Number" };
+
+function moveDetail(move) {
+  const number = move.number != null ? ` · #${move.number}` : "";
+  if (move.type === "position") return `${move.from} → ${move.to}${number}`;
+  if (move.type === "number") return `#${move.from} → #${move.to}`;
+  return `${move.pos || "—"}${number}`;
+}
+
+function createMoveItem(move, pages) {
+  const item = document.createElement("li");
+  item.className = "move";
+
+  const type = document.createElement("span");
+  type.className = "move__type";
+  type.dataset.type = move.type;
+  type.textContent = MOVE_LABELS[move.type] || move.type;
+
+  // Departed players have no page to link to; everyone still on the roster does.
+  const page = move.type === "departed" ? null : pages.get(move.id);
+  const name = document.createElement(page ? "a" : "span");
+  name.className = "move__name";
+  name.textContent = move.name || "Unknown player";
+  if (page) name.href = page;
+
+  const detail = document.createElement("span");
+  detail.className = "move__detail";
+  const date = new Date(move.date);
+  const when = Number.isNaN(date.getTime()) ? "" : ` · ${date.toLocaleDateString(undefined, { month: "short", day: "numeric" })}`;
+  detail.textContent = `${moveDetail(move)}${when}`;
+
+  item.append(type, name, detail);
+  return item;
+}
+
+// Runs after hydrateRoster() so moves can link to player pages.
+async function hydrateRosterMoves() {
+  const feed = await fetchJson("/data/team/roster_changes.json");
+  const moves = (Array.isArray(feed?.changes) ? feed.changes : []).slice(0, ROSTER_MOVES_SHOWN);
+  const pages = new Map(state.roster.filter((player) => player.page).map((player) => [player.id, player.page]));
+  const hasMoves = moves.length > 0;
+
+  if (dom.moves) dom.moves.replaceChildren(...moves.map((move) => createMoveItem(move, pages)));
+  show(dom.moves, hasMoves);
+  show(dom.movesEmpty, !hasMoves);
+  if (feed?.updated_at) setText(dom.movesUpdated, `Updated ${relativeTime(feed.updated_at)}`);
+}
+
+function updateFeaturedLive(players) {
+  if (!dom.featuredGrid) return;
+  dom.featuredGrid.querySelectorAll("[data-player-id]").forEach((card) => {
+    const live = players?.[card.dataset.playerId];
+    if (!live?.statline) return;
+    let statline = card.querySelector(".featured-card__statline");
+    if (!statline) {
+      statline = document.createElement("p");
+      statline.className = "featured-card__statline";
+      card.querySelector(".featured-card__name")?.after(statline);
+    }
+    statline.textContent = `Live · ${live.statline}`;
+  });
+}
+
+function renderLiveTicker(live) {
+  if (!dom.tickerGrid) return;
+  dom.tickerGrid.innerHTML = "";
+  live.ticker.forEach((item) => dom.tickerGrid.append(createTickerCard(item)));
+  show(dom.tickerEmpty, live.ticker.length === 0);
+  const game = live.game;
+  setText(dom.tickerUpdated, game ? `Live ${game.site === "away" ? "at" : "vs"} ${game.opponent} · ${game.detail || "kickoff soon"}` : "Live");
+}
+
+// spotlight-client.js listens for this to update its cards in place.
+function announceLive(live) {
+  document.dispatchEvent(new CustomEvent("hc:live", { detail: live }));
+}
+
+/**
+ * Poll /data/live.json while a game is live (build_live.js sets `live`
+ * from kickoff window to final whistle). Outside live windows the page makes
+ * one request on load and another whenever the tab becomes visible again.
+ */
+async function pollLive() {
+  if (state.livePolling) return;
+  state.livePolling = true;
+  clearTimeout(state.liveTimer);
+  state.liveTimer = null;
+  try {
+    const live = await fetchJson("/data/live.json");
+    const isLive = Boolean(live?.live);
+
+    if (isLive) {
+      renderLiveTicker(live);
+      updateFeaturedLive(live.players);
+      announceLive(live);
+      const seconds = Number(live.poll_seconds) || LIVE_POLL_SECONDS;
+      state.liveTimer = setTimeout(pollLive, seconds * 1000);
+    } else if (state.live) {
+      // The game just ended: back to the published datasets.
+      announceLive(live || { live: false });
+      await hydrateMeta();
+      await Promise.all([hydrateTicker(), hydrateFeatured()]);
+    }
+    state.live = isLive;
+  } finally {
+    state.livePolling = false;
+  }
+}
+
 function hydrateFooter() {
   if (dom.footerYear) {
     const year = new Date().getFullYear();
@@ -261,7 +890,11 @@ function hydrateFooter() {
 async function init() {
   hydrateFooter();
   await hydrateMeta();
-  await Promise.all([hydrateTicker(), hydrateFeatured()]);
+  await Promise.all([hydrateTicker(), hydrateDashboard(), hydrateFeatured(), hydrateScouting(), hydrateDepthChart(), hydrateRoster().then(hydrateRosterMoves)]);
+  await pollLive();
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "visible" && !state.liveTimer) pollLive();
+  });
 }
 
 init();
@@ -2,9 +2,17 @@
  * Player spotlight sidebar
  * ------------------------
  * Renders top three players for offense/defense across last game and season.
- * Data is sourced from JSON files generated by the build pipeline.
+ * Data is sourced from JSON files generated by the build pipeline. When the
+ * weekly archive (/data/archive/index.json) exists, a week picker swaps the
+ * "Last Game" tiles for any archived game. During a live game, site.js
+ * dispatches "hc:live" with /data/live.json and the latest cards show the
+ * players' live stat lines. Players on team/availability.json get a status
+ * chip; graded lists keep "out" players, since they rank what was played.
  */
 
+import { createAvatar } from "./avatar.js";
+import { createAvailabilityChip, loadAvailability } from "./availability.js";
+
 (function () {
   const mount = document.getElementById("player-spotlight");
   if (!mount) return;
@@ -19,8 +27,16 @@
     defense_season: "/data/spotlight_defense_season.json",
   };
 
+  const ARCHIVE_ROOT = "/data/archive/";
+
   const state = {
     datasets: {},
+    latest: {},
+    archive: null,
+    weeks: {},
+    selected: "latest",
+    live: null,
+    availability: new Map(),
   };
 
   const layout = [
@@ -98,8 +114,14 @@
     return { letter, pct: Math.round(pct) };
   }
 
-  function gradeBadge(letter, pct) {
-    const badge = h("span", { class: "hc-grade" }, `${letter} `, h("small", {}, `${pct}%`));
+  function gradeBadge(letter, pct, entry = {}) {
+    const attrs = { class: "hc-grade" };
+    if (entry.group || entry.model) {
+      attrs.title = [entry.group ? `${entry.group} percentile` : null, entry.model ? `model ${entry.model}` : null]
+        .filter(Boolean)
+        .join(" · ");
+    }
+    const badge = h("span", attrs, `${letter} `, h("small", {}, `${pct}%`));
     badge.style.display = "inline-flex";
     badge.style.alignItems = "center";
     badge.style.gap = "6px";
@@ -112,31 +134,108 @@
     return badge;
   }
 
-  function card(entry = {}) {
-    const initials = (entry.name || "")
-      .split(/\s+/)
-      .filter(Boolean)
-      .map((w) => w[0])
-      .join("")
-      .slice(0, 2)
-      .toUpperCase() || "UK";
+  const SVG_NS = "http://www.w3.org/2000/svg";
+
+  function trendPoints(entry) {
+    return (Array.isArray(entry.trend) ? entry.trend : []).filter((point) => Number.isFinite(point?.pct));
+  }
+
+  function trendSummary(points, delta) {
+    const games = points.map((point) => `week ${point.week} ${point.pct}`).join(", ");
+    let move = "no previous game";
+    if (Number.isFinite(delta)) {
+      move = delta === 0 ? "unchanged from the previous game" : `${delta > 0 ? "up" : "down"} ${Math.abs(delta)} from the previous game`;
+    }
+    return `Grade percentile by game: ${games}; ${move}.`;
+  }
+
+  function sparkline(points, label) {
+    const width = 64;
+    const height = 20;
+    const pad = 2;
+    const svg = document.createElementNS(SVG_NS, "svg");
+    svg.setAttribute("class", "hc-sparkline");
+    svg.setAttribute("viewBox", `0 0 ${width} ${height}`);
+    svg.setAttribute("width", String(width));
+    svg.setAttribute("height", String(height));
+    svg.setAttribute("role", "img");
+    svg.setAttribute("aria-label", label);
+
+    const title = document.createElementNS(SVG_NS, "title");
+    title.textContent = label;
+    svg.appendChild(title);
+
+    const step = (width - pad * 2) / (points.length - 1);
+    const coords = points.map((point, idx) => [
+      pad + idx * step,
+      pad + (1 - Math.min(Math.max(point.pct, 0), 100) / 100) * (height - pad * 2),
+    ]);
+
+    const line = document.createElementNS(SVG_NS, "polyline");
+    line.setAttribute("points", coords.map(([x, y]) => `${x.toFixed(1)},${y.toFixed(1)}`).join(" "));
+    line.setAttribute("fill", "none");
+    line.setAttribute("stroke", "#0b3a82");
+    line.setAttribute("stroke-width", "1.5");
+    line.setAttribute("stroke-linejoin", "round");
+    svg.appendChild(line);
+
+    const [lastX, lastY] = coords[coords.length - 1];
+    const dot = document.createElementNS(SVG_NS, "circle");
+    dot.setAttribute("cx", lastX.toFixed(1));
+    dot.setAttribute("cy", lastY.toFixed(1));
+    dot.setAttribute("r", "2");
+    dot.setAttribute("fill", "#0b3a82");
+    svg.appendChild(dot);
+
+    return svg;
+  }
+
+  function deltaChip(delta) {
+    if (!Number.isFinite(delta)) return null;
+    const text = delta > 0 ? `▲ ${delta}` : delta < 0 ? `▼ ${Math.abs(delta)}` : "— 0";
+    // The sparkline's label already reads the movement out; keep the chip visual only.
+    const chip = h("span", { class: "hc-delta", "aria-hidden": "true" }, text);
+    chip.style.fontSize = "0.75rem";
+    chip.style.fontWeight = "700";
+    chip.style.color = delta > 0 ? "#0f7b4d" : delta < 0 ? "#b4232a" : "#6b7280";
+    return chip;
+  }
+
+  function trendRow(entry) {
+    const points = trendPoints(entry);
+    if (points.length < 2) return null;
+    const delta = Number.isFinite(entry.delta) ? entry.delta : null;
+    const row = h("div", { class: "hc-trend" }, sparkline(points, trendSummary(points, delta)), deltaChip(delta));
+    row.style.display = "flex";
+    row.style.alignItems = "center";
+    row.style.gap = "6px";
+    return row;
+  }
 
+  // Volume behind the grade: snaps when tracked, else touches + targets.
+  function usageText(usage) {
+    if (!usage) return null;
+    if (usage.snaps) {
+      const rate = usage.per_snap?.yards ?? usage.per_snap?.plays;
+      const unit = usage.per_snap?.yards != null ? "yds/snap" : "plays/snap";
+      return rate != null ? `${usage.snaps} snaps · ${rate} ${unit}` : `${usage.snaps} snaps`;
+    }
+    // Without snaps a defender's opportunities are just the plays they made.
+    if (usage.per_opportunity?.yards == null) return null;
+    return `${usage.opportunities} touches + targets · ${usage.per_opportunity.yards} yds each`;
+  }
+
+  function card(entry = {}) {
     const tag = entry.espn ? "a" : "div";
     const attrs = { class: "hc-card" };
+    if (entry.id != null) attrs["data-player-id"] = String(entry.id);
     if (entry.espn) {
       attrs.href = entry.espn;
       attrs.target = "_blank";
       attrs.rel = "noopener";
     }
 
-    const img = entry.headshot
-      ? h("img", {
-          src: entry.headshot,
-          alt: entry.name || "Player headshot",
-          referrerpolicy: "no-referrer",
-          loading: "lazy",
-        })
-      : h("div", { class: "hc-avatar" }, initials);
+    const img = createAvatar(entry, { className: "hc-avatar", fallback: "UK" });
 
     const posText = entry.pos || entry.position || "";
     const name = h(
@@ -144,7 +243,8 @@
       { class: "hc-name" },
       entry.name || "Unnamed",
       posText ? " " : "",
-      posText ? h("span", { class: "hc-pos" }, `• ${posText}`) : null
+      posText ? h("span", { class: "hc-pos" }, `• ${posText}`) : null,
+      entry.id != null ? createAvailabilityChip(state.availability.get(String(entry.id)), { className: "hc-status" }) : null
     );
 
     const stats = h(
@@ -154,10 +254,13 @@
     );
 
     const gradeInfo = normalizeGrade(entry);
-    const grade = gradeBadge(gradeInfo.letter, gradeInfo.pct);
+    const grade = gradeBadge(gradeInfo.letter, gradeInfo.pct, entry);
 
-    const row = h("div", { class: "hc-row" }, img, h("div", { class: "hc-meta" }, name, stats));
-    const wrap = h(tag, attrs, row, h("div", { class: "hc-grade-wrap" }, grade));
+    const usage = usageText(entry.usage);
+    const usageLine = usage ? h("div", { class: "hc-usage" }, usage) : null;
+
+    const row = h("div", { class: "hc-row" }, img, h("div", { class: "hc-meta" }, name, stats, usageLine));
+    const wrap = h(tag, attrs, row, h("div", { class: "hc-grade-wrap" }, grade, trendRow(entry)));
 
     wrap.style.display = "grid";
     wrap.style.gridTemplateColumns = "1fr auto";
@@ -175,14 +278,15 @@
       wrap.style.color = "inherit";
     }
 
-    if (img.style) {
-      img.style.width = "44px";
-      img.style.height = "44px";
-      img.style.borderRadius = "50%";
-      img.style.objectFit = "cover";
-      img.style.background = "#d4dcf3";
-      img.style.display = "block";
-    }
+    img.style.width = "44px";
+    img.style.height = "44px";
+    img.style.borderRadius = "50%";
+    img.style.overflow = "hidden";
+    img.style.background = "#d4dcf3";
+    img.style.display = "grid";
+    img.style.placeItems = "center";
+    img.style.fontWeight = "700";
+    img.style.color = "#1b3f76";
 
     const meta = wrap.querySelector(".hc-meta");
     if (meta) {
@@ -203,11 +307,18 @@
       stat.style.fontSize = "0.92rem";
     }
 
+    if (usageLine) {
+      usageLine.style.color = "#6b7280";
+      usageLine.style.fontSize = "0.8rem";
+    }
+
     const gradeWrap = wrap.querySelector(".hc-grade-wrap");
     if (gradeWrap) {
       gradeWrap.style.display = "flex";
-      gradeWrap.style.justifyContent = "flex-end";
-      gradeWrap.style.alignItems = "center";
+      gradeWrap.style.flexDirection = "column";
+      gradeWrap.style.justifyContent = "center";
+      gradeWrap.style.alignItems = "flex-end";
+      gradeWrap.style.gap = "4px";
     }
 
     return wrap;
@@ -222,9 +333,10 @@
     return h("div", { class: "hc-spotlight-empty" }, msg);
   }
 
-  function buildTile(config, entries) {
+  function buildTile(config, entries, lastTitle) {
     const tile = h("article", { class: "hc-spotlight-tile" });
-    tile.appendChild(h("h4", { class: "hc-spotlight-tile__title" }, config.title));
+    const title = lastTitle && config.key.endsWith("_last") ? lastTitle : config.title;
+    tile.appendChild(h("h4", { class: "hc-spotlight-tile__title" }, title));
 
     const list = h("ol", { class: "hc-spotlight-list" });
 
@@ -249,66 +361,164 @@
     return tile;
   }
 
-  function buildGroup(groupConfig, dataMap) {
+  function modelVersion(groupConfig, dataMap) {
+    for (const tileConfig of groupConfig.tiles) {
+      const hit = (dataMap[tileConfig.key] || []).find((entry) => entry?.model);
+      if (hit) return hit.model;
+    }
+    return null;
+  }
+
+  function buildGroup(groupConfig, dataMap, lastTitle) {
     const group = h("section", { class: "hc-spotlight-group" });
+    const version = modelVersion(groupConfig, dataMap);
     group.appendChild(
       h(
         "header",
         { class: "hc-spotlight-group__header" },
         h("h3", { class: "hc-spotlight-group__title" }, groupConfig.label),
-        h("p", { class: "hc-spotlight-group__subtitle" }, groupConfig.subtitle)
+        h(
+          "p",
+          { class: "hc-spotlight-group__subtitle" },
+          version ? `${groupConfig.subtitle} · v${version}` : groupConfig.subtitle
+        )
       )
     );
 
     const tilesWrap = h("div", { class: "hc-spotlight-tiles" });
     for (const tileConfig of groupConfig.tiles) {
-      tilesWrap.appendChild(buildTile(tileConfig, dataMap[tileConfig.key] || []));
+      tilesWrap.appendChild(buildTile(tileConfig, dataMap[tileConfig.key] || [], lastTitle));
     }
 
     group.appendChild(tilesWrap);
     return group;
   }
 
-  async function loadOnce(key) {
-    if (state.datasets[key]) return state.datasets[key];
-
+  async function loadJson(url) {
     try {
-      const res = await fetch(files[key], { cache: "no-cache" });
-      if (!res.ok) throw new Error(`${files[key]} -> ${res.status}`);
-      const json = await res.json();
-      state.datasets[key] = json;
-      return json;
+      const res = await fetch(url, { cache: "no-cache" });
+      if (!res.ok) throw new Error(`${url} -> ${res.status}`);
+      return await res.json();
     } catch (err) {
       console.warn("spotlight load failed", err.message);
-      state.datasets[key] = [];
-      return [];
+      return null;
     }
   }
 
-  async function bootstrap() {
-    const keys = Object.keys(files);
-    const entries = await Promise.all(
-      keys.map(async (key) => {
-        const data = await loadOnce(key);
-        return [key, Array.isArray(data) ? data : []];
-      })
+  async function loadOnce(key) {
+    if (state.datasets[key]) return state.datasets[key];
+    state.datasets[key] = (await loadJson(files[key])) || [];
+    return state.datasets[key];
+  }
+
+  async function loadWeek(file) {
+    if (!state.weeks[file]) state.weeks[file] = await loadJson(ARCHIVE_ROOT + file);
+    return state.weeks[file];
+  }
+
+  function weekLabel(week) {
+    const where = week.site === "away" ? "at" : "vs";
+    const opponent = week.opponent ? ` ${where} ${week.opponent}` : "";
+    return `Week ${week.week}${opponent}${week.result ? ` (${week.result})` : ""}`;
+  }
+
+  function archivedWeeks() {
+    const seasons = state.archive?.seasons || {};
+    return Object.keys(seasons)
+      .sort((a, b) => b - a)
+      .flatMap((season) =>
+        [...seasons[season]]
+          .sort((a, b) => b.week - a.week)
+          .map((week) => ({ ...week, season, label: `${season} · ${weekLabel(week)}` }))
+      );
+  }
+
+  function weekPicker(weeks) {
+    const select = h(
+      "select",
+      { class: "hc-spotlight-picker__select", "aria-label": "Spotlight week" },
+      h("option", { value: "latest" }, "Latest game"),
+      ...weeks.map((week) => h("option", { value: week.file }, week.label))
     );
+    select.value = state.selected;
+    select.addEventListener("change", () => selectWeek(select.value));
+    return h("label", { class: "hc-spotlight-picker" }, "Browse", select);
+  }
+
+  async function selectWeek(file) {
+    state.selected = file;
+    if (file === "latest") {
+      render(state.latest);
+      if (state.live) applyLive(state.live);
+      return;
+    }
+    const week = await loadWeek(file);
+    if (!week) {
+      state.selected = "latest";
+      render(state.latest);
+      return;
+    }
+    const dataMap = {
+      ...state.latest,
+      offense_last: Array.isArray(week.offense) ? week.offense : [],
+      defense_last: Array.isArray(week.defense) ? week.defense : [],
+    };
+    render(dataMap, weekLabel({ ...week.game, week: week.week }));
+  }
 
-    const dataMap = Object.fromEntries(entries);
-    render(dataMap);
+  async function bootstrap() {
+    const keys = Object.keys(files);
+    const [entries, archive, availability] = await Promise.all([
+      Promise.all(
+        keys.map(async (key) => {
+          const data = await loadOnce(key);
+          return [key, Array.isArray(data) ? data : []];
+        })
+      ),
+      loadJson(ARCHIVE_ROOT + "index.json"),
+      loadAvailability(),
+    ]);
+
+    state.archive = archive;
+    state.availability = availability;
+    state.latest = Object.fromEntries(entries);
+    render(state.latest);
+    if (state.live) applyLive(state.live);
   }
 
-  function render(dataMap) {
+  function render(dataMap, lastTitle) {
     mount.innerHTML = "";
 
+    const weeks = archivedWeeks();
+    if (weeks.length) mount.appendChild(weekPicker(weeks));
+
     const grid = h("div", { class: "hc-spotlight-grid" });
     layout.forEach((groupConfig) => {
-      grid.appendChild(buildGroup(groupConfig, dataMap));
+      grid.appendChild(buildGroup(groupConfig, dataMap, lastTitle));
     });
 
     mount.appendChild(grid);
   }
 
+  function applyLive(live) {
+    if (state.selected !== "latest") return;
+    mount.querySelectorAll(".hc-card[data-player-id]").forEach((el) => {
+      const player = live.players?.[el.dataset.playerId];
+      const stat = el.querySelector(".hc-stat");
+      if (player?.statline && stat) stat.textContent = `Live · ${player.statline}`;
+    });
+  }
+
+  document.addEventListener("hc:live", (event) => {
+    const live = event.detail || {};
+    state.live = live.live ? live : null;
+    if (state.live) {
+      applyLive(state.live);
+    } else if (state.selected === "latest") {
+      render(state.latest);
+    }
+  });
+
   bootstrap().catch((err) => {
     console.error("spotlight bootstrap failed", err);
     mount.innerHTML = "";
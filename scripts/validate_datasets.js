@@ -2,18 +2,26 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { loadTeams, primaryTeam, teamDataDir } from './lib/teams.js';
+import { PROVIDERS } from './lib/providers/index.js';
+import { slugify } from './lib/player.js';
+import { loadSchema, validate, formatErrors, schemaFor } from './lib/schema.js';
+import { loadIdOverrides } from './lib/resolver.js';
+import { isOut } from './lib/availability.js';
+import { publishedSeason } from './lib/season.js';
 
 const argv = process.argv.slice(2);
 const useFixture = argv.includes('--fixture');
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const ROOT = path.join(__dirname, '..');
-const DATA_DIR = path.join(ROOT, 'data');
-const TEAM_DIR = path.join(DATA_DIR, 'team');
-const ARTIFACT_STATUS = path.join(ROOT, 'artifacts', 'status', 'last-good-roster.flag');
-const TEAM_ID = Number(process.env.TEAM_ID || 96);
-const TARGET_SEASON = Number(process.env.SEASON || 2025);
+const ONLY_TEAM = process.env.TEAM_SLUG || null;
+// The season under test comes from SEASON or the primary team's published
+// data, never the calendar: scripts/rollover_season.js moves the data over.
+const TARGET_SEASON = Number(process.env.SEASON || publishedSeason(teamDataDir(primaryTeam(loadTeams()))));
 const STRICT_SEASON = (process.env.STRICT_SEASON ?? 'true').toLowerCase() === 'true';
+// `cache` marks a last-good reuse; the rest are provider names from lib/providers.
+const KNOWN_PROVIDERS = new Set([...Object.keys(PROVIDERS), 'cache']);
 const SEASON_MISMATCH_MESSAGE = 'Season mismatch: not publishing stale roster';
 
 function readJSONSafe(filePath, fallback = null) {
@@ -26,21 +34,17 @@ function readJSONSafe(filePath, fallback = null) {
   }
 }
 
+let currentTeam = null;
+
+if (!TARGET_SEASON) fail('no season to validate: set SEASON or publish data/meta.json');
+
 function fail(message) {
-  console.error(`❌ ${message}`);
+  console.error(`❌ ${currentTeam ? `[${currentTeam}] ` : ''}${message}`);
   process.exit(1);
 }
 
-function softExit(message) {
-  console.warn(`⚠️  ${message}`);
-  process.exit(0);
-}
-
-function slugify(value) {
-  return value
-    .toLowerCase()
-    .replace(/[^a-z0-9]+/g, '-')
-    .replace(/^-+|-+$/g, '');
+function softSkip(message) {
+  console.warn(`⚠️  ${currentTeam ? `[${currentTeam}] ` : ''}${message}`);
 }
 
 if (useFixture) {
@@ -57,66 +61,189 @@ if (useFixture) {
   process.exit(0);
 }
 
-const metaPath = path.join(TEAM_DIR, 'roster_meta.json');
-const rosterPath = path.join(TEAM_DIR, 'roster.json');
-const meta = readJSONSafe(metaPath);
-const roster = readJSONSafe(rosterPath, []);
+const teams = loadTeams().filter((team) => !ONLY_TEAM || team.slug === ONLY_TEAM);
+if (!teams.length) fail(`unknown TEAM_SLUG: ${ONLY_TEAM}`);
+
+for (const team of teams) {
+  const dataDir = teamDataDir(team);
+  // Followed teams are optional until their first build; the primary team is not.
+  if (!team.primary && !fs.existsSync(path.join(dataDir, 'team', 'roster_meta.json'))) continue;
+  currentTeam = team.slug;
+  validateTeam(team, dataDir);
+  console.log(`✅ ${team.slug} datasets ok`);
+}
+currentTeam = null;
+
+console.log('✅ dataset validation ok');
+
+function validateTeam(team, dataDir) {
+  const teamDir = path.join(dataDir, 'team');
+  const meta = readJSONSafe(path.join(teamDir, 'roster_meta.json'));
+  const roster = readJSONSafe(path.join(teamDir, 'roster.json'), []);
+
+  if (!meta || typeof meta !== 'object') fail('roster_meta.json missing');
+  if (!Array.isArray(roster) || roster.length === 0) {
+    softSkip('roster missing — builder should reuse cache');
+    return;
+  }
+
+  // Shape checks come from data/.schema; everything below is cross-file.
+  validateSchemas(dataDir, team.primary ? ['teams'] : []);
 
-if (!meta || typeof meta !== 'object') fail('roster_meta.json missing');
-if (!Array.isArray(roster) || roster.length === 0) softExit('roster missing — builder should reuse cache');
+  const metaTeamId = Number(meta.teamId);
+  if (!Number.isFinite(metaTeamId) || metaTeamId !== team.espnId) fail(`teamId must equal ${team.espnId}`);
+  if (meta.team && meta.team !== team.slug) fail(`team must equal ${team.slug}`);
 
-const metaTeamId = Number(meta.teamId);
-if (!Number.isFinite(metaTeamId) || metaTeamId !== TEAM_ID) fail(`teamId must equal ${TEAM_ID}`);
+  const metaSeason = Number(meta.season);
+  if (!Number.isFinite(metaSeason) || metaSeason !== TARGET_SEASON) {
+    if (STRICT_SEASON) {
+      fail(SEASON_MISMATCH_MESSAGE);
+    }
+    fail(`season must equal ${TARGET_SEASON}`);
+  }
+  if (meta.provider != null && !KNOWN_PROVIDERS.has(meta.provider)) fail(`unknown roster provider "${meta.provider}"`);
+  if (STRICT_SEASON && meta.strict === false) fail('strict flag must remain enabled under STRICT_SEASON');
+  if (meta.seeded_from != null) softSkip(`roster carried over from ${meta.seeded_from} by the rollover — run a roster build for ${TARGET_SEASON}`);
 
-const metaSeason = Number(meta.season);
-if (!Number.isFinite(metaSeason) || metaSeason !== TARGET_SEASON) {
-  if (STRICT_SEASON) {
-    fail(SEASON_MISMATCH_MESSAGE);
+  const rosterIds = new Set();
+  const rosterNames = new Set();
+  for (const player of roster) {
+    const id = Number(player.id);
+    const name = player.name;
+    if (rosterIds.has(id)) fail(`duplicate roster id detected: ${id}`);
+    rosterIds.add(id);
+    rosterNames.add(name);
+    if (!player.headshot || !player.headshot.includes(`/players/full/${id}.png`)) {
+      fail(`invalid headshot url for ${name}`);
+    }
   }
-  fail(`season must equal ${TARGET_SEASON}`);
+
+  const idCoverage = rosterIds.size / roster.length;
+  if (idCoverage < 0.98) {
+    if (meta.lastGoodReuse) {
+      softSkip(`id coverage ${idCoverage.toFixed(3)} below threshold but roster is a last-good reuse`);
+      return;
+    }
+    fail(`id coverage ${idCoverage.toFixed(3)} below 0.98`);
+  }
+
+  const ctx = { dataDir, roster, rosterIds, rosterNames };
+  validateSeasonStamps(dataDir, team.primary ? ['teams'] : []);
+  validateSiteMeta(ctx);
+  validateRosterPlus(ctx);
+  validateIdOverrides(team, ctx);
+  validateEspnMap(ctx);
+  validateSpotlightFiles(ctx);
+  validateAvailability(ctx);
+  validateBlacklist(ctx);
+  randomRosterAudit(ctx);
 }
-const allowedSources = new Set(['espn', 'espn+uka', 'cache']);
-if (!allowedSources.has(meta.source)) fail('source must be one of "espn", "espn+uka", or "cache"');
-if (!meta.generated_at) fail('generated_at timestamp missing');
-if (STRICT_SEASON && meta.strict === false) fail('strict flag must remain enabled under STRICT_SEASON');
 
-if (roster.length < 65 || roster.length > 150) {
-  fail(`roster size ${roster.length} out of range (65-150)`);
+function validateSchemas(dataDir, skipDirs = []) {
+  const problems = [];
+  for (const relative of listFiles(dataDir, skipDirs)) {
+    if (!relative.endsWith('.json')) continue;
+    const schemaName = schemaFor(relative);
+    if (!schemaName) {
+      softSkip(`${relative}: no schema in data/.schema — add one`);
+      continue;
+    }
+    const filePath = path.join(dataDir, relative);
+    if (fs.statSync(filePath).size === 0) {
+      softSkip(`${relative}: empty file — builder has not published it yet`);
+      continue;
+    }
+    let payload;
+    try {
+      payload = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      problems.push(`${relative}: invalid JSON (${error.message})`);
+      continue;
+    }
+    problems.push(...formatErrors(relative, validate(loadSchema(schemaName), payload)));
+  }
+  if (problems.length) {
+    for (const problem of problems) {
+      console.error(`   ${problem}`);
+    }
+    fail(`${problems.length} schema error(s)`);
+  }
 }
 
-const rosterIds = new Set();
-const rosterNames = new Set();
-for (const player of roster) {
-  if (!player || typeof player !== 'object') fail('roster entry must be object');
-  const id = Number(player.id);
-  const name = player.name;
-  if (!Number.isFinite(id)) fail(`roster entry missing numeric id for ${name || 'unknown'}`);
-  if (!name) fail('roster entry missing name');
-  if (rosterIds.has(id)) fail(`duplicate roster id detected: ${id}`);
-  rosterIds.add(id);
-  rosterNames.add(name);
-  if (!player.headshot || !player.headshot.includes(`/players/full/${id}.png`)) {
-    fail(`invalid headshot url for ${name}`);
+function listFiles(dir, skipDirs, prefix = '') {
+  const out = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.name.startsWith('.')) continue;
+    const relative = path.join(prefix, entry.name);
+    if (entry.isDirectory()) {
+      if (!prefix && skipDirs.includes(entry.name)) continue;
+      out.push(...listFiles(path.join(dir, entry.name), skipDirs, relative));
+    } else {
+      out.push(relative);
+    }
   }
+  return out;
 }
 
-const idCoverage = rosterIds.size / roster.length;
-if (idCoverage < 0.98) {
-  if (fs.existsSync(ARTIFACT_STATUS)) {
-    softExit(`id coverage ${idCoverage.toFixed(3)} below threshold but last-good cache flagged`);
+// Top-level files carry the active season and archive/<season>/ copies their
+// own; any other season stamp is a stale file.
+function validateSeasonStamps(dataDir, skipDirs = []) {
+  const problems = [];
+  for (const relative of listFiles(dataDir, skipDirs)) {
+    if (!relative.endsWith('.json') || !schemaFor(relative)) continue;
+    const normalized = relative.split(path.sep).join('/');
+    const archived = normalized.match(/^archive\/(\d{4})\//);
+    const expected = archived ? Number(archived[1]) : TARGET_SEASON;
+    if (expected > TARGET_SEASON) {
+      problems.push(`${normalized}: archived season ${expected} is after the active season ${TARGET_SEASON}`);
+      continue;
+    }
+    const payload = readJSONSafe(path.join(dataDir, relative), {});
+    const season = payload?.season;
+    if (!Number.isInteger(season) || season === expected) continue;
+    problems.push(archived
+      ? `${normalized}: season ${season} filed under archive/${expected}`
+      : `${normalized}: season ${season} is not the active season ${TARGET_SEASON} — archive it with scripts/rollover_season.js`);
+  }
+  if (problems.length) {
+    for (const problem of problems) {
+      console.error(`   ${problem}`);
+    }
+    fail(`${problems.length} stale season file(s)`);
   }
-  fail(`id coverage ${idCoverage.toFixed(3)} below 0.98`);
 }
 
-validateEspnMap();
-validateSpotlightFiles();
-validateBlacklist();
-randomRosterAudit();
+function validateSiteMeta({ dataDir, roster }) {
+  const metaPath = path.join(dataDir, 'meta.json');
+  if (!fs.existsSync(metaPath)) return;
+  const meta = readJSONSafe(metaPath);
+  if (meta.season !== TARGET_SEASON) fail(`meta.json season ${meta.season} != ${TARGET_SEASON}`);
+  if (meta.rosterCount !== roster.length) fail(`meta.json rosterCount ${meta.rosterCount} != roster size ${roster.length}`);
+}
 
-console.log('✅ dataset validation ok');
+function validateRosterPlus({ dataDir, rosterIds }) {
+  const plusPath = path.join(dataDir, 'team', 'roster_plus.json');
+  if (!fs.existsSync(plusPath)) return;
+  const plus = readJSONSafe(plusPath);
+  const ids = Object.keys(plus.byId).map(Number);
+  if (plus.count !== ids.length) fail(`roster_plus count ${plus.count} != ${ids.length} entries`);
+  for (const id of ids) {
+    if (!rosterIds.has(id)) fail(`roster_plus id ${id} not in roster`);
+  }
+  for (const [name, id] of Object.entries(plus.byName || {})) {
+    if (!plus.byId[id]) fail(`roster_plus byName "${name}" points at unknown id ${id}`);
+  }
+}
+
+// Overrides outlive roster turnover; a stale one only matters once it stops resolving.
+function validateIdOverrides(team, { rosterIds }) {
+  for (const [name, id] of loadIdOverrides(team)) {
+    if (id != null && !rosterIds.has(id)) softSkip(`id override for "${name}" points at ${id}, which is not on the roster`);
+  }
+}
 
-function validateEspnMap() {
-  const mapPath = path.join(DATA_DIR, 'espn_map.json');
+function validateEspnMap({ dataDir, rosterIds, rosterNames }) {
+  const mapPath = path.join(dataDir, 'espn_map.json');
   const map = readJSONSafe(mapPath, {});
   const validKeys = new Set();
   for (const name of rosterNames) {
@@ -134,7 +261,7 @@ function validateEspnMap() {
   }
 }
 
-function validateSpotlightFiles() {
+function validateSpotlightFiles({ dataDir, rosterIds }) {
   const files = [
     ['spotlight_offense_last.json', 'offense_last'],
     ['spotlight_defense_last.json', 'defense_last'],
@@ -143,13 +270,11 @@ function validateSpotlightFiles() {
     ['spotlight_featured.json', 'featured']
   ];
   for (const [relative, label] of files) {
-    const payload = readJSONSafe(path.join(DATA_DIR, relative), []);
-    if (!Array.isArray(payload)) fail(`${label}: expected array`);
+    const payload = readJSONSafe(path.join(dataDir, relative), []);
+    const rows = Array.isArray(payload) ? payload : [payload];
     const seen = new Set();
-    for (const row of payload) {
-      if (!row || typeof row !== 'object') fail(`${label}: invalid row`);
+    for (const row of rows) {
       const id = Number(row.id);
-      if (!Number.isFinite(id)) fail(`${label}: missing id`);
       if (!rosterIds.has(id)) fail(`${label}: id ${id} not in roster`);
       if (seen.has(id)) fail(`${label}: duplicate id ${id}`);
       seen.add(id);
@@ -157,8 +282,23 @@ function validateSpotlightFiles() {
   }
 }
 
-function validateBlacklist() {
-  const blacklistPath = path.join(DATA_DIR, 'blacklist_names.json');
+// Availability is rebuilt more often than the spotlight, so a featured player
+// who has since been ruled out is a warning; the site filters them anyway.
+function validateAvailability({ dataDir, rosterIds }) {
+  const availabilityPath = path.join(dataDir, 'team', 'availability.json');
+  if (!fs.existsSync(availabilityPath)) return;
+  const availability = readJSONSafe(availabilityPath);
+  for (const id of Object.keys(availability.players || {}).map(Number)) {
+    if (!rosterIds.has(id)) fail(`availability id ${id} not in roster`);
+  }
+  const featured = readJSONSafe(path.join(dataDir, 'spotlight_featured.json'), []);
+  for (const row of Array.isArray(featured) ? featured : [featured]) {
+    if (isOut(availability.players?.[String(row.id)])) softSkip(`featured: ${row.name} (${row.id}) is out per team/availability.json — rebuild the spotlight`);
+  }
+}
+
+function validateBlacklist({ dataDir, rosterNames }) {
+  const blacklistPath = path.join(dataDir, 'blacklist_names.json');
   if (!fs.existsSync(blacklistPath)) return;
   const names = readJSONSafe(blacklistPath, []);
   const rosterLower = new Set([...rosterNames].map((name) => name.toLowerCase()));
@@ -177,7 +317,7 @@ function validateBlacklist() {
     'spotlight_featured.json'
   ];
   for (const file of spotlightFiles) {
-    const rows = readJSONSafe(path.join(DATA_DIR, file), []);
+    const rows = readJSONSafe(path.join(dataDir, file), []);
     for (const row of rows) {
       if (row?.name) {
         spotlightNames.push(row.name.toLowerCase());
@@ -191,7 +331,7 @@ function validateBlacklist() {
   }
 }
 
-function randomRosterAudit() {
+function randomRosterAudit({ roster }) {
   const sample = [];
   const players = [...roster];
   const take = Math.min(3, players.length);